@@ -758,13 +758,24 @@ class FormValidator {
         errorElement.className = 'form-error';
         errorElement.textContent = message;
         
-        field.parentNode.appendChild(errorElement);
+        // Design-system markup only shows .form-error inside .form-group--error
+        const group = field.closest('.form-group');
+        if (group) {
+            group.classList.add('form-group--error');
+        }
+        
+        (group || field.parentNode).appendChild(errorElement);
     }
 
     clearFieldError(field) {
         field.classList.remove('error');
         
-        const existingError = field.parentNode.querySelector('.form-error');
+        const group = field.closest('.form-group');
+        if (group) {
+            group.classList.remove('form-group--error');
+        }
+        
+        const existingError = (group || field.parentNode).querySelector('.form-error');
         if (existingError) {
             existingError.remove();
         }
@@ -779,13 +790,218 @@ class FormValidator {
     }
 }
 
+/**
+ * Stacked Bar Chart Component
+ * Series colours are CSS custom properties, so the chart follows theme changes without re-rendering
+ */
+class StackedBarChart {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.querySelector(container) : container;
+        this.options = {
+            height: 260,
+            series: [], // [{ key, label, color }]
+            formatValue: value => String(value),
+            formatAxis: null,
+            integerSteps: false,
+            onBarClick: null,
+            onToggleSeries: null,
+            ...options
+        };
+
+        this.data = [];
+        this.hiddenSeries = new Set(options.hiddenSeries || []);
+        this.handleResize = Helpers.debounce(() => this.render(), 150);
+
+        if (this.container) {
+            window.addEventListener('resize', this.handleResize);
+        }
+    }
+
+    setData(data) {
+        this.data = data || [];
+        this.render();
+    }
+
+    getVisibleSeries() {
+        return this.options.series.filter(series => !this.hiddenSeries.has(series.key));
+    }
+
+    toggleSeries(key) {
+        if (this.hiddenSeries.has(key)) {
+            this.hiddenSeries.delete(key);
+        } else {
+            this.hiddenSeries.add(key);
+        }
+
+        if (this.options.onToggleSeries) {
+            this.options.onToggleSeries([...this.hiddenSeries]);
+        }
+
+        this.render();
+    }
+
+    getBucketTotal(bucket) {
+        return this.getVisibleSeries().reduce((sum, series) => sum + (bucket.values[series.key] || 0), 0);
+    }
+
+    getNiceMax(value) {
+        if (value <= 0) return 4;
+
+        // Round each of the four grid steps up to 1, 2, 2.5 or 5 times a power of ten
+        const rawStep = value / 4;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= rawStep) * magnitude;
+        return (this.options.integerSteps ? Math.ceil(step) : step) * 4;
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const width = Math.max(this.container.clientWidth || 600, 320);
+        const height = this.options.height;
+        const padding = { top: 12, right: 12, bottom: 28, left: 56 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const visibleSeries = this.getVisibleSeries();
+        const maxTotal = this.getNiceMax(Math.max(0, ...this.data.map(bucket => this.getBucketTotal(bucket))));
+        const formatAxis = this.options.formatAxis || this.options.formatValue;
+
+        const band = this.data.length > 0 ? plotWidth / this.data.length : plotWidth;
+        const barWidth = Math.max(band * 0.7, 1);
+        const labelEvery = Math.ceil(this.data.length / Math.max(Math.floor(plotWidth / 64), 1));
+        const y = value => padding.top + plotHeight - (value / maxTotal) * plotHeight;
+
+        const gridLines = [0, 0.25, 0.5, 0.75, 1].map(ratio => {
+            const value = maxTotal * ratio;
+            return `
+                <line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}"></line>
+                <text class="chart-axis" x="${padding.left - 8}" y="${y(value)}" text-anchor="end" dominant-baseline="middle">${Helpers.escapeHtml(formatAxis(value))}</text>
+            `;
+        }).join('');
+
+        const bars = this.data.map((bucket, index) => {
+            const x = padding.left + index * band + (band - barWidth) / 2;
+            let stacked = 0;
+
+            const segments = visibleSeries.map(series => {
+                const value = bucket.values[series.key] || 0;
+                if (value <= 0) return '';
+                const top = y(stacked + value);
+                const segmentHeight = y(stacked) - top;
+                stacked += value;
+                return `<rect class="chart-bar__segment" x="${x}" y="${top}" width="${barWidth}" height="${segmentHeight}" style="fill: ${series.color}"></rect>`;
+            }).join('');
+
+            const label = index % labelEvery === 0
+                ? `<text class="chart-axis" x="${x + barWidth / 2}" y="${height - 8}" text-anchor="middle">${Helpers.escapeHtml(bucket.label)}</text>`
+                : '';
+
+            return `
+                <g class="chart-bar" data-index="${index}">
+                    <rect class="chart-bar__hit" x="${padding.left + index * band}" y="${padding.top}" width="${band}" height="${plotHeight}"></rect>
+                    ${segments}
+                </g>
+                ${label}
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="chart-legend">
+                ${this.options.series.map(series => `
+                    <button
+                        type="button"
+                        class="chart-legend__item ${this.hiddenSeries.has(series.key) ? 'chart-legend__item--hidden' : ''}"
+                        data-series="${series.key}"
+                        aria-pressed="${!this.hiddenSeries.has(series.key)}"
+                    >
+                        <span class="chart-legend__swatch" style="background: ${series.color}"></span>
+                        ${Helpers.escapeHtml(series.label)}
+                    </button>
+                `).join('')}
+            </div>
+            <div class="chart-canvas">
+                <svg class="chart-svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${Helpers.escapeHtml(this.options.title || 'Chart')}">
+                    ${gridLines}
+                    ${bars}
+                </svg>
+                <div class="chart-tooltip hidden"></div>
+            </div>
+        `;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.container.querySelectorAll('.chart-legend__item').forEach(item => {
+            item.addEventListener('click', () => this.toggleSeries(item.dataset.series));
+        });
+
+        this.container.querySelectorAll('.chart-bar').forEach(bar => {
+            const bucket = this.data[Number(bar.dataset.index)];
+
+            bar.addEventListener('mousemove', (e) => this.showTooltip(bucket, e));
+            bar.addEventListener('mouseleave', () => this.hideTooltip());
+
+            if (this.options.onBarClick) {
+                bar.classList.add('chart-bar--clickable');
+                bar.addEventListener('click', () => this.options.onBarClick(bucket));
+            }
+        });
+    }
+
+    showTooltip(bucket, event) {
+        const tooltip = this.container.querySelector('.chart-tooltip');
+        const canvas = this.container.querySelector('.chart-canvas');
+        if (!tooltip || !canvas) return;
+
+        const visibleSeries = this.getVisibleSeries();
+        tooltip.innerHTML = `
+            <div class="chart-tooltip__title">${Helpers.escapeHtml(bucket.title || bucket.label)}</div>
+            ${visibleSeries.map(series => `
+                <div class="chart-tooltip__row">
+                    <span class="chart-legend__swatch" style="background: ${series.color}"></span>
+                    <span>${Helpers.escapeHtml(series.label)}</span>
+                    <strong>${Helpers.escapeHtml(this.options.formatValue(bucket.values[series.key] || 0))}</strong>
+                </div>
+            `).join('')}
+            <div class="chart-tooltip__row chart-tooltip__total">
+                <span>Total</span>
+                <strong>${Helpers.escapeHtml(this.options.formatValue(this.getBucketTotal(bucket)))}</strong>
+            </div>
+        `;
+        tooltip.classList.remove('hidden');
+
+        // Keep the tooltip inside the canvas
+        const bounds = canvas.getBoundingClientRect();
+        const left = Math.min(event.clientX - bounds.left + 12, bounds.width - tooltip.offsetWidth - 4);
+        tooltip.style.left = `${Math.max(left, 4)}px`;
+        tooltip.style.top = `${Math.max(event.clientY - bounds.top - tooltip.offsetHeight - 8, 4)}px`;
+    }
+
+    hideTooltip() {
+        const tooltip = this.container?.querySelector('.chart-tooltip');
+        if (tooltip) {
+            tooltip.classList.add('hidden');
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
+
 // Export components
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Modal, Dropdown, Toast, FormValidator };
+    module.exports = { Modal, Dropdown, Toast, FormValidator, StackedBarChart };
 }
 
 // Make available globally
 window.Modal = Modal;
 window.Dropdown = Dropdown;
 window.Toast = Toast;
-window.FormValidator = FormValidator;
\ No newline at end of file
+window.FormValidator = FormValidator;
+window.StackedBarChart = StackedBarChart;
\ No newline at end of file
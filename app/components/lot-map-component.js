@@ -0,0 +1,553 @@
+/**
+ * Lot Map Component for Real Estate SaaS
+ * Draws the lot polygons of a loteamiento as SVG, colored by estado, with pan/zoom and lot details
+ */
+
+class LotMap {
+    static ESTADOS = {
+        disponible: { label: 'Available' },
+        reservado: { label: 'Reserved' },
+        vendido: { label: 'Sold' }
+    };
+
+    /**
+     * Width of the SVG coordinate space; the height follows the aspect ratio of the lots
+     */
+    static VIEW_WIDTH = 1000;
+
+    static PADDING = 20;
+
+    static MIN_ZOOM = 1;
+
+    static MAX_ZOOM = 40;
+
+    /**
+     * Pointer travel (px) after which a press counts as a drag instead of a click
+     */
+    static DRAG_THRESHOLD = 4;
+
+    /**
+     * @param {HTMLElement|string} container - Element (or selector) to render into
+     * @param {Object} options - { lotes, outline, formatPrice, onSelect(lote|null), reservable }
+     */
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.querySelector(container) : container;
+        this.options = {
+            lotes: [],
+            outline: null,
+            formatPrice: value => Helpers.formatCurrency(Number(value)),
+            onSelect: null,
+            reservable: true,
+            ...options
+        };
+
+        this.lotes = [];
+        this.projection = null;
+        this.transform = { x: 0, y: 0, k: 1 };
+        this.selectedId = null;
+        this.drag = null;
+
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        if (this.container) {
+            this.setLotes(this.options.lotes);
+        }
+    }
+
+    /**
+     * Replace the lots and redraw, keeping the current zoom and selection
+     * @param {Array} lotes - Lot rows with geojson, centroide_lat/lng and estado
+     */
+    setLotes(lotes) {
+        this.lotes = (lotes || [])
+            .map(lote => ({ ...lote, rings: LotMap.getRings(lote.geojson) }))
+            .filter(lote => lote.rings.length > 0);
+
+        if (!this.projection) {
+            this.projection = this.createProjection();
+        }
+
+        this.render();
+    }
+
+    /**
+     * Extract the polygon rings of a GeoJSON value as [lng, lat] arrays
+     * @param {Object|string} geojson - Geometry, Feature or FeatureCollection (or its JSON)
+     * @returns {Array<Array>} Rings
+     */
+    static getRings(geojson) {
+        let value = geojson;
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return [];
+            }
+        }
+
+        if (!value || typeof value !== 'object') return [];
+
+        switch (value.type) {
+            case 'FeatureCollection':
+                return (value.features || []).flatMap(feature => LotMap.getRings(feature));
+            case 'Feature':
+                return LotMap.getRings(value.geometry);
+            case 'Polygon':
+                return value.coordinates || [];
+            case 'MultiPolygon':
+                return (value.coordinates || []).flat();
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Build an equirectangular projection fitted to the lots (and the outline, if any)
+     * @returns {Object|null} { project, width, height } or null without geometry
+     */
+    createProjection() {
+        const points = [
+            ...this.lotes.flatMap(lote => lote.rings.flat()),
+            ...LotMap.getRings(this.options.outline).flat()
+        ];
+
+        if (points.length === 0) return null;
+
+        const lngs = points.map(([lng]) => lng);
+        const lats = points.map(([, lat]) => lat);
+        const bounds = {
+            minLng: Math.min(...lngs),
+            maxLng: Math.max(...lngs),
+            minLat: Math.min(...lats),
+            maxLat: Math.max(...lats)
+        };
+
+        // A degree of longitude shrinks with latitude; at lot scale one factor is enough
+        const lngScale = Math.cos((bounds.minLat + bounds.maxLat) / 2 * Math.PI / 180);
+        const spanX = Math.max((bounds.maxLng - bounds.minLng) * lngScale, 1e-9);
+        const spanY = Math.max(bounds.maxLat - bounds.minLat, 1e-9);
+        const inner = LotMap.VIEW_WIDTH - LotMap.PADDING * 2;
+        const scale = inner / spanX;
+        const height = Math.max(spanY * scale, 1) + LotMap.PADDING * 2;
+
+        return {
+            width: LotMap.VIEW_WIDTH,
+            height,
+            project: (lng, lat) => [
+                LotMap.PADDING + (lng - bounds.minLng) * lngScale * scale,
+                LotMap.PADDING + (bounds.maxLat - lat) * scale
+            ]
+        };
+    }
+
+    toPath(rings) {
+        return rings.map(ring => ring
+            .map(([lng, lat], index) => {
+                const [x, y] = this.projection.project(lng, lat);
+                return `${index === 0 ? 'M' : 'L'}${x.toFixed(2)},${y.toFixed(2)}`;
+            })
+            .join('') + 'Z').join('');
+    }
+
+    /**
+     * Projected label position and the size that fits inside the lot
+     */
+    getLabel(lote) {
+        const projected = lote.rings[0].map(([lng, lat]) => this.projection.project(lng, lat));
+        const xs = projected.map(([x]) => x);
+        const ys = projected.map(([, y]) => y);
+        const width = Math.max(...xs) - Math.min(...xs);
+        const height = Math.max(...ys) - Math.min(...ys);
+
+        const hasCentroid = lote.centroide_lat !== null && lote.centroide_lat !== undefined
+            && lote.centroide_lng !== null && lote.centroide_lng !== undefined;
+        const [x, y] = hasCentroid
+            ? this.projection.project(Number(lote.centroide_lng), Number(lote.centroide_lat))
+            : [(Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2];
+
+        const length = Math.max(String(lote.nombre || '').length, 1);
+        const size = Math.max(Math.min(height * 0.4, width / (length * 0.6), 14), 1);
+
+        return { x, y, size };
+    }
+
+    /**
+     * Render the map, legend and detail panel
+     */
+    render() {
+        if (!this.projection) {
+            this.container.innerHTML = `
+                <div class="lot-map lot-map--empty">
+                    <p>No lot geometry to draw yet.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const { width, height } = this.projection;
+        const outline = LotMap.getRings(this.options.outline);
+
+        this.container.innerHTML = `
+            <div class="lot-map">
+                <div class="lot-map__canvas">
+                    <svg class="lot-map__svg" viewBox="0 0 ${width} ${height.toFixed(2)}" role="group" aria-label="Lot map">
+                        <g class="lot-map__viewport">
+                            ${outline.length > 0 ? `<path class="lot-map__outline" d="${this.toPath(outline)}"></path>` : ''}
+                            ${this.lotes.map(lote => this.renderLot(lote)).join('')}
+                            <g class="lot-map__labels" aria-hidden="true">
+                                ${this.lotes.map(lote => this.renderLabel(lote)).join('')}
+                            </g>
+                        </g>
+                    </svg>
+
+                    <div class="lot-map__controls">
+                        <button type="button" class="btn btn--outline btn--sm" data-zoom="in" aria-label="Zoom in">
+                            <i data-lucide="plus" class="icon icon--sm"></i>
+                        </button>
+                        <button type="button" class="btn btn--outline btn--sm" data-zoom="out" aria-label="Zoom out">
+                            <i data-lucide="minus" class="icon icon--sm"></i>
+                        </button>
+                        <button type="button" class="btn btn--outline btn--sm" data-zoom="reset" aria-label="Reset view">
+                            <i data-lucide="maximize" class="icon icon--sm"></i>
+                        </button>
+                    </div>
+
+                    <div class="lot-map__tooltip hidden" role="tooltip"></div>
+                </div>
+
+                <ul class="lot-map__legend">
+                    ${Object.entries(LotMap.ESTADOS).map(([estado, info]) => `
+                        <li class="lot-map__legend-item lot-map__legend-item--${estado}">${info.label}</li>
+                    `).join('')}
+                </ul>
+
+                <div class="lot-map__panel" aria-live="polite">
+                    ${this.renderPanel()}
+                </div>
+            </div>
+        `;
+
+        this.svg = this.container.querySelector('.lot-map__svg');
+        this.viewport = this.container.querySelector('.lot-map__viewport');
+        this.tooltip = this.container.querySelector('.lot-map__tooltip');
+
+        this.applyTransform();
+        this.setupEventListeners();
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    renderLot(lote) {
+        const estado = LotMap.ESTADOS[lote.estado] ? lote.estado : 'otro';
+        const label = LotMap.ESTADOS[lote.estado]?.label || Helpers.capitalize(lote.estado || 'unknown');
+
+        return `
+            <path
+                class="lot-map__lot lot-map__lot--${estado} ${lote.id === this.selectedId ? 'lot-map__lot--selected' : ''}"
+                d="${this.toPath(lote.rings)}"
+                data-lote-id="${Helpers.escapeHtml(lote.id)}"
+                tabindex="0"
+                role="button"
+                aria-label="${Helpers.escapeHtml(`${lote.nombre}, ${label}`)}"
+                aria-pressed="${lote.id === this.selectedId}"
+            ></path>
+        `;
+    }
+
+    renderLabel(lote) {
+        const { x, y, size } = this.getLabel(lote);
+
+        return `
+            <text class="lot-map__label" x="${x.toFixed(2)}" y="${y.toFixed(2)}" font-size="${size.toFixed(2)}">${Helpers.escapeHtml(lote.nombre)}</text>
+        `;
+    }
+
+    getLote(id) {
+        return this.lotes.find(lote => lote.id === id) || null;
+    }
+
+    /**
+     * Link to the public reservation page with the lot snapshot in the query
+     * @param {Object} lote - Lot row
+     * @returns {string} Hash URL
+     */
+    static getReserveUrl(lote) {
+        const params = new URLSearchParams({ lot_id: lote.id, nombre: lote.nombre || '' });
+        const lados = Helpers.formatLados(lote.lados);
+        const area = lote.area_m2_rounded ?? lote.area_m2;
+
+        if (lados) params.set('lados', lados);
+        if (area !== null && area !== undefined) params.set('area_m2', Math.round(Number(area)));
+        if (lote.precio_usd !== null && lote.precio_usd !== undefined) params.set('precio_usd', lote.precio_usd);
+        if (lote.loteamiento_id) params.set('loteamiento_id', lote.loteamiento_id);
+
+        return `#/reservation?${params.toString()}`;
+    }
+
+    renderDetails(lote) {
+        const area = Number(lote.area_m2_rounded ?? lote.area_m2);
+        const hasPrice = lote.precio_usd !== null && lote.precio_usd !== undefined && lote.precio_usd !== '';
+
+        return `
+            <dl class="lot-map__details">
+                <div>
+                    <dt>Status</dt>
+                    <dd>${Helpers.escapeHtml(LotMap.ESTADOS[lote.estado]?.label || Helpers.capitalize(lote.estado || 'unknown'))}</dd>
+                </div>
+                <div>
+                    <dt>Area</dt>
+                    <dd>${isNaN(area) ? 'N/A' : `${Helpers.formatNumber(Math.round(area))} m²`}</dd>
+                </div>
+                <div>
+                    <dt>Sides</dt>
+                    <dd>${Helpers.escapeHtml(Helpers.formatLados(lote.lados) || 'N/A')}</dd>
+                </div>
+                <div>
+                    <dt>Price</dt>
+                    <dd>${hasPrice ? this.options.formatPrice(lote.precio_usd) : 'N/A'}</dd>
+                </div>
+            </dl>
+        `;
+    }
+
+    renderPanel() {
+        const lote = this.getLote(this.selectedId);
+
+        if (!lote) {
+            return `<p class="lot-map__hint">Hover over a lot to see its details${this.options.reservable ? ', click it to reserve' : ''}.</p>`;
+        }
+
+        return `
+            <div class="lot-map__panel-header">
+                <h4 class="lot-map__panel-title">${Helpers.escapeHtml(lote.nombre)}</h4>
+                <button type="button" class="btn btn--ghost btn--sm" data-map-action="clear" aria-label="Clear selection">
+                    <i data-lucide="x" class="icon icon--sm"></i>
+                </button>
+            </div>
+            ${this.renderDetails(lote)}
+            ${!this.options.reservable ? '' : lote.estado === 'disponible' ? `
+                <a class="btn btn--primary btn--sm" href="${Helpers.escapeHtml(LotMap.getReserveUrl(lote))}">
+                    <i data-lucide="calendar-plus" class="icon icon--sm"></i>
+                    Reserve
+                </a>
+            ` : `
+                <button type="button" class="btn btn--primary btn--sm" disabled title="Only available lots can be reserved">Reserve</button>
+            `}
+        `;
+    }
+
+    /**
+     * Select a lot (or clear the selection with null) and center it if it is off screen
+     * @param {string|null} id - Lot ID
+     */
+    select(id) {
+        this.selectedId = this.getLote(id) ? id : null;
+
+        this.container.querySelectorAll('.lot-map__lot').forEach(path => {
+            const selected = path.dataset.loteId === this.selectedId;
+            path.classList.toggle('lot-map__lot--selected', selected);
+            path.setAttribute('aria-pressed', selected);
+        });
+
+        const panel = this.container.querySelector('.lot-map__panel');
+        if (panel) {
+            panel.innerHTML = this.renderPanel();
+            if (typeof lucide !== 'undefined') {
+                lucide.createIcons();
+            }
+        }
+
+        if (this.options.onSelect) {
+            this.options.onSelect(this.getLote(this.selectedId));
+        }
+    }
+
+    /**
+     * Center the view on a lot without changing the zoom
+     * @param {string} id - Lot ID
+     */
+    focus(id) {
+        const lote = this.getLote(id);
+        if (!lote || !this.projection) return;
+
+        const { x, y } = this.getLabel(lote);
+        const { width, height } = this.projection;
+        this.transform.x = width / 2 - x * this.transform.k;
+        this.transform.y = height / 2 - y * this.transform.k;
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        const { x, y, k } = this.transform;
+        this.viewport?.setAttribute('transform', `translate(${x.toFixed(2)} ${y.toFixed(2)}) scale(${k})`);
+    }
+
+    /**
+     * Zoom by a factor around a point in SVG coordinates
+     */
+    zoom(factor, center) {
+        const { width, height } = this.projection;
+        const [cx, cy] = center || [width / 2, height / 2];
+        const k = Math.min(Math.max(this.transform.k * factor, LotMap.MIN_ZOOM), LotMap.MAX_ZOOM);
+        const ratio = k / this.transform.k;
+
+        this.transform = {
+            x: cx - (cx - this.transform.x) * ratio,
+            y: cy - (cy - this.transform.y) * ratio,
+            k
+        };
+        this.applyTransform();
+    }
+
+    resetView() {
+        this.transform = { x: 0, y: 0, k: 1 };
+        this.applyTransform();
+    }
+
+    /**
+     * Convert a client (screen) point to SVG coordinates
+     */
+    toSvgPoint(clientX, clientY) {
+        const rect = this.svg.getBoundingClientRect();
+        const { width, height } = this.projection;
+        return [
+            (clientX - rect.left) / rect.width * width,
+            (clientY - rect.top) / rect.height * height
+        ];
+    }
+
+    showTooltip(lote, clientX, clientY) {
+        const canvas = this.container.querySelector('.lot-map__canvas').getBoundingClientRect();
+
+        this.tooltip.innerHTML = `
+            <div class="lot-map__tooltip-title">${Helpers.escapeHtml(lote.nombre)}</div>
+            ${this.renderDetails(lote)}
+        `;
+        this.tooltip.classList.remove('hidden');
+
+        // Keep the tooltip inside the canvas
+        const left = Math.min(clientX - canvas.left + 12, canvas.width - this.tooltip.offsetWidth - 8);
+        const top = Math.min(clientY - canvas.top + 12, canvas.height - this.tooltip.offsetHeight - 8);
+        this.tooltip.style.left = `${Math.max(left, 8)}px`;
+        this.tooltip.style.top = `${Math.max(top, 8)}px`;
+    }
+
+    hideTooltip() {
+        this.tooltip?.classList.add('hidden');
+    }
+
+    setupEventListeners() {
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoom(e.deltaY < 0 ? 1.2 : 1 / 1.2, this.toSvgPoint(e.clientX, e.clientY));
+        }, { passive: false });
+
+        this.svg.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            this.drag = {
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                startY: e.clientY,
+                origin: { ...this.transform },
+                moved: false
+            };
+        });
+
+        window.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
+
+        this.svg.addEventListener('pointerout', (e) => {
+            if (e.target.closest('.lot-map__lot')) this.hideTooltip();
+        });
+
+        this.svg.addEventListener('keydown', (e) => {
+            const path = e.target.closest('.lot-map__lot');
+            if (path && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.select(path.dataset.loteId);
+            } else if (e.key === 'Escape') {
+                this.select(null);
+            }
+        });
+
+        this.container.querySelector('.lot-map__controls').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-zoom]');
+            if (!button) return;
+
+            if (button.dataset.zoom === 'reset') {
+                this.resetView();
+            } else {
+                this.zoom(button.dataset.zoom === 'in' ? 1.5 : 1 / 1.5);
+            }
+        });
+
+        this.container.querySelector('.lot-map__panel').addEventListener('click', (e) => {
+            if (e.target.closest('[data-map-action="clear"]')) {
+                this.select(null);
+            }
+        });
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) {
+            // Hover: follow the pointer with the tooltip while it is over a lot
+            const path = e.target.closest?.('.lot-map__lot');
+            if (path && this.container.contains(path)) {
+                this.showTooltip(this.getLote(path.dataset.loteId), e.clientX, e.clientY);
+            }
+            return;
+        }
+
+        const dx = e.clientX - this.drag.startX;
+        const dy = e.clientY - this.drag.startY;
+
+        if (!this.drag.moved && Math.hypot(dx, dy) < LotMap.DRAG_THRESHOLD) return;
+
+        if (!this.drag.moved) {
+            this.drag.moved = true;
+            this.svg.classList.add('lot-map__svg--dragging');
+            this.hideTooltip();
+        }
+
+        // Screen pixels to SVG units
+        const rect = this.svg.getBoundingClientRect();
+        const ratio = this.projection.width / rect.width;
+        this.transform.x = this.drag.origin.x + dx * ratio;
+        this.transform.y = this.drag.origin.y + dy * ratio;
+        this.applyTransform();
+    }
+
+    handlePointerUp(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+        const { moved } = this.drag;
+        this.drag = null;
+        this.svg.classList.remove('lot-map__svg--dragging');
+
+        // A press without dragging is a click on whatever is under the pointer
+        if (!moved && this.svg.contains(e.target)) {
+            const path = e.target.closest('.lot-map__lot');
+            this.select(path ? path.dataset.loteId : null);
+        }
+    }
+
+    /**
+     * Remove window listeners
+     */
+    destroy() {
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        this.container = null;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LotMap;
+}
+
+// Make available globally
+window.LotMap = LotMap;
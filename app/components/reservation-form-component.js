@@ -0,0 +1,324 @@
+/**
+ * Reservation Form Component for Real Estate SaaS
+ * Collects a lead for one lot and submits it to the reservations endpoint
+ */
+
+class ReservationForm {
+    static STATES = {
+        IDLE: 'idle',
+        LOADING: 'loading',
+        SUCCESS: 'success',
+        ERROR: 'error'
+    };
+
+    /**
+     * Lot details shown in the read-only summary, in display order
+     */
+    static LOT_FIELDS = [
+        { key: 'nombre', label: 'Lot' },
+        { key: 'ubicacion', label: 'Location' },
+        { key: 'lados', label: 'Dimensions' },
+        { key: 'area_m2', label: 'Area', format: value => `${Helpers.formatNumber(Number(value))} m²` },
+        { key: 'precio_usd', label: 'Price', format: value => Helpers.formatCurrency(Number(value)) }
+    ];
+
+    /**
+     * @param {HTMLElement|string} container - Element (or selector) to render into
+     * @param {Object} options - { lot: { id, details }, submit, onSuccess }
+     */
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.querySelector(container) : container;
+        this.options = {
+            lot: { id: '', details: {} },
+            submit: payload => API.createReservation(payload),
+            onSuccess: null,
+            ...options
+        };
+
+        this.state = ReservationForm.STATES.IDLE;
+        this.message = '';
+        this.validator = null;
+        this.form = null;
+
+        if (this.container) {
+            this.render();
+        }
+    }
+
+    /**
+     * Render the lot summary and the lead form
+     */
+    render() {
+        this.container.innerHTML = `
+            <section class="reservation-form" aria-labelledby="reservation-form-title">
+                <div class="reservation-form__header">
+                    <h2 class="reservation-form__title" id="reservation-form-title">Reserve this lot</h2>
+                    <p class="reservation-form__description">Leave your details and our team will contact you to confirm the reservation.</p>
+                </div>
+
+                <form class="reservation-form__form" id="reservation-form" novalidate>
+                    ${this.renderLotSummary()}
+
+                    <div class="reservation-form__status hidden" id="reservation-form-status" role="status" aria-live="polite"></div>
+
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label class="form-label" for="reservation-first-name">First Name <span class="form-required" aria-hidden="true">*</span></label>
+                            <div class="input">
+                                <input type="text" class="input__field" id="reservation-first-name" name="firstName" autocomplete="given-name" aria-required="true">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="reservation-last-name">Last Name <span class="form-required" aria-hidden="true">*</span></label>
+                            <div class="input">
+                                <input type="text" class="input__field" id="reservation-last-name" name="lastName" autocomplete="family-name" aria-required="true">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="reservation-email">Email <span class="form-required" aria-hidden="true">*</span></label>
+                            <div class="input">
+                                <i data-lucide="mail" class="input__icon"></i>
+                                <input type="email" class="input__field" id="reservation-email" name="email" autocomplete="email" aria-required="true">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="reservation-phone">Phone <span class="form-required" aria-hidden="true">*</span></label>
+                            <div class="input">
+                                <i data-lucide="phone" class="input__icon"></i>
+                                <input type="tel" class="input__field" id="reservation-phone" name="phone" autocomplete="tel" placeholder="+595 981 123456" aria-required="true">
+                            </div>
+                        </div>
+
+                        <div class="form-group form-group--full">
+                            <label class="form-label" for="reservation-message">Additional Message <span class="form-optional">(optional)</span></label>
+                            <div class="input">
+                                <i data-lucide="message-square" class="input__icon input__icon--top"></i>
+                                <textarea class="input__field input__field--textarea" id="reservation-message" name="additionalMessage" rows="4" maxlength="1000"></textarea>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="reservation-form__actions">
+                        <button type="submit" class="btn btn--primary" id="reservation-submit">
+                            <i data-lucide="send" class="icon icon--sm"></i>
+                            Send Reservation
+                        </button>
+                    </div>
+                </form>
+            </section>
+        `;
+
+        this.form = this.container.querySelector('#reservation-form');
+        this.setupEventListeners();
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Build the read-only summary from whatever lot details the URL provided
+     * @returns {string} Summary HTML
+     */
+    renderLotSummary() {
+        const { id, details } = this.options.lot;
+        const rows = ReservationForm.LOT_FIELDS
+            .filter(field => details[field.key] !== undefined && details[field.key] !== null && details[field.key] !== '')
+            .map(field => `
+                <div class="parcel-detail">
+                    <dt class="parcel-detail__label">${field.label}</dt>
+                    <dd class="parcel-detail__value">${Helpers.escapeHtml(String(field.format ? field.format(details[field.key]) : details[field.key]))}</dd>
+                </div>
+            `).join('');
+
+        return `
+            <div class="selected-parcel-info" aria-label="Selected lot">
+                <div class="selected-parcel-info__header">
+                    <h3 class="selected-parcel-info__title">Selected Lot</h3>
+                </div>
+                <dl class="selected-parcel-info__content">
+                    <div class="parcel-detail">
+                        <dt class="parcel-detail__label">Lot ID</dt>
+                        <dd class="parcel-detail__value">${Helpers.escapeHtml(String(id))}</dd>
+                    </div>
+                    ${rows}
+                </dl>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        this.validator = new FormValidator(this.form, {
+            firstName: { required: true, maxLength: 100, messages: { required: 'First name is required' } },
+            lastName: { required: true, maxLength: 100, messages: { required: 'Last name is required' } },
+            email: { required: true, email: true, messages: { required: 'Email is required', email: 'Enter a valid email address' } },
+            phone: { required: true, phone: true, messages: { required: 'Phone is required', phone: 'Enter a valid phone number, e.g. +595 981 123456' } },
+            additionalMessage: { maxLength: 1000 }
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // A new edit after a result starts a fresh attempt
+        this.form.addEventListener('input', () => {
+            if (this.state === ReservationForm.STATES.SUCCESS || this.state === ReservationForm.STATES.ERROR) {
+                this.setState(ReservationForm.STATES.IDLE);
+            }
+        });
+    }
+
+    /**
+     * Build the request body documented for /api/reservations
+     * @returns {Object} Reservation payload
+     */
+    buildPayload() {
+        const value = name => this.form.querySelector(`[name="${name}"]`).value.trim();
+
+        return {
+            reservation: {
+                lead: {
+                    firstName: value('firstName'),
+                    lastName: value('lastName'),
+                    email: value('email'),
+                    phone: value('phone'),
+                    additionalMessage: value('additionalMessage')
+                },
+                lot: {
+                    id: this.options.lot.id,
+                    details: this.options.lot.details
+                },
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Validate and send the form, moving through loading to success or error
+     */
+    async submit() {
+        if (this.state === ReservationForm.STATES.LOADING) return;
+
+        const isValid = this.validator.validate();
+        this.syncInvalidFields();
+
+        if (!isValid) {
+            this.form.querySelector('[aria-invalid="true"]')?.focus();
+            return;
+        }
+
+        this.setState(ReservationForm.STATES.LOADING);
+
+        try {
+            const payload = this.buildPayload();
+            const response = await this.options.submit(payload);
+
+            this.form.reset();
+            this.setState(ReservationForm.STATES.SUCCESS, 'Your reservation was sent. We will contact you shortly to confirm it.');
+
+            if (typeof this.options.onSuccess === 'function') {
+                this.options.onSuccess(response, payload);
+            }
+        } catch (error) {
+            console.error('Error submitting reservation:', error);
+            this.setState(ReservationForm.STATES.ERROR, this.getErrorMessage(error));
+        }
+    }
+
+    /**
+     * Mirror validator errors on the fields for assistive technology
+     */
+    syncInvalidFields() {
+        const errors = this.validator.getErrors();
+        this.form.querySelectorAll('.input__field').forEach(field => {
+            if (errors[field.name]) {
+                field.setAttribute('aria-invalid', 'true');
+            } else {
+                field.removeAttribute('aria-invalid');
+            }
+        });
+    }
+
+    /**
+     * Turn a failed request into a message a visitor can act on
+     * @param {Error} error - Error thrown by the submit function
+     * @returns {string} Message to display
+     */
+    getErrorMessage(error) {
+        if (error?.status === 408) {
+            return 'The request took too long. Check your connection and try again.';
+        }
+        if (error?.status === 409) {
+            return 'This lot has just been reserved. Please choose another one.';
+        }
+        if (error?.status >= 400 && error?.status < 500 && error.message) {
+            return error.message;
+        }
+        return 'We could not send your reservation. Please try again in a few minutes.';
+    }
+
+    /**
+     * Update the submit button and status message for a state
+     * @param {string} state - One of ReservationForm.STATES values
+     * @param {string} message - Message shown for success and error
+     */
+    setState(state, message = '') {
+        this.state = state;
+        this.message = message;
+
+        const isLoading = state === ReservationForm.STATES.LOADING;
+        const submitBtn = this.form.querySelector('#reservation-submit');
+        const status = this.form.querySelector('#reservation-form-status');
+
+        submitBtn.disabled = isLoading;
+        submitBtn.setAttribute('aria-busy', String(isLoading));
+        submitBtn.innerHTML = isLoading
+            ? '<span class="spinner" aria-hidden="true"></span> Sending…'
+            : '<i data-lucide="send" class="icon icon--sm"></i> Send Reservation';
+
+        this.form.querySelectorAll('.input__field').forEach(field => {
+            field.readOnly = isLoading;
+        });
+
+        if (state === ReservationForm.STATES.SUCCESS || state === ReservationForm.STATES.ERROR) {
+            const isSuccess = state === ReservationForm.STATES.SUCCESS;
+            status.innerHTML = `
+                <div class="alert alert--${isSuccess ? 'success' : 'error'}">
+                    <i data-lucide="${isSuccess ? 'check-circle' : 'alert-circle'}" class="alert__icon icon icon--sm"></i>
+                    <div class="alert__content">
+                        <div class="alert__title">${isSuccess ? 'Reservation sent' : 'Reservation not sent'}</div>
+                        <div class="alert__description">${Helpers.escapeHtml(message)}</div>
+                    </div>
+                </div>
+            `;
+            status.classList.remove('hidden');
+        } else {
+            status.innerHTML = '';
+            status.classList.add('hidden');
+        }
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    destroy() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.form = null;
+        this.validator = null;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReservationForm;
+}
+
+// Make available globally
+window.ReservationForm = ReservationForm;
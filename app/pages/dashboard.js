@@ -1,31 +1,160 @@
 class DashboardController {
+    static STATUS_TRANSITIONS = {
+        pending: ['confirmed', 'cancelled'],
+        confirmed: ['cancelled'],
+        cancelled: []
+    };
+
+    static BULK_BATCH_SIZE = 100;
+
+    static FILTER_MODES = {
+        SERVER: 'server',
+        CLIENT: 'client'
+    };
+
+    static DEFAULT_FILTERS = {
+        name: '',
+        priceMin: '',
+        priceMax: '',
+        dateFrom: '',
+        dateTo: '',
+        status: '',
+        conflicts: '',
+        hold: ''
+    };
+
+    static SORT_FIELDS = {
+        name: { columns: ['first_name', 'last_name'], defaultDirection: 'asc' },
+        email: { columns: ['email'], defaultDirection: 'asc' },
+        price: { columns: ['lot_details->precio_usd'], defaultDirection: 'desc', value: r => r.lot_details?.precio_usd },
+        reservation_date: { columns: ['reservation_date'], defaultDirection: 'desc', type: 'date' },
+        status: { columns: ['status'], defaultDirection: 'asc', value: r => r.status || 'pending' }
+    };
+
+    static MAX_SORT_LEVELS = 2;
+
+    static LEAD_FIELDS = {
+        first_name: 'First name',
+        last_name: 'Last name',
+        email: 'Email',
+        phone: 'Phone',
+        additional_message: 'Message'
+    };
+
+    static MANUAL_SOURCES = {
+        phone: 'Phone call',
+        walk_in: 'Walk-in'
+    };
+
+    static PAGE_SIZES = [10, 20, 50, 100];
+
+    static VIEW_SOURCES = {
+        LOCAL: 'local',
+        TEAM: 'team'
+    };
+
+    static STAT_PERIODS = {
+        '7d': { label: 'Last 7 days', days: 7 },
+        '30d': { label: 'Last 30 days', days: 30 },
+        '90d': { label: 'Last 90 days', days: 90 },
+        'mtd': { label: 'Month to date' },
+        'ytd': { label: 'Year to date' },
+        'custom': { label: 'Custom range' }
+    };
+
+    static CHART_SERIES = [
+        { key: 'confirmed', label: 'Confirmed', color: 'var(--chart-1)' },
+        { key: 'pending', label: 'Pending', color: 'var(--chart-3)' },
+        { key: 'cancelled', label: 'Cancelled', color: 'var(--muted-foreground)' }
+    ];
+
+    static CHART_GRANULARITIES = {
+        day: 'By day',
+        week: 'By week',
+        month: 'By month'
+    };
+
+    static HOLD_FILTERS = {
+        expiring: 'Expiring soon',
+        expired: 'Expired'
+    };
+
+    static HOLD_REFRESH_INTERVAL = 60 * 1000;
+
+    static CONFLICT_TYPES = {
+        'double-booking': 'Lot reserved by several leads',
+        'duplicate': 'Repeated submission'
+    };
+
+    // Flag columns of the reservation_conflicts view (db/reservation_conflicts.sql)
+    static CONFLICT_COLUMNS = {
+        'double-booking': 'double_booking',
+        'duplicate': 'duplicate'
+    };
+
     constructor() {
         this.reservations = [];
         this.filteredReservations = [];
-        this.filters = {
-            name: '',
-            priceMin: '',
-            priceMax: '',
-            dateFrom: '',
-            dateTo: '',
-            status: ''
-        };
+        this.filters = { ...DashboardController.DEFAULT_FILTERS };
         this.pagination = {
             currentPage: 1,
             itemsPerPage: 20
         };
+        this.sort = [];
+        this.savedViews = [];
+        this.activeViewId = null;
+        this.defaultViewId = null;
+        this.viewSource = DashboardController.VIEW_SOURCES.LOCAL;
         this.stats = null;
         this.previousStats = null;
+        this.statsPeriod = { preset: '30d', from: '', to: '' };
+        this.chartSettings = { metric: 'count', granularity: 'day', hiddenSeries: [] };
+        this.chart = null;
+        this.incomeBreakdownOpen = false;
+        this.displayCurrency = Currency.BASE;
+        this.statsRows = [];
+        this.serverStats = { current: [], previous: [], chartRows: [], total: 0 };
+        this.knownRows = new Map();
+        this.conflicts = new Map();
+        this.conflictGroups = new Map();
+        this.conflictCounts = { all: 0, 'double-booking': 0, duplicate: 0 };
+        this.holdSettings = Storage.getOrganizationSettings('default');
+        this.holdCounts = { expiring: 0, expired: 0 };
+        this.holdTimer = null;
+        this.totalCount = 0;
+        this.filterMode = DashboardController.FILTER_MODES.SERVER;
+        this.realtimeChannel = null;
+        this.realtimeStatus = 'offline';
+        this.pendingHighlights = new Set();
+        this.selectedIds = new Set();
+        this.activityEntries = [];
+        this.flushRealtimeChanges = Helpers.debounce(() => this.applyRealtimeChanges(), 300);
     }
 
     async load(container, data = {}) {
         try {
             Helpers.toggleLoading(true);
+            this.restoreViewState();
+            this.displayCurrency = Currency.getDisplayCurrency();
+            await Currency.loadRates();
+            await Promise.all([
+                this.loadSavedViews(),
+                MessageTemplates.load(this.getOrganizationId())
+            ]);
+            this.restoreFilters(data.query);
+            this.holdSettings = Storage.getOrganizationSettings(this.getOrganizationId());
             await this.loadReservations();
             this.calculateStats();
+
+            const restoredPage = this.pagination.currentPage;
             this.applyFilters();
+            this.pagination.currentPage = Math.min(restoredPage, Math.max(this.getTotalPages(), 1));
+
             this.render(container);
             this.setupEventListeners();
+            this.syncUrl();
+            this.subscribeToRealtime();
+            this.startHoldTimer();
         } catch (error) {
             console.error('Error loading dashboard:', error);
             this.renderError(container);
@@ -34,260 +163,1574 @@ class DashboardController {
         }
     }
 
-    async loadReservations() {
-        try {
-            const supabase = window.SupabaseClient;
+    restoreViewState() {
+        const viewState = Storage.getViewState('dashboard');
+        const modes = Object.values(DashboardController.FILTER_MODES);
+        if (modes.includes(viewState.filterMode)) {
+            this.filterMode = viewState.filterMode;
+        }
 
-            if (!supabase || !supabase.isReady()) {
-                throw new Error('Supabase client not initialized');
-            }
+        const period = viewState.statsPeriod;
+        if (period && DashboardController.STAT_PERIODS[period.preset]) {
+            this.statsPeriod = { from: '', to: '', ...period };
+        }
 
-            const { data, error } = await supabase.getClient()
-                .from('reservations')
-                .select('*')
-                .order('created_at', { ascending: false });
+        if (Array.isArray(viewState.sort)) {
+            this.sort = viewState.sort
+                .filter(entry => DashboardController.SORT_FIELDS[entry?.field] && ['asc', 'desc'].includes(entry.direction))
+                .slice(0, DashboardController.MAX_SORT_LEVELS);
+        }
 
-            if (error) {
-                console.error('Error fetching reservations:', error);
-                throw error;
-            }
+        if (viewState.chartSettings) {
+            this.chartSettings = { ...this.chartSettings, ...viewState.chartSettings };
+        }
 
-            this.reservations = data || [];
-            console.log('Loaded reservations:', this.reservations.length);
-        } catch (error) {
-            console.error('Error loading reservations:', error);
-            this.reservations = [];
-            throw error;
+        if (DashboardController.PAGE_SIZES.includes(viewState.pageSize)) {
+            this.pagination.itemsPerPage = viewState.pageSize;
         }
-    }
 
-    calculateStats() {
-        const total = this.reservations.length;
+        if (Object.values(DashboardController.VIEW_SOURCES).includes(viewState.viewSource)) {
+            this.viewSource = viewState.viewSource;
+        }
 
-        const totalIncome = this.reservations.reduce((sum, r) => {
-            const price = r.lot_details?.precio_usd || 0;
-            return sum + price;
-        }, 0);
+        this.activeViewId = viewState.activeViewId || null;
+        this.defaultViewId = viewState.defaultViewId || null;
+    }
 
-        const pending = this.reservations.filter(r => r.status === 'pending').length;
+    saveViewState() {
+        Storage.setViewState('dashboard', {
+            ...Storage.getViewState('dashboard'),
+            filterMode: this.filterMode,
+            statsPeriod: this.statsPeriod,
+            chartSettings: this.chartSettings,
+            sort: this.sort,
+            pageSize: this.pagination.itemsPerPage,
+            viewSource: this.viewSource,
+            activeViewId: this.activeViewId,
+            defaultViewId: this.defaultViewId
+        });
+    }
 
-        const confirmed = this.reservations.filter(r => r.status === 'confirmed').length;
-        const conversionRate = total > 0 ? (confirmed / total) * 100 : 0;
+    restoreFilters(query = {}) {
+        const filterKeys = Object.keys(DashboardController.DEFAULT_FILTERS);
+        const hasQuery = Object.keys(query).some(key => filterKeys.includes(key) || ['page', 'sort', 'pageSize'].includes(key));
 
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        // A plain visit opens the default view; links and reloads keep their own state
+        const defaultView = this.savedViews.find(view => view.id === this.defaultViewId);
+        if (!hasQuery && defaultView) {
+            this.applyViewState(defaultView);
+            this.pagination.currentPage = 1;
+            return;
+        }
 
-        const recentReservations = this.reservations.filter(r =>
-            new Date(r.created_at) >= thirtyDaysAgo
-        );
+        const source = hasQuery ? query : Storage.getFilters('dashboard');
+        this.filters = this.sanitizeFilters(source);
 
-        this.stats = {
-            totalReservations: total,
-            totalIncome: totalIncome,
-            pendingReservations: pending,
-            conversionRate: conversionRate,
-            recentCount: recentReservations.length
-        };
+        const page = parseInt(source.page, 10);
+        this.pagination.currentPage = page > 0 ? page : 1;
 
-        const previousThirtyDays = this.reservations.filter(r => {
-            const date = new Date(r.created_at);
-            const sixtyDaysAgo = new Date();
-            sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60);
-            return date >= sixtyDaysAgo && date < thirtyDaysAgo;
-        });
+        const pageSize = parseInt(query.pageSize, 10);
+        if (hasQuery && DashboardController.PAGE_SIZES.includes(pageSize)) {
+            this.pagination.itemsPerPage = pageSize;
+        }
 
-        this.previousStats = {
-            totalReservations: previousThirtyDays.length
-        };
+        // Without a sort in the link, keep the one remembered in the view state
+        if (hasQuery && query.sort) {
+            this.sort = query.sort
+                .split(',')
+                .map(part => {
+                    const [field, direction] = part.split(':');
+                    return { field, direction };
+                })
+                .filter(entry => DashboardController.SORT_FIELDS[entry.field] && ['asc', 'desc'].includes(entry.direction))
+                .slice(0, DashboardController.MAX_SORT_LEVELS);
+        }
     }
 
-    calculateChange() {
-        if (this.previousStats.totalReservations === 0) {
-            return { value: this.stats.recentCount > 0 ? 100 : 0, isPositive: true };
+    async loadSavedViews() {
+        if (this.viewSource !== DashboardController.VIEW_SOURCES.TEAM) {
+            this.savedViews = Storage.getSavedViews('dashboard');
+            return;
         }
-        const change = ((this.stats.recentCount - this.previousStats.totalReservations) / this.previousStats.totalReservations) * 100;
-        return {
-            value: Math.abs(change),
-            isPositive: change >= 0
-        };
-    }
 
-    applyFilters() {
-        let filtered = [...this.reservations];
+        try {
+            const { data, error } = await this.getSupabase()
+                .from('saved_views')
+                .select('*')
+                .eq('page', 'dashboard')
+                .order('name', { ascending: true });
 
-        if (this.filters.name.trim()) {
-            const searchTerm = this.filters.name.toLowerCase().trim();
-            filtered = filtered.filter(r => {
-                const fullName = `${r.first_name} ${r.last_name}`.toLowerCase();
-                return fullName.includes(searchTerm);
-            });
-        }
+            if (error) {
+                throw error;
+            }
 
-        if (this.filters.priceMin) {
-            const min = parseFloat(this.filters.priceMin);
-            filtered = filtered.filter(r => {
-                const price = r.lot_details?.precio_usd || 0;
-                return price >= min;
-            });
+            this.savedViews = (data || []).map(row => ({
+                id: row.id,
+                name: row.name,
+                filters: row.filters || {},
+                sort: row.sort || [],
+                pageSize: row.page_size
+            }));
+        } catch (error) {
+            console.error('Error loading team views:', error);
+            Toast.error('Failed to load team views');
+            this.savedViews = [];
         }
+    }
 
-        if (this.filters.priceMax) {
-            const max = parseFloat(this.filters.priceMax);
-            filtered = filtered.filter(r => {
-                const price = r.lot_details?.precio_usd || 0;
-                return price <= max;
-            });
-        }
+    async persistSavedView(view) {
+        if (this.viewSource !== DashboardController.VIEW_SOURCES.TEAM) {
+            const saved = { ...view, id: view.id || Helpers.generateId() };
+            const views = this.savedViews.filter(existing => existing.id !== saved.id);
+            views.push(saved);
+            views.sort((a, b) => a.name.localeCompare(b.name));
 
-        if (this.filters.dateFrom) {
-            const fromDate = new Date(this.filters.dateFrom);
-            filtered = filtered.filter(r => {
-                const resDate = new Date(r.reservation_date);
-                return resDate >= fromDate;
-            });
+            Storage.setSavedViews('dashboard', views);
+            this.savedViews = views;
+            return saved;
         }
 
-        if (this.filters.dateTo) {
-            const toDate = new Date(this.filters.dateTo);
-            toDate.setHours(23, 59, 59, 999);
-            filtered = filtered.filter(r => {
-                const resDate = new Date(r.reservation_date);
-                return resDate <= toDate;
-            });
-        }
+        const row = {
+            page: 'dashboard',
+            name: view.name,
+            filters: view.filters,
+            sort: view.sort,
+            page_size: view.pageSize,
+            updated_at: new Date().toISOString()
+        };
 
-        if (this.filters.status) {
-            filtered = filtered.filter(r => r.status === this.filters.status);
+        const table = this.getSupabase().from('saved_views');
+        const { data, error } = await (view.id
+            ? table.update(row).eq('id', view.id)
+            : table.insert(row)
+        ).select().single();
+
+        if (error) {
+            throw error;
         }
 
-        this.filteredReservations = filtered;
-        this.pagination.currentPage = 1;
+        await this.loadSavedViews();
+        return this.savedViews.find(existing => existing.id === data.id) || { ...view, id: data.id };
     }
 
-    getActiveFilterChips() {
-        const chips = [];
+    async deleteSavedView(id) {
+        if (this.viewSource === DashboardController.VIEW_SOURCES.TEAM) {
+            const { error } = await this.getSupabase()
+                .from('saved_views')
+                .delete()
+                .eq('id', id);
 
-        if (this.filters.name) {
-            chips.push({ key: 'name', label: `Name: ${this.filters.name}` });
-        }
-        if (this.filters.priceMin || this.filters.priceMax) {
-            const min = this.filters.priceMin ? `$${this.formatPrice(this.filters.priceMin)}` : 'Any';
-            const max = this.filters.priceMax ? `$${this.formatPrice(this.filters.priceMax)}` : 'Any';
-            chips.push({ key: 'price', label: `Price: ${min} - ${max}` });
+            if (error) {
+                throw error;
+            }
         }
-        if (this.filters.dateFrom || this.filters.dateTo) {
-            const from = this.filters.dateFrom ? this.formatDateShort(this.filters.dateFrom) : 'Any';
-            const to = this.filters.dateTo ? this.formatDateShort(this.filters.dateTo) : 'Any';
-            chips.push({ key: 'date', label: `Date: ${from} - ${to}` });
+
+        this.savedViews = this.savedViews.filter(view => view.id !== id);
+        if (this.viewSource !== DashboardController.VIEW_SOURCES.TEAM) {
+            Storage.setSavedViews('dashboard', this.savedViews);
         }
-        if (this.filters.status) {
-            chips.push({ key: 'status', label: `Status: ${this.capitalizeFirst(this.filters.status)}` });
+
+        if (this.activeViewId === id) this.activeViewId = null;
+        if (this.defaultViewId === id) this.defaultViewId = null;
+        this.saveViewState();
+    }
+
+    getCurrentViewState() {
+        return {
+            filters: { ...this.filters },
+            sort: this.sort.map(entry => ({ ...entry })),
+            pageSize: this.pagination.itemsPerPage
+        };
+    }
+
+    applyViewState(view) {
+        // Team views come from Supabase, so they get the same checks as a shared link
+        this.filters = this.sanitizeFilters(view.filters);
+
+        this.sort = (view.sort || [])
+            .filter(entry => DashboardController.SORT_FIELDS[entry?.field] && ['asc', 'desc'].includes(entry.direction))
+            .slice(0, DashboardController.MAX_SORT_LEVELS);
+
+        if (DashboardController.PAGE_SIZES.includes(view.pageSize)) {
+            this.pagination.itemsPerPage = view.pageSize;
         }
 
-        return chips;
+        this.activeViewId = view.id;
     }
 
-    getPaginatedReservations() {
-        const start = (this.pagination.currentPage - 1) * this.pagination.itemsPerPage;
-        const end = start + this.pagination.itemsPerPage;
-        return this.filteredReservations.slice(start, end);
+    getActiveView() {
+        return this.savedViews.find(view => view.id === this.activeViewId) || null;
     }
 
-    getTotalPages() {
-        return Math.ceil(this.filteredReservations.length / this.pagination.itemsPerPage);
+    isViewModified(view) {
+        const normalize = state => JSON.stringify([
+            Object.keys(DashboardController.DEFAULT_FILTERS).map(key => String(state.filters?.[key] || '')),
+            (state.sort || []).map(({ field, direction }) => `${field}:${direction}`),
+            Number(state.pageSize) || 20
+        ]);
+
+        return normalize(view) !== normalize(this.getCurrentViewState());
     }
 
-    render(container) {
-        const change = this.calculateChange();
-        const activeFilters = this.getActiveFilterChips();
-        const paginatedData = this.getPaginatedReservations();
-        const totalPages = this.getTotalPages();
+    selectSavedView(id) {
+        const view = this.savedViews.find(existing => existing.id === id);
+        if (!view) {
+            this.activeViewId = null;
+            this.saveViewState();
+            this.renderPage();
+            return;
+        }
 
-        const html = `
-            <div class="page-header">
-                <div>
-                    <h1 class="page-title">Reservation Dashboard</h1>
-                    <p class="page-description">Monitor and manage property reservations</p>
-                </div>
-                <div class="page-actions">
-                    <button class="btn btn--outline" id="refresh-dashboard">
-                        <i data-lucide="refresh-cw" class="icon icon--sm"></i>
-                        Refresh
-                    </button>
-                </div>
+        this.applyViewState(view);
+        this.saveViewState();
+        this.applyFiltersAndRender();
+    }
+
+    renderSavedViews() {
+        const activeView = this.getActiveView();
+        const modified = activeView && this.isViewModified(activeView);
+
+        return `
+            <div class="saved-views">
+                <select class="input__field" id="saved-view-select" aria-label="Saved views">
+                    <option value="">${this.savedViews.length > 0 ? 'Saved views' : 'No saved views'}</option>
+                    ${this.savedViews.map(view => `
+                        <option value="${Helpers.escapeHtml(view.id)}" ${view.id === this.activeViewId ? 'selected' : ''}>
+                            ${Helpers.escapeHtml(view.name)}${view.id === this.defaultViewId ? ' (default)' : ''}
+                        </option>
+                    `).join('')}
+                </select>
+                ${modified ? `
+                    <span class="saved-views__modified" title="The current filters, sort or page size differ from this view">Modified</span>
+                    <button class="btn btn--ghost btn--sm" id="saved-view-update">Update</button>
+                ` : ''}
+                <button class="btn btn--ghost btn--sm" id="saved-view-create">
+                    <i data-lucide="bookmark-plus" class="icon icon--xs"></i>
+                    Save View
+                </button>
+                <button class="btn btn--ghost btn--sm" id="saved-view-manage" title="Manage saved views" aria-label="Manage saved views">
+                    <i data-lucide="settings-2" class="icon icon--xs"></i>
+                </button>
             </div>
+        `;
+    }
 
-            <div class="dashboard-stats">
-                <div class="stat-card stat-card--dark">
-                    <div class="stat-card__header">
-                        <span class="stat-card__title">Total Reservations</span>
-                        <div class="stat-card__icon">
-                            <i data-lucide="file-text" class="icon icon--md"></i>
-                        </div>
-                    </div>
-                    <div class="stat-card__value">${this.stats.totalReservations}</div>
-                    <div class="stat-card__change ${change.isPositive ? 'stat-card__change--positive' : 'stat-card__change--negative'}">
-                        <i data-lucide="${change.isPositive ? 'trending-up' : 'trending-down'}" class="icon icon--xs"></i>
-                        <span>${change.isPositive ? '+' : ''}${change.value.toFixed(1)}% from last month</span>
-                    </div>
-                </div>
+    openSaveViewDialog() {
+        const modal = new Modal({
+            title: 'Save View',
+            content: `
+                <form class="status-form" id="save-view-form" novalidate>
+                    <p class="export-form__summary">
+                        Saves the current filters, sort and page size${this.viewSource === DashboardController.VIEW_SOURCES.TEAM ? ' for the whole team' : ' on this device'}.
+                    </p>
 
-                <div class="stat-card">
-                    <div class="stat-card__header">
-                        <span class="stat-card__title">Total Income</span>
-                        <div class="stat-card__icon">
-                            <i data-lucide="dollar-sign" class="icon icon--md"></i>
+                    <div class="form-group" id="view-name-group">
+                        <label class="form-label" for="view-name">
+                            Name <span class="form-required">*</span>
+                        </label>
+                        <div class="input">
+                            <input type="text" class="input__field" id="view-name" maxlength="60" placeholder="e.g. Pending this week">
                         </div>
+                        <div class="form-error" id="view-name-error">Enter a name for this view</div>
                     </div>
-                    <div class="stat-card__value">$${this.formatPrice(this.stats.totalIncome)}</div>
-                    <div class="stat-card__change stat-card__change--muted">
-                        <span>USD</span>
-                    </div>
-                </div>
 
-                <div class="stat-card">
-                    <div class="stat-card__header">
-                        <span class="stat-card__title">Pending Reservations</span>
-                        <div class="stat-card__icon">
-                            <i data-lucide="clock" class="icon icon--md"></i>
-                        </div>
-                    </div>
-                    <div class="stat-card__value">${this.stats.pendingReservations}</div>
-                    <div class="stat-card__change stat-card__change--muted">
-                        <span>${this.stats.totalReservations > 0 ? ((this.stats.pendingReservations / this.stats.totalReservations) * 100).toFixed(1) : 0}% of total</span>
-                    </div>
-                </div>
+                    <label class="checkbox-group">
+                        <input type="checkbox" class="checkbox" id="view-default">
+                        Open this view by default
+                    </label>
 
-                <div class="stat-card">
-                    <div class="stat-card__header">
-                        <span class="stat-card__title">Conversion Rate</span>
-                        <div class="stat-card__icon">
-                            <i data-lucide="check-circle" class="icon icon--md"></i>
-                        </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Cancel</button>
+                        <button type="submit" class="btn btn--primary" data-modal-action="save-view">Save</button>
                     </div>
-                    <div class="stat-card__value">${this.stats.conversionRate.toFixed(1)}%</div>
-                    <div class="stat-card__change stat-card__change--positive">
-                        <i data-lucide="target" class="icon icon--xs"></i>
-                        <span>Conversion metric</span>
+                </form>
+            `,
+            size: 'medium'
+        });
+
+        modal.open();
+
+        const form = modal.element.querySelector('#save-view-form');
+        const nameGroup = form.querySelector('#view-name-group');
+        const nameInput = form.querySelector('#view-name');
+        const nameError = form.querySelector('#view-name-error');
+
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+        nameInput.focus();
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const name = nameInput.value.trim();
+            const error = this.validateViewName(name);
+            if (error) {
+                nameError.textContent = error;
+                nameGroup.classList.add('form-group--error');
+                nameInput.focus();
+                return;
+            }
+
+            const saveBtn = form.querySelector('[data-modal-action="save-view"]');
+            saveBtn.disabled = true;
+
+            try {
+                const view = await this.persistSavedView({ name, ...this.getCurrentViewState() });
+                this.activeViewId = view.id;
+                if (form.querySelector('#view-default').checked) {
+                    this.defaultViewId = view.id;
+                }
+                this.saveViewState();
+
+                modal.close();
+                Toast.success(`View "${name}" saved`);
+                this.renderPage();
+            } catch (error) {
+                console.error('Error saving view:', error);
+                Toast.error(error.message || 'Failed to save view');
+                saveBtn.disabled = false;
+            }
+        });
+    }
+
+    validateViewName(name, ignoreId = null) {
+        if (!name) {
+            return 'Enter a name for this view';
+        }
+
+        const taken = this.savedViews.some(view =>
+            view.id !== ignoreId && view.name.toLowerCase() === name.toLowerCase()
+        );
+        return taken ? 'A view with this name already exists' : '';
+    }
+
+    async updateActiveView() {
+        const activeView = this.getActiveView();
+        if (!activeView) return;
+
+        try {
+            await this.persistSavedView({ ...activeView, ...this.getCurrentViewState() });
+            Toast.success(`View "${activeView.name}" updated`);
+            this.renderPage();
+        } catch (error) {
+            console.error('Error updating view:', error);
+            Toast.error(error.message || 'Failed to update view');
+        }
+    }
+
+    openManageViewsDialog() {
+        const modal = new Modal({
+            title: 'Saved Views',
+            content: this.renderSavedViewsManager(),
+            size: 'medium'
+        });
+
+        modal.open();
+        this.setupSavedViewsManager(modal);
+    }
+
+    renderSavedViewsManager() {
+        return `
+            <div class="saved-views-manager">
+                <div class="form-group">
+                    <label class="form-label" for="view-source">Views are stored</label>
+                    <div class="input">
+                        <select class="input__field" id="view-source">
+                            <option value="${DashboardController.VIEW_SOURCES.LOCAL}" ${this.viewSource === DashboardController.VIEW_SOURCES.LOCAL ? 'selected' : ''}>On this device</option>
+                            <option value="${DashboardController.VIEW_SOURCES.TEAM}" ${this.viewSource === DashboardController.VIEW_SOURCES.TEAM ? 'selected' : ''}>Shared with the team (Supabase)</option>
+                        </select>
                     </div>
                 </div>
-            </div>
 
-            <div class="filters-panel">
-                <div class="filters-panel__header">
-                    <h3 class="filters-panel__title">
-                        <i data-lucide="filter" class="icon icon--sm"></i>
-                        Filter Reservations
-                    </h3>
-                    ${activeFilters.length > 0 ? `
-                        <button class="btn btn--ghost btn--sm" id="clear-all-filters">
-                            <i data-lucide="x" class="icon icon--xs"></i>
-                            Clear All
-                        </button>
+                ${this.savedViews.length > 0 ? `
+                    <ul class="saved-views-manager__list">
+                        ${this.savedViews.map(view => `
+                            <li class="saved-views-manager__item" data-view-id="${Helpers.escapeHtml(view.id)}">
+                                <input type="text" class="input__field" data-view-name value="${Helpers.escapeHtml(view.name)}" maxlength="60" aria-label="View name">
+                                <label class="radio-item" title="Open this view by default">
+                                    <input type="radio" class="radio" name="default-view" value="${Helpers.escapeHtml(view.id)}" ${view.id === this.defaultViewId ? 'checked' : ''}>
+                                    Default
+                                </label>
+                                <button type="button" class="btn btn--ghost btn--sm" data-view-action="delete">
+                                    <i data-lucide="trash-2" class="icon icon--xs"></i>
+                                    Delete
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${this.defaultViewId ? `
+                        <button type="button" class="btn btn--ghost btn--sm" data-view-action="clear-default">No default view</button>
                     ` : ''}
+                ` : `
+                    <p class="export-form__summary">No saved views yet. Use "Save View" in the filter bar to create one.</p>
+                `}
+
+                <div class="modal-actions">
+                    <button type="button" class="btn btn--primary" data-modal-action="close">Done</button>
                 </div>
+            </div>
+        `;
+    }
 
-                <div class="filters-panel__controls">
+    setupSavedViewsManager(modal) {
+        const body = modal.element.querySelector('.modal-body');
+        const refresh = () => {
+            modal.setContent(this.renderSavedViewsManager());
+            this.setupSavedViewsManager(modal);
+            this.renderPage();
+        };
+
+        body.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+
+        body.querySelector('#view-source').addEventListener('change', async (e) => {
+            this.viewSource = e.target.value;
+            this.saveViewState();
+            await this.loadSavedViews();
+            if (!this.getActiveView()) this.activeViewId = null;
+            this.saveViewState();
+            refresh();
+        });
+
+        const clearDefault = body.querySelector('[data-view-action="clear-default"]');
+        if (clearDefault) {
+            clearDefault.addEventListener('click', () => {
+                this.defaultViewId = null;
+                this.saveViewState();
+                refresh();
+            });
+        }
+
+        body.querySelectorAll('.saved-views-manager__item').forEach(item => {
+            const id = item.dataset.viewId;
+            const view = this.savedViews.find(existing => existing.id === id);
+            const nameInput = item.querySelector('[data-view-name]');
+
+            nameInput.addEventListener('change', async () => {
+                const name = nameInput.value.trim();
+                const error = this.validateViewName(name, id);
+                if (error) {
+                    Toast.error(error);
+                    nameInput.value = view.name;
+                    return;
+                }
+
+                try {
+                    await this.persistSavedView({ ...view, name });
+                    Toast.success('View renamed');
+                    refresh();
+                } catch (error) {
+                    console.error('Error renaming view:', error);
+                    Toast.error(error.message || 'Failed to rename view');
+                    nameInput.value = view.name;
+                }
+            });
+
+            item.querySelector('input[name="default-view"]').addEventListener('change', () => {
+                this.defaultViewId = id;
+                this.saveViewState();
+                refresh();
+            });
+
+            // First click arms the button, the second one deletes
+            const deleteBtn = item.querySelector('[data-view-action="delete"]');
+            deleteBtn.addEventListener('click', async () => {
+                if (!deleteBtn.dataset.armed) {
+                    deleteBtn.dataset.armed = 'true';
+                    deleteBtn.classList.replace('btn--ghost', 'btn--destructive');
+                    deleteBtn.textContent = 'Confirm delete';
+                    return;
+                }
+
+                try {
+                    await this.deleteSavedView(id);
+                    Toast.success(`View "${view.name}" deleted`);
+                    refresh();
+                } catch (error) {
+                    console.error('Error deleting view:', error);
+                    Toast.error(error.message || 'Failed to delete view');
+                }
+            });
+        });
+    }
+
+    async setPageSize(size) {
+        if (!DashboardController.PAGE_SIZES.includes(size)) return;
+
+        this.pagination.itemsPerPage = size;
+        this.saveViewState();
+        await this.reloadFirstPage();
+    }
+
+    /**
+     * Filters read from a link or stored state, keeping only known keys and well-formed values
+     */
+    sanitizeFilters(source = {}) {
+        const allowed = {
+            status: Object.keys(DashboardController.STATUS_TRANSITIONS),
+            conflicts: ['all', ...Object.keys(DashboardController.CONFLICT_TYPES)],
+            hold: Object.keys(DashboardController.HOLD_FILTERS)
+        };
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const isNumber = value => value !== '' && !isNaN(Number(value));
+        const filters = { ...DashboardController.DEFAULT_FILTERS };
+
+        Object.keys(filters).forEach(key => {
+            const value = source[key] === undefined || source[key] === null ? '' : String(source[key]);
+            if (!value) return;
+
+            if (allowed[key] && !allowed[key].includes(value)) return;
+            if ((key === 'dateFrom' || key === 'dateTo') && !isDate(value)) return;
+            if ((key === 'priceMin' || key === 'priceMax') && !isNumber(value)) return;
+
+            filters[key] = value;
+        });
+
+        return filters;
+    }
+
+    syncUrl() {
+        const params = new URLSearchParams();
+
+        Object.entries(this.filters).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            }
+        });
+
+        if (this.pagination.currentPage > 1) {
+            params.set('page', this.pagination.currentPage);
+        }
+
+        // Page numbers only mean the same rows at the same page size
+        if (this.pagination.itemsPerPage !== 20) {
+            params.set('pageSize', this.pagination.itemsPerPage);
+        }
+
+        if (this.sort.length > 0) {
+            params.set('sort', this.sort.map(({ field, direction }) => `${field}:${direction}`).join(','));
+        }
+
+        Storage.setFilters('dashboard', { ...this.filters, page: this.pagination.currentPage });
+
+        // The user may have navigated away while a reload was in flight
+        if (typeof router === 'undefined' || !router.isCurrentRoute('/dashboard')) return;
+
+        const query = params.toString();
+        const path = `/dashboard${query ? `?${query}` : ''}`;
+
+        // Replacing the entry keeps the hash unchanged afterwards, so no hashchange (and no reload) fires
+        if (window.location.hash !== `#${path}`) {
+            router.navigate(path, window.history.state || {}, true);
+        }
+    }
+
+    async copyShareLink() {
+        this.syncUrl();
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            Toast.success('Link copied to clipboard');
+        } catch (error) {
+            console.error('Error copying dashboard link:', error);
+            Toast.error('Could not copy the link. Copy it from the address bar instead.');
+        }
+    }
+
+    getOrganizationId() {
+        const user = Storage.getSession()?.user;
+        return user?.organization_id || user?.organizationId || 'default';
+    }
+
+    isServerMode() {
+        return this.filterMode === DashboardController.FILTER_MODES.SERVER;
+    }
+
+    getSupabase() {
+        const supabase = window.SupabaseClient;
+
+        if (!supabase || !supabase.isReady()) {
+            throw new Error('Supabase client not initialized');
+        }
+
+        return supabase.getClient();
+    }
+
+    async loadReservations() {
+        try {
+            if (this.isServerMode()) {
+                // Stats are aggregated by the database, so no request reads the whole table
+                this.statsRows = [];
+                this.knownRows.clear();
+                await Promise.all([
+                    this.loadReservationsPage(),
+                    this.loadServerStats()
+                ]);
+                return;
+            }
+
+            const { data, error } = await this.getSupabase()
+                .from('reservations')
+                .select('*')
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                console.error('Error fetching reservations:', error);
+                throw error;
+            }
+
+            this.reservations = data || [];
+            this.statsRows = this.reservations;
+            console.log('Loaded reservations:', this.reservations.length);
+        } catch (error) {
+            console.error('Error loading reservations:', error);
+            this.reservations = [];
+            this.statsRows = [];
+            throw error;
+        }
+    }
+
+    async loadReservationsPage() {
+        const { currentPage, itemsPerPage } = this.pagination;
+        const from = (currentPage - 1) * itemsPerPage;
+
+        const query = this.applyServerFilters(
+            this.getSupabase()
+                .from(this.getFilteredSource())
+                .select('*', { count: 'exact' })
+        );
+
+        const { data, error, count } = await this.applySort(query)
+            .range(from, from + itemsPerPage - 1);
+
+        // PostgREST rejects offsets past the last row; fall back to the first page
+        if (error && error.code === 'PGRST103' && currentPage > 1) {
+            this.pagination.currentPage = 1;
+            return this.loadReservationsPage();
+        }
+
+        if (error) {
+            console.error('Error fetching reservations page:', error);
+            throw error;
+        }
+
+        this.reservations = data || [];
+        this.filteredReservations = this.reservations;
+        this.totalCount = count || 0;
+
+        await this.loadPageConflicts();
+    }
+
+    // The conflicts filter reads from a view, so the matching ids never travel in the URL
+    getFilteredSource() {
+        return this.filters.conflicts ? 'reservation_conflicts' : 'reservations';
+    }
+
+    async loadPageConflicts() {
+        const lotIds = [...new Set(this.reservations.map(r => r.lot_id).filter(Boolean))];
+
+        // Every active reservation of the page's conflicting lots, so groups are complete
+        const rows = lotIds.length === 0 ? [] : await this.fetchAllPages(() => this.getSupabase()
+            .from('reservation_conflicts')
+            .select('*')
+            .in('lot_id', lotIds)
+            .order('id'));
+
+        rows.forEach(row => this.knownRows.set(row.id, row));
+        this.detectConflicts(rows);
+    }
+
+    // After a single-row change, refresh the counts around the page instead of re-running the page query
+    async refreshServerAggregates() {
+        const [count] = await Promise.all([
+            this.countReservations(query => this.applyServerFilters(query), this.getFilteredSource()),
+            this.loadServerStats(),
+            this.loadPageConflicts()
+        ]);
+
+        this.totalCount = count;
+    }
+
+    async loadServerStats() {
+        const { current, previous } = this.getStatsPeriodRanges();
+
+        const { CONFLICT_COLUMNS } = DashboardController;
+
+        const [currentTotals, previousTotals, chartRows, total, expired, expiring, ...conflicts] = await Promise.all([
+            this.fetchStatusTotals(current),
+            this.fetchStatusTotals(previous),
+            this.fetchChartRows(),
+            this.countReservations(),
+            this.countReservations(query => this.whereHold(query, 'expired')),
+            this.countReservations(query => this.whereHold(query, 'expiring')),
+            this.countReservations(query => query, 'reservation_conflicts'),
+            ...Object.values(CONFLICT_COLUMNS).map(column =>
+                this.countReservations(query => query.eq(column, true), 'reservation_conflicts'))
+        ]);
+
+        this.serverStats = { current: currentTotals, previous: previousTotals, chartRows, total };
+        this.holdCounts = { expired, expiring };
+        this.conflictCounts = {
+            all: conflicts[0],
+            ...Object.fromEntries(Object.keys(CONFLICT_COLUMNS).map((type, index) => [type, conflicts[index + 1]]))
+        };
+    }
+
+    async fetchStatusTotals({ from, to }) {
+        const { data, error } = await this.getSupabase()
+            .rpc('reservation_status_totals', { p_from: from.toISOString(), p_to: to.toISOString() });
+
+        if (error) {
+            console.error('Error fetching reservation stats:', error);
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    fetchChartRows() {
+        const { current } = this.getStatsPeriodRanges();
+
+        // Buckets are cut in the browser's time zone so they line up with getBucketStart()
+        return this.fetchAllPages(() => this.getSupabase()
+            .rpc('reservation_status_buckets', {
+                p_from: current.from.toISOString(),
+                p_to: current.to.toISOString(),
+                p_granularity: this.chartSettings.granularity,
+                p_time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            })
+            .order('bucket')
+            .order('status'));
+    }
+
+    async countReservations(filter = query => query, source = 'reservations') {
+        const { count, error } = await filter(
+            this.getSupabase()
+                .from(source)
+                .select('id', { count: 'exact', head: true })
+        );
+
+        if (error) {
+            throw error;
+        }
+
+        return count || 0;
+    }
+
+    getReservationTotal() {
+        return this.isServerMode() ? this.serverStats.total : this.statsRows.length;
+    }
+
+    applyServerFilters(query) {
+        const terms = this.filters.name
+            .trim()
+            .replace(/[,()*%\\"]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        terms.forEach(term => {
+            query = query.or(`first_name.ilike.*${term}*,last_name.ilike.*${term}*`);
+        });
+
+        // `->>` yields text and would compare prices lexically, so filter on the JSON number instead
+        if (this.filters.priceMin) {
+            query = query.gte('lot_details->precio_usd', parseFloat(this.filters.priceMin));
+        }
+
+        if (this.filters.priceMax) {
+            query = query.lte('lot_details->precio_usd', parseFloat(this.filters.priceMax));
+        }
+
+        const { from, to } = this.getDateRange();
+        if (from) {
+            query = query.gte('reservation_date', from.toISOString());
+        }
+
+        if (to) {
+            query = query.lte('reservation_date', to.toISOString());
+        }
+
+        if (this.filters.status) {
+            query = query.eq('status', this.filters.status);
+        }
+
+        const conflictColumn = DashboardController.CONFLICT_COLUMNS[this.filters.conflicts];
+        if (conflictColumn) {
+            query = query.eq(conflictColumn, true);
+        }
+
+        if (this.filters.hold) {
+            query = this.whereHold(query, this.filters.hold);
+        }
+
+        return query;
+    }
+
+    whereHold(query, state) {
+        const { expiredBefore, expiringBefore } = this.getHoldCutoffs();
+        query = query.or('status.eq.pending,status.is.null');
+
+        if (state === 'expired') {
+            return query.lte('reservation_date', expiredBefore.toISOString());
+        }
+
+        return query
+            .gt('reservation_date', expiredBefore.toISOString())
+            .lte('reservation_date', expiringBefore.toISOString());
+    }
+
+    applySort(query) {
+        this.sort.forEach(({ field, direction }) => {
+            DashboardController.SORT_FIELDS[field].columns.forEach(column => {
+                query = query.order(column, { ascending: direction === 'asc', nullsFirst: false });
+            });
+        });
+
+        // Newest first breaks ties and is the order when no column is sorted
+        return query.order('created_at', { ascending: false });
+    }
+
+    sortRows(rows) {
+        const getValue = (row, field) => {
+            const definition = DashboardController.SORT_FIELDS[field];
+            const value = definition.value
+                ? definition.value(row)
+                : definition.columns.map(column => row[column] || '').join(' ');
+
+            if (value === null || value === undefined || value === '') return null;
+            if (definition.type === 'date') return new Date(value).getTime();
+            return value;
+        };
+
+        const compare = (a, b) => {
+            if (typeof a === 'number' && typeof b === 'number') return a - b;
+            return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+        };
+
+        const levels = [...this.sort, { field: null, direction: 'desc' }];
+
+        return [...rows].sort((a, b) => {
+            for (const { field, direction } of levels) {
+                let result;
+
+                if (field) {
+                    const valueA = getValue(a, field);
+                    const valueB = getValue(b, field);
+
+                    // Empty values sort last in either direction
+                    if (valueA === null || valueB === null) {
+                        result = valueA === valueB ? 0 : valueA === null ? 1 : -1;
+                        if (result !== 0) return result;
+                        continue;
+                    }
+
+                    result = compare(valueA, valueB);
+                } else {
+                    result = new Date(a.created_at) - new Date(b.created_at);
+                }
+
+                if (result !== 0) {
+                    return direction === 'asc' ? result : -result;
+                }
+            }
+            return 0;
+        });
+    }
+
+    toggleSort(field, addLevel = false) {
+        const definition = DashboardController.SORT_FIELDS[field];
+        if (!definition) return;
+
+        const index = this.sort.findIndex(entry => entry.field === field);
+        const flip = direction => direction === 'asc' ? 'desc' : 'asc';
+
+        if (addLevel && this.sort.length > 0) {
+            if (index > -1) {
+                this.sort[index] = { field, direction: flip(this.sort[index].direction) };
+            } else {
+                this.sort = [this.sort[0], { field, direction: definition.defaultDirection }];
+            }
+        } else if (index === 0) {
+            this.sort = [{ field, direction: flip(this.sort[0].direction) }];
+        } else {
+            this.sort = [{ field, direction: definition.defaultDirection }];
+        }
+
+        this.saveViewState();
+        this.reloadFirstPage();
+    }
+
+    async reloadFirstPage() {
+        if (this.isServerMode()) {
+            this.pagination.currentPage = 1;
+
+            try {
+                Helpers.toggleLoading(true);
+                await this.loadReservationsPage();
+            } catch (error) {
+                console.error('Error reloading reservations:', error);
+                Toast.error('Failed to load reservations');
+            } finally {
+                Helpers.toggleLoading(false);
+            }
+        }
+
+        this.applyFilters();
+        this.renderPage();
+    }
+
+    renderSortableHeader(field, label) {
+        const index = this.sort.findIndex(entry => entry.field === field);
+        const entry = this.sort[index];
+        const icon = !entry ? 'chevrons-up-down' : entry.direction === 'asc' ? 'arrow-up' : 'arrow-down';
+        const ariaSort = !entry ? 'none' : entry.direction === 'asc' ? 'ascending' : 'descending';
+
+        return `
+            <th class="sortable-header ${entry ? 'sortable-header--active' : ''}" aria-sort="${ariaSort}">
+                <button type="button" class="sortable-header__button" data-sort="${field}" title="Click to sort, shift-click to add a secondary sort">
+                    ${label}
+                    <i data-lucide="${icon}" class="icon icon--xs"></i>
+                    ${entry && this.sort.length > 1 ? `<span class="sortable-header__level">${index + 1}</span>` : ''}
+                </button>
+            </th>
+        `;
+    }
+
+    getDateRange() {
+        const from = this.filters.dateFrom ? new Date(this.filters.dateFrom) : null;
+        const to = this.filters.dateTo ? new Date(this.filters.dateTo) : null;
+
+        if (to) {
+            to.setHours(23, 59, 59, 999);
+        }
+
+        return { from, to };
+    }
+
+    calculateStats() {
+        // Server mode gets its totals and hold counts from loadServerStats()
+        if (this.isServerMode()) {
+            this.stats = this.computePeriodStats(this.serverStats.current);
+            this.previousStats = this.computePeriodStats(this.serverStats.previous);
+            return;
+        }
+
+        const { current, previous } = this.getStatsPeriodRanges();
+
+        this.stats = this.computePeriodStats(this.getRowsCreatedBetween(current).map(r => this.toStatusTotal(r)));
+        this.previousStats = this.computePeriodStats(this.getRowsCreatedBetween(previous).map(r => this.toStatusTotal(r)));
+
+        this.detectConflicts();
+        this.countHolds();
+    }
+
+    async refreshStats() {
+        if (this.isServerMode()) {
+            try {
+                Helpers.toggleLoading(true);
+                await this.loadServerStats();
+            } catch (error) {
+                console.error('Error loading reservation stats:', error);
+                Toast.error('Failed to load statistics');
+            } finally {
+                Helpers.toggleLoading(false);
+            }
+        }
+
+        this.calculateStats();
+    }
+
+    /**
+     * A single row in the shape returned by the reservation_status_* functions
+     */
+    toStatusTotal(reservation) {
+        return {
+            status: reservation.status || 'pending',
+            reservations: 1,
+            income: Number(reservation.lot_details?.precio_usd) || 0
+        };
+    }
+
+    detectConflicts(reservations = this.statsRows) {
+        const byLot = new Map();
+
+        // Cancelled reservations no longer hold the lot
+        reservations
+            .filter(r => r.lot_id && r.status !== 'cancelled')
+            .forEach(r => {
+                if (!byLot.has(r.lot_id)) {
+                    byLot.set(r.lot_id, []);
+                }
+                byLot.get(r.lot_id).push(r);
+            });
+
+        this.conflicts = new Map();
+        this.conflictGroups = new Map();
+
+        byLot.forEach((rows, lotId) => {
+            if (rows.length < 2) return;
+
+            const emailCounts = new Map();
+            rows.forEach(r => {
+                const email = this.getEmailKey(r);
+                emailCounts.set(email, (emailCounts.get(email) || 0) + 1);
+            });
+
+            rows.forEach(r => {
+                const types = [];
+                if (emailCounts.size > 1) {
+                    types.push('double-booking');
+                }
+                if (emailCounts.get(this.getEmailKey(r)) > 1) {
+                    types.push('duplicate');
+                }
+                this.conflicts.set(r.id, { lotId, types });
+            });
+
+            this.conflictGroups.set(lotId, {
+                lotId,
+                lotName: rows.find(r => r.lot_details?.nombre)?.lot_details.nombre || lotId,
+                ids: rows.map(r => r.id)
+            });
+        });
+    }
+
+    getEmailKey(reservation) {
+        return reservation.email_lower || (reservation.email || '').trim().toLowerCase();
+    }
+
+    getConflictCount(type = 'all') {
+        return this.isServerMode() ? this.conflictCounts[type] : this.getConflictIds(type).length;
+    }
+
+    getConflictIds(type = 'all') {
+        return [...this.conflicts]
+            .filter(([, conflict]) => type === 'all' || conflict.types.includes(type))
+            .map(([id]) => id);
+    }
+
+    computePeriodStats(totals) {
+        let total = 0;
+
+        // Income is split by status: only confirmed reservations are realized revenue
+        const income = { confirmed: 0, pending: 0, cancelled: 0 };
+        const counts = { confirmed: 0, pending: 0, cancelled: 0 };
+        totals.forEach(({ status, reservations, income: amount }) => {
+            total += Number(reservations);
+            if (status in income) {
+                income[status] += Number(amount) || 0;
+                counts[status] += Number(reservations);
+            }
+        });
+
+        const pending = counts.pending;
+
+        const confirmed = counts.confirmed;
+        const conversionRate = total > 0 ? (confirmed / total) * 100 : 0;
+
+        return {
+            totalReservations: total,
+            realizedIncome: income.confirmed,
+            pipelineIncome: income.pending,
+            lostIncome: income.cancelled,
+            averageTicket: confirmed > 0 ? income.confirmed / confirmed : 0,
+            pendingReservations: pending,
+            conversionRate: conversionRate
+        };
+    }
+
+    getRowsCreatedBetween({ from, to }) {
+        return this.statsRows.filter(r => {
+            const created = new Date(r.created_at);
+            return created >= from && created <= to;
+        });
+    }
+
+    getStatsPeriodRanges() {
+        const now = new Date();
+        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const { preset } = this.statsPeriod;
+
+        if (preset === 'mtd' || preset === 'ytd') {
+            const from = preset === 'mtd'
+                ? new Date(now.getFullYear(), now.getMonth(), 1)
+                : new Date(now.getFullYear(), 0, 1);
+            const previousFrom = preset === 'mtd'
+                ? new Date(now.getFullYear(), now.getMonth() - 1, 1)
+                : new Date(now.getFullYear() - 1, 0, 1);
+
+            // Same elapsed time into the previous month/year, capped at its last day
+            const previousTo = new Date(previousFrom.getTime() + (now - from));
+            const previousEnd = preset === 'mtd'
+                ? new Date(now.getFullYear(), now.getMonth(), 1)
+                : new Date(now.getFullYear(), 0, 1);
+
+            return {
+                current: { from, to: now },
+                previous: { from: previousFrom, to: new Date(Math.min(previousTo, previousEnd - 1)) }
+            };
+        }
+
+        let from;
+        let to = now;
+
+        if (preset === 'custom' && this.statsPeriod.from && this.statsPeriod.to) {
+            from = this.parseDateInput(this.statsPeriod.from);
+            to = this.parseDateInput(this.statsPeriod.to);
+            to.setHours(23, 59, 59, 999);
+        } else {
+            const days = DashboardController.STAT_PERIODS[preset]?.days || 30;
+            from = new Date(startOfToday);
+            from.setDate(from.getDate() - (days - 1));
+        }
+
+        // The previous period is the span of equal length right before the current one
+        const length = to - from;
+        return {
+            current: { from, to },
+            previous: { from: new Date(from - length - 1), to: new Date(from - 1) }
+        };
+    }
+
+    parseDateInput(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    toDateInputValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    getHoldCutoffs() {
+        const now = Date.now();
+        const windowMs = this.holdSettings.holdWindowHours * 60 * 60 * 1000;
+        const soonMs = this.holdSettings.expiringSoonHours * 60 * 60 * 1000;
+
+        return {
+            expiredBefore: new Date(now - windowMs),
+            expiringBefore: new Date(now - windowMs + soonMs)
+        };
+    }
+
+    getHoldInfo(reservation) {
+        if ((reservation.status || 'pending') !== 'pending' || !reservation.reservation_date) {
+            return null;
+        }
+
+        const expiresAt = new Date(reservation.reservation_date);
+        expiresAt.setTime(expiresAt.getTime() + this.holdSettings.holdWindowHours * 60 * 60 * 1000);
+
+        const remaining = expiresAt.getTime() - Date.now();
+        let state = 'active';
+        if (remaining <= 0) {
+            state = 'expired';
+        } else if (remaining <= this.holdSettings.expiringSoonHours * 60 * 60 * 1000) {
+            state = 'expiring';
+        }
+
+        return { state, expiresAt, remaining };
+    }
+
+    countHolds() {
+        this.holdCounts = { expiring: 0, expired: 0 };
+
+        this.statsRows.forEach(r => {
+            const hold = this.getHoldInfo(r);
+            if (hold && hold.state !== 'active') {
+                this.holdCounts[hold.state]++;
+            }
+        });
+    }
+
+    async getExpiredHoldIds() {
+        if (this.isServerMode()) {
+            const rows = await this.fetchAllPages(() => this.whereHold(
+                this.getSupabase()
+                    .from('reservations')
+                    .select('id'),
+                'expired'
+            ).order('id'));
+            return rows.map(r => r.id);
+        }
+
+        return this.statsRows
+            .filter(r => this.getHoldInfo(r)?.state === 'expired')
+            .map(r => r.id);
+    }
+
+    calculateChange(key, options = {}) {
+        const current = this.stats[key];
+        const previous = this.previousStats[key];
+
+        // Rates are compared in percentage points rather than relative change
+        if (options.points) {
+            const diff = current - previous;
+            return { value: Math.abs(diff), direction: Math.sign(diff), unit: ' pts' };
+        }
+
+        if (previous === 0) {
+            return { value: current > 0 ? 100 : 0, direction: current > 0 ? 1 : 0, unit: '%' };
+        }
+
+        const change = ((current - previous) / previous) * 100;
+        return {
+            value: Math.abs(change),
+            direction: Math.sign(change),
+            unit: '%'
+        };
+    }
+
+    renderStatChange(key, options = {}) {
+        const change = this.calculateChange(key, options);
+        const isGood = options.lowerIsBetter ? change.direction < 0 : change.direction > 0;
+        const modifier = change.direction === 0
+            ? 'stat-card__change--muted'
+            : isGood ? 'stat-card__change--positive' : 'stat-card__change--negative';
+        const icon = change.direction < 0 ? 'trending-down' : change.direction > 0 ? 'trending-up' : 'minus';
+        const sign = change.direction < 0 ? '-' : change.direction > 0 ? '+' : '';
+
+        return `
+            <div class="stat-card__change ${modifier}" title="Previous period: ${options.format ? options.format(this.previousStats[key]) : this.previousStats[key]}">
+                <i data-lucide="${icon}" class="icon icon--xs"></i>
+                <span>${sign}${change.value.toFixed(1)}${change.unit}${options.compact ? '' : ` ${this.getComparisonLabel()}`}</span>
+            </div>
+        `;
+    }
+
+    renderIncomeBreakdown() {
+        const money = value => this.formatPrice(value, { withOriginal: true });
+        const rows = [
+            { key: 'realizedIncome', label: 'Confirmed', hint: 'Realized', status: 'confirmed' },
+            { key: 'pipelineIncome', label: 'Pending', hint: 'Pipeline', status: 'pending' },
+            { key: 'lostIncome', label: 'Cancelled', hint: 'Lost', status: 'cancelled', lowerIsBetter: true },
+            { key: 'averageTicket', label: 'Average ticket', hint: 'Per confirmed reservation' }
+        ];
+
+        return `
+            <dl class="income-breakdown ${this.incomeBreakdownOpen ? '' : 'hidden'}" id="income-breakdown">
+                ${rows.map(row => `
+                    <div class="income-breakdown__row">
+                        <dt class="income-breakdown__label">
+                            <span class="income-breakdown__dot" ${row.status ? `style="background-color: ${DashboardController.CHART_SERIES.find(series => series.key === row.status).color}"` : ''}></span>
+                            <span>${row.label}</span>
+                            <span class="income-breakdown__hint">${row.hint}</span>
+                        </dt>
+                        <dd class="income-breakdown__value">
+                            <span>${money(this.stats[row.key])}</span>
+                            ${this.renderStatChange(row.key, { compact: true, lowerIsBetter: row.lowerIsBetter, format: money })}
+                        </dd>
+                    </div>
+                `).join('')}
+            </dl>
+        `;
+    }
+
+    getComparisonLabel() {
+        switch (this.statsPeriod.preset) {
+            case 'mtd':
+                return 'vs same point last month';
+            case 'ytd':
+                return 'vs same point last year';
+            case 'custom':
+                return 'vs previous period';
+            default:
+                return `vs previous ${DashboardController.STAT_PERIODS[this.statsPeriod.preset]?.days || 30} days`;
+        }
+    }
+
+    renderStatsPeriodSelector() {
+        const isCustom = this.statsPeriod.preset === 'custom';
+
+        return `
+            <div class="stats-period">
+                <label class="filter-label" for="stats-period">Period</label>
+                <select class="input__field" id="stats-period">
+                    ${Object.entries(DashboardController.STAT_PERIODS).map(([value, period]) => `
+                        <option value="${value}" ${this.statsPeriod.preset === value ? 'selected' : ''}>${period.label}</option>
+                    `).join('')}
+                </select>
+                ${isCustom ? `
+                    <input type="date" class="input__field" id="stats-period-from" value="${this.statsPeriod.from}" max="${this.statsPeriod.to}">
+                    <span class="filter-range__separator">to</span>
+                    <input type="date" class="input__field" id="stats-period-to" value="${this.statsPeriod.to}" min="${this.statsPeriod.from}">
+                ` : ''}
+            </div>
+        `;
+    }
+
+    async setStatsPeriod(changes) {
+        const next = { ...this.statsPeriod, ...changes };
+
+        if (next.preset === 'custom' && (!next.from || !next.to)) {
+            // Seed the custom range from whatever period was showing
+            const { current } = this.getStatsPeriodRanges();
+            next.from = next.from || this.toDateInputValue(current.from);
+            next.to = next.to || this.toDateInputValue(current.to);
+        }
+
+        if (next.preset === 'custom' && next.from > next.to) {
+            Toast.warning('The start date must be before the end date');
+            this.renderPage();
+            return;
+        }
+
+        this.statsPeriod = next;
+        this.saveViewState();
+        await this.refreshStats();
+        this.renderPage();
+    }
+
+    applyFilters() {
+        // In server mode the current page already holds the filtered rows
+        if (this.isServerMode()) {
+            this.filteredReservations = this.reservations;
+            return;
+        }
+
+        let filtered = [...this.reservations];
+
+        if (this.filters.name.trim()) {
+            const searchTerm = this.filters.name.toLowerCase().trim();
+            filtered = filtered.filter(r => {
+                const fullName = `${r.first_name} ${r.last_name}`.toLowerCase();
+                return fullName.includes(searchTerm);
+            });
+        }
+
+        if (this.filters.priceMin) {
+            const min = parseFloat(this.filters.priceMin);
+            filtered = filtered.filter(r => {
+                const price = r.lot_details?.precio_usd || 0;
+                return price >= min;
+            });
+        }
+
+        if (this.filters.priceMax) {
+            const max = parseFloat(this.filters.priceMax);
+            filtered = filtered.filter(r => {
+                const price = r.lot_details?.precio_usd || 0;
+                return price <= max;
+            });
+        }
+
+        const { from: fromDate, to: toDate } = this.getDateRange();
+
+        if (fromDate) {
+            filtered = filtered.filter(r => {
+                const resDate = new Date(r.reservation_date);
+                return resDate >= fromDate;
+            });
+        }
+
+        if (toDate) {
+            filtered = filtered.filter(r => {
+                const resDate = new Date(r.reservation_date);
+                return resDate <= toDate;
+            });
+        }
+
+        if (this.filters.status) {
+            filtered = filtered.filter(r => r.status === this.filters.status);
+        }
+
+        if (this.filters.conflicts) {
+            const conflictIds = new Set(this.getConflictIds(this.filters.conflicts));
+            filtered = filtered.filter(r => conflictIds.has(r.id));
+        }
+
+        if (this.filters.hold) {
+            filtered = filtered.filter(r => this.getHoldInfo(r)?.state === this.filters.hold);
+        }
+
+        this.filteredReservations = this.sortRows(filtered);
+        this.pagination.currentPage = 1;
+    }
+
+    getActiveFilterChips() {
+        const chips = [];
+
+        if (this.filters.name) {
+            chips.push({ key: 'name', label: `Name: ${this.filters.name}` });
+        }
+        if (this.filters.priceMin || this.filters.priceMax) {
+            // Price filters apply to the stored USD price
+            const min = this.filters.priceMin ? Helpers.formatCurrency(Number(this.filters.priceMin)) : 'Any';
+            const max = this.filters.priceMax ? Helpers.formatCurrency(Number(this.filters.priceMax)) : 'Any';
+            chips.push({ key: 'price', label: `Price: ${min} - ${max}` });
+        }
+        if (this.filters.dateFrom || this.filters.dateTo) {
+            const from = this.filters.dateFrom ? this.formatDateShort(this.filters.dateFrom) : 'Any';
+            const to = this.filters.dateTo ? this.formatDateShort(this.filters.dateTo) : 'Any';
+            chips.push({ key: 'date', label: `Date: ${from} - ${to}` });
+        }
+        if (this.filters.status) {
+            chips.push({ key: 'status', label: `Status: ${this.capitalizeFirst(this.filters.status)}` });
+        }
+        if (this.filters.conflicts) {
+            const label = DashboardController.CONFLICT_TYPES[this.filters.conflicts] || 'All conflicts';
+            chips.push({ key: 'conflicts', label: `Conflicts: ${label}` });
+        }
+        if (this.filters.hold) {
+            chips.push({ key: 'hold', label: `Hold: ${DashboardController.HOLD_FILTERS[this.filters.hold]}` });
+        }
+
+        return chips;
+    }
+
+    getPaginatedReservations() {
+        if (this.isServerMode()) {
+            return this.filteredReservations;
+        }
+
+        const start = (this.pagination.currentPage - 1) * this.pagination.itemsPerPage;
+        const end = start + this.pagination.itemsPerPage;
+        return this.filteredReservations.slice(start, end);
+    }
+
+    getFilteredCount() {
+        return this.isServerMode() ? this.totalCount : this.filteredReservations.length;
+    }
+
+    getTotalPages() {
+        return Math.ceil(this.getFilteredCount() / this.pagination.itemsPerPage);
+    }
+
+    render(container) {
+        const activeFilters = this.getActiveFilterChips();
+        const paginatedData = this.getPaginatedReservations();
+        const totalPages = this.getTotalPages();
+
+        const html = `
+            <div class="page-header">
+                <div>
+                    <h1 class="page-title">Reservation Dashboard</h1>
+                    <p class="page-description">Monitor and manage property reservations</p>
+                </div>
+                <div class="page-actions">
+                    ${this.holdCounts.expired > 0 ? `
+                        <button class="btn btn--destructive" id="cancel-expired-holds">
+                            <i data-lucide="timer-off" class="icon icon--sm"></i>
+                            Cancel Expired (${this.holdCounts.expired})
+                        </button>
+                    ` : ''}
+                    <button class="btn btn--outline" id="hold-settings" title="Hold window: ${this.holdSettings.holdWindowHours} hours">
+                        <i data-lucide="timer" class="icon icon--sm"></i>
+                        Hold Window
+                    </button>
+                    <button class="btn btn--outline" id="copy-dashboard-link" title="Copy a link to this view">
+                        <i data-lucide="link" class="icon icon--sm"></i>
+                        Share
+                    </button>
+                    <button class="btn btn--outline" id="export-reservations">
+                        <i data-lucide="download" class="icon icon--sm"></i>
+                        Export
+                    </button>
+                    <button class="btn btn--outline" id="refresh-dashboard">
+                        <i data-lucide="refresh-cw" class="icon icon--sm"></i>
+                        Refresh
+                    </button>
+                    <button class="btn btn--primary" id="new-reservation">
+                        <i data-lucide="plus" class="icon icon--sm"></i>
+                        New Reservation
+                    </button>
+                </div>
+            </div>
+
+            ${this.renderStatsPeriodSelector()}
+
+            <div class="dashboard-stats">
+                <div class="stat-card stat-card--dark">
+                    <div class="stat-card__header">
+                        <span class="stat-card__title">Total Reservations</span>
+                        <div class="stat-card__icon">
+                            <i data-lucide="file-text" class="icon icon--md"></i>
+                        </div>
+                    </div>
+                    <div class="stat-card__value">${this.stats.totalReservations}</div>
+                    ${this.renderStatChange('totalReservations')}
+                </div>
+
+                <div class="stat-card stat-card--expandable">
+                    <div class="stat-card__header">
+                        <span class="stat-card__title">Confirmed Income</span>
+                        <div class="stat-card__icon">
+                            <i data-lucide="dollar-sign" class="icon icon--md"></i>
+                        </div>
+                    </div>
+                    <div class="stat-card__value">${this.renderPrice(this.stats.realizedIncome)}</div>
+                    ${this.renderStatChange('realizedIncome', { format: value => this.formatPrice(value, { withOriginal: true }) })}
+                    <button
+                        type="button"
+                        class="stat-card__toggle"
+                        id="income-breakdown-toggle"
+                        aria-expanded="${this.incomeBreakdownOpen}"
+                        aria-controls="income-breakdown"
+                    >
+                        <span>${this.formatPrice(this.stats.pipelineIncome)} pending · breakdown</span>
+                        <i data-lucide="chevron-down" class="icon icon--xs"></i>
+                    </button>
+                    ${this.renderIncomeBreakdown()}
+                </div>
+
+                <div class="stat-card">
+                    <div class="stat-card__header">
+                        <span class="stat-card__title">Pending Reservations</span>
+                        <div class="stat-card__icon">
+                            <i data-lucide="clock" class="icon icon--md"></i>
+                        </div>
+                    </div>
+                    <div class="stat-card__value">${this.stats.pendingReservations}</div>
+                    ${this.renderStatChange('pendingReservations', { lowerIsBetter: true })}
+                </div>
+
+                <div class="stat-card">
+                    <div class="stat-card__header">
+                        <span class="stat-card__title">Conversion Rate</span>
+                        <div class="stat-card__icon">
+                            <i data-lucide="check-circle" class="icon icon--md"></i>
+                        </div>
+                    </div>
+                    <div class="stat-card__value">${this.stats.conversionRate.toFixed(1)}%</div>
+                    ${this.renderStatChange('conversionRate', { points: true, format: value => `${value.toFixed(1)}%` })}
+                </div>
+            </div>
+
+            <div class="chart-container reservation-chart">
+                <div class="reservation-chart__header">
+                    <h3 class="chart-title">Reservations by reservation date</h3>
+                    <div class="reservation-chart__controls">
+                        <select class="input__field" id="chart-metric" aria-label="Chart metric">
+                            <option value="count" ${this.chartSettings.metric === 'count' ? 'selected' : ''}>Reservations</option>
+                            <option value="income" ${this.chartSettings.metric === 'income' ? 'selected' : ''}>Reserved income (${this.displayCurrency})</option>
+                        </select>
+                        <select class="input__field" id="chart-granularity" aria-label="Chart interval">
+                            ${Object.entries(DashboardController.CHART_GRANULARITIES).map(([value, label]) => `
+                                <option value="${value}" ${this.chartSettings.granularity === value ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div id="reservation-chart"></div>
+            </div>
+
+            <div class="filters-panel">
+                <div class="filters-panel__header">
+                    <h3 class="filters-panel__title">
+                        <i data-lucide="filter" class="icon icon--sm"></i>
+                        Filter Reservations
+                    </h3>
+                    <div class="filters-panel__actions">
+                        ${this.renderSavedViews()}
+                        ${activeFilters.length > 0 ? `
+                            <button class="btn btn--ghost btn--sm" id="clear-all-filters">
+                                <i data-lucide="x" class="icon icon--xs"></i>
+                                Clear All
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+
+                <div class="filters-panel__controls">
                     <div class="filter-group">
                         <label class="filter-label">Name</label>
                         <input
@@ -295,441 +1738,2805 @@ class DashboardController {
                             class="input__field"
                             id="filter-name"
                             placeholder="Search by name..."
-                            value="${this.filters.name}"
+                            value="${Helpers.escapeHtml(this.filters.name)}"
                         >
                     </div>
 
-                    <div class="filter-group">
-                        <label class="filter-label">Price Range (USD)</label>
-                        <div class="filter-range">
-                            <input
-                                type="number"
-                                class="input__field"
-                                id="filter-price-min"
-                                placeholder="Min"
-                                value="${this.filters.priceMin}"
-                            >
-                            <span class="filter-range__separator">to</span>
-                            <input
-                                type="number"
-                                class="input__field"
-                                id="filter-price-max"
-                                placeholder="Max"
-                                value="${this.filters.priceMax}"
-                            >
+                    <div class="filter-group">
+                        <label class="filter-label">Price Range (USD)</label>
+                        <div class="filter-range">
+                            <input
+                                type="number"
+                                class="input__field"
+                                id="filter-price-min"
+                                placeholder="Min"
+                                value="${Helpers.escapeHtml(this.filters.priceMin)}"
+                            >
+                            <span class="filter-range__separator">to</span>
+                            <input
+                                type="number"
+                                class="input__field"
+                                id="filter-price-max"
+                                placeholder="Max"
+                                value="${Helpers.escapeHtml(this.filters.priceMax)}"
+                            >
+                        </div>
+                    </div>
+
+                    <div class="filter-group">
+                        <label class="filter-label">Date Range</label>
+                        <div class="filter-range">
+                            <input
+                                type="date"
+                                class="input__field"
+                                id="filter-date-from"
+                                value="${Helpers.escapeHtml(this.filters.dateFrom)}"
+                            >
+                            <span class="filter-range__separator">to</span>
+                            <input
+                                type="date"
+                                class="input__field"
+                                id="filter-date-to"
+                                value="${Helpers.escapeHtml(this.filters.dateTo)}"
+                            >
+                        </div>
+                    </div>
+
+                    <div class="filter-group">
+                        <label class="filter-label">Status</label>
+                        <select class="input__field" id="filter-status">
+                            <option value="">All statuses</option>
+                            <option value="pending" ${this.filters.status === 'pending' ? 'selected' : ''}>Pending</option>
+                            <option value="confirmed" ${this.filters.status === 'confirmed' ? 'selected' : ''}>Confirmed</option>
+                            <option value="cancelled" ${this.filters.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
+                        </select>
+                    </div>
+
+                    <div class="filter-group">
+                        <label class="filter-label">Conflicts</label>
+                        <select class="input__field" id="filter-conflicts">
+                            <option value="">All reservations</option>
+                            <option value="all" ${this.filters.conflicts === 'all' ? 'selected' : ''}>Any conflict (${this.getConflictCount()})</option>
+                            ${Object.entries(DashboardController.CONFLICT_TYPES).map(([type, label]) => `
+                                <option value="${type}" ${this.filters.conflicts === type ? 'selected' : ''}>${label} (${this.getConflictCount(type)})</option>
+                            `).join('')}
+                        </select>
+                    </div>
+
+                    <div class="filter-group">
+                        <label class="filter-label">Hold</label>
+                        <select class="input__field" id="filter-hold">
+                            <option value="">Any hold</option>
+                            ${Object.entries(DashboardController.HOLD_FILTERS).map(([value, label]) => `
+                                <option value="${value}" ${this.filters.hold === value ? 'selected' : ''}>${label} (${this.holdCounts[value]})</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+
+                ${activeFilters.length > 0 ? `
+                    <div class="filter-chips">
+                        ${activeFilters.map(chip => `
+                            <div class="filter-chip" data-filter-key="${chip.key}">
+                                <span>${Helpers.escapeHtml(chip.label)}</span>
+                                <button class="filter-chip__remove" aria-label="Remove filter">
+                                    <i data-lucide="x" class="icon icon--xs"></i>
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                <div class="filters-panel__results">
+                    <span>Showing ${this.getFilteredCount()} of ${this.getReservationTotal()} reservations</span>
+                    <label class="page-size-control">
+                        <span>Rows per page</span>
+                        <select class="input__field" id="page-size">
+                            ${DashboardController.PAGE_SIZES.map(size => `
+                                <option value="${size}" ${this.pagination.itemsPerPage === size ? 'selected' : ''}>${size}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="filter-mode-toggle" title="Filter and paginate in the browser. Recommended for small datasets only.">
+                        <input type="checkbox" id="filter-mode-toggle" ${this.isServerMode() ? '' : 'checked'}>
+                        <span>Client-side filtering</span>
+                    </label>
+                </div>
+            </div>
+
+            <div class="reservations-table-container">
+                <div class="table-header">
+                    <h3 class="table-title">
+                        Recent Reservations
+                        ${this.renderRealtimeIndicator()}
+                    </h3>
+                    <button class="btn btn--ghost btn--sm">
+                        <i data-lucide="settings" class="icon icon--sm"></i>
+                    </button>
+                </div>
+
+                <div class="bulk-action-bar ${this.selectedIds.size > 0 ? '' : 'hidden'}" id="bulk-action-bar">
+                    ${this.renderBulkActionBar()}
+                </div>
+
+                ${this.filteredReservations.length > 0 ? `
+                    <div class="table-wrapper">
+                        <table class="reservations-table">
+                            <thead>
+                                <tr>
+                                    <th class="table-cell-select">
+                                        <input type="checkbox" class="checkbox" id="select-page" aria-label="Select all reservations on this page">
+                                    </th>
+                                    ${this.renderSortableHeader('name', 'Name')}
+                                    ${this.renderSortableHeader('email', 'Email')}
+                                    <th>Phone</th>
+                                    <th>Lot</th>
+                                    ${this.renderSortableHeader('price', 'Price')}
+                                    ${this.renderSortableHeader('reservation_date', 'Date')}
+                                    ${this.renderSortableHeader('status', 'Status')}
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${paginatedData.map(reservation => this.renderReservationRow(reservation)).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    ${totalPages > 1 ? `
+                        <div class="table-pagination">
+                            <button
+                                class="btn btn--outline btn--sm"
+                                id="prev-page"
+                                ${this.pagination.currentPage === 1 ? 'disabled' : ''}
+                            >
+                                <i data-lucide="chevron-left" class="icon icon--sm"></i>
+                                Previous
+                            </button>
+
+                            <div class="pagination-pages">
+                                ${this.renderPaginationPages(totalPages)}
+                            </div>
+
+                            <button
+                                class="btn btn--outline btn--sm"
+                                id="next-page"
+                                ${this.pagination.currentPage === totalPages ? 'disabled' : ''}
+                            >
+                                Next
+                                <i data-lucide="chevron-right" class="icon icon--sm"></i>
+                            </button>
+                        </div>
+                    ` : ''}
+                ` : `
+                    <div class="empty-state">
+                        <i data-lucide="inbox" class="icon" style="width: 3rem; height: 3rem; margin-bottom: 1rem; color: var(--muted-foreground);"></i>
+                        <h3>No reservations found</h3>
+                        <p>Try adjusting your filters or check back later</p>
+                    </div>
+                `}
+            </div>
+        `;
+
+        container.innerHTML = html;
+        lucide.createIcons();
+        this.mountChart();
+    }
+
+    mountChart() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+
+        const element = document.getElementById('reservation-chart');
+        if (!element) return;
+
+        const isIncome = this.chartSettings.metric === 'income';
+
+        this.chart = new StackedBarChart(element, {
+            title: isIncome ? 'Reserved income over time' : 'Reservations over time',
+            series: DashboardController.CHART_SERIES,
+            hiddenSeries: this.chartSettings.hiddenSeries,
+            integerSteps: !isIncome,
+            formatValue: value => isIncome ? this.formatPrice(value, { withOriginal: true }) : String(value),
+            formatAxis: value => isIncome ? this.formatCompact(value) : String(value),
+            onBarClick: bucket => this.applyChartRange(bucket),
+            onToggleSeries: hiddenSeries => {
+                this.chartSettings.hiddenSeries = hiddenSeries;
+                this.saveViewState();
+            }
+        });
+
+        this.chart.setData(this.getChartBuckets());
+    }
+
+    async setChartSettings(changes) {
+        const regroup = changes.granularity && changes.granularity !== this.chartSettings.granularity;
+        this.chartSettings = { ...this.chartSettings, ...changes };
+        this.saveViewState();
+
+        if (regroup && this.isServerMode()) {
+            try {
+                Helpers.toggleLoading(true);
+                this.serverStats.chartRows = await this.fetchChartRows();
+            } catch (error) {
+                console.error('Error loading chart data:', error);
+                Toast.error('Failed to load chart data');
+            } finally {
+                Helpers.toggleLoading(false);
+            }
+        }
+
+        this.mountChart();
+    }
+
+    getChartBuckets() {
+        const { current } = this.getStatsPeriodRanges();
+        const { granularity, metric } = this.chartSettings;
+        const buckets = new Map();
+
+        let start = this.getBucketStart(current.from, granularity);
+        while (start <= current.to) {
+            const next = this.getNextBucketStart(start, granularity);
+            buckets.set(start.getTime(), {
+                from: start,
+                to: new Date(next - 1),
+                label: granularity === 'month'
+                    ? start.toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
+                    : this.formatDateShort(start),
+                title: granularity === 'month'
+                    ? start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+                    : `${granularity === 'week' ? 'Week of ' : ''}${this.formatDate(start)}`,
+                values: { confirmed: 0, pending: 0, cancelled: 0 }
+            });
+            start = next;
+        }
+
+        this.getChartTotals(current).forEach(({ start, status, reservations, income }) => {
+            const bucket = buckets.get(start);
+            if (!bucket || !(status in bucket.values)) return;
+
+            bucket.values[status] += metric === 'income' ? Number(income) || 0 : Number(reservations);
+        });
+
+        return [...buckets.values()];
+    }
+
+    getChartTotals(range) {
+        if (this.isServerMode()) {
+            return this.serverStats.chartRows.map(row => ({ ...row, start: this.parseDateInput(row.bucket).getTime() }));
+        }
+
+        const { granularity } = this.chartSettings;
+
+        return this.statsRows
+            .filter(r => {
+                if (!r.reservation_date) return false;
+                const date = new Date(r.reservation_date);
+                return date >= range.from && date <= range.to;
+            })
+            .map(r => ({
+                ...this.toStatusTotal(r),
+                start: this.getBucketStart(new Date(r.reservation_date), granularity).getTime()
+            }));
+    }
+
+    getBucketStart(date, granularity) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+        if (granularity === 'week') {
+            // Weeks start on Monday
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        } else if (granularity === 'month') {
+            start.setDate(1);
+        }
+
+        return start;
+    }
+
+    getNextBucketStart(start, granularity) {
+        const next = new Date(start);
+
+        if (granularity === 'month') {
+            next.setMonth(next.getMonth() + 1);
+        } else {
+            next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+        }
+
+        return next;
+    }
+
+    applyChartRange(bucket) {
+        const { current } = this.getStatsPeriodRanges();
+        const from = new Date(Math.max(bucket.from, current.from));
+        const to = new Date(Math.min(bucket.to, current.to));
+
+        this.filters.dateFrom = this.toDateInputValue(from);
+        this.filters.dateTo = this.toDateInputValue(to);
+        this.applyFiltersAndRender();
+
+        const table = document.querySelector('.reservations-table-container');
+        if (table) {
+            table.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    renderReservationRow(reservation) {
+        const lotName = reservation.lot_details?.nombre || 'N/A';
+        const lotPrice = reservation.lot_details?.precio_usd || 0;
+        const statusClass = this.getStatusClass(reservation.status);
+
+        return `
+            <tr class="reservation-row" data-reservation-id="${reservation.id}">
+                <td class="table-cell-select">
+                    <input
+                        type="checkbox"
+                        class="checkbox"
+                        data-select-id="${reservation.id}"
+                        aria-label="Select reservation"
+                        ${this.selectedIds.has(reservation.id) ? 'checked' : ''}
+                    >
+                </td>
+                <td class="table-cell-name">
+                    <div class="cell-content">
+                        <span class="cell-primary">${Helpers.escapeHtml(reservation.first_name)} ${Helpers.escapeHtml(reservation.last_name)}</span>
+                    </div>
+                </td>
+                <td>${Helpers.escapeHtml(reservation.email)}</td>
+                <td>${Helpers.escapeHtml(reservation.phone || 'N/A')}</td>
+                <td>
+                    <span class="lot-badge">${Helpers.escapeHtml(lotName)}</span>
+                    ${this.renderConflictBadge(reservation)}
+                </td>
+                <td class="table-cell-price">${this.renderPrice(lotPrice)}</td>
+                <td>${this.formatDate(reservation.reservation_date)}</td>
+                <td>
+                    <span class="status-badge ${statusClass}">
+                        ${this.capitalizeFirst(reservation.status || 'pending')}
+                    </span>
+                    ${this.renderHoldBadge(reservation)}
+                </td>
+                <td class="table-cell-actions">
+                    <button class="btn btn--ghost btn--sm" data-action="options" data-id="${reservation.id}">
+                        <i data-lucide="more-horizontal" class="icon icon--sm"></i>
+                    </button>
+                    <button class="btn btn--outline btn--sm" data-action="details" data-id="${reservation.id}">
+                        Details
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    renderHoldBadge(reservation) {
+        const hold = this.getHoldInfo(reservation);
+        if (!hold) return '';
+
+        const label = hold.state === 'expired' ? 'Expired' : `${this.formatRemaining(hold.remaining)} left`;
+
+        return `
+            <span class="hold-badge hold-badge--${hold.state}" data-hold-id="${reservation.id}" title="Hold expires ${hold.expiresAt.toLocaleString()}">
+                ${label}
+            </span>
+        `;
+    }
+
+    formatRemaining(ms) {
+        const minutes = Math.max(Math.floor(ms / 60000), 1);
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        return `${minutes}m`;
+    }
+
+    startHoldTimer() {
+        this.stopHoldTimer();
+        this.holdTimer = setInterval(() => this.refreshHoldBadges(), DashboardController.HOLD_REFRESH_INTERVAL);
+    }
+
+    stopHoldTimer() {
+        if (this.holdTimer) {
+            clearInterval(this.holdTimer);
+            this.holdTimer = null;
+        }
+    }
+
+    refreshHoldBadges() {
+        document.querySelectorAll('[data-hold-id]').forEach(badge => {
+            const row = this.getKnownRow(badge.dataset.holdId);
+            if (row) {
+                badge.outerHTML = this.renderHoldBadge(row);
+            }
+        });
+    }
+
+    renderConflictBadge(reservation) {
+        const conflict = this.conflicts.get(reservation.id);
+        if (!conflict) return '';
+
+        const labels = conflict.types.map(type => DashboardController.CONFLICT_TYPES[type]).join(', ');
+        const group = this.conflictGroups.get(conflict.lotId);
+
+        return `
+            <span class="conflict-badge" title="${Helpers.escapeHtml(labels)}">
+                <i data-lucide="alert-triangle" class="icon icon--sm"></i>
+                ${group.ids.length}x
+            </span>
+        `;
+    }
+
+    renderPaginationPages(totalPages) {
+        const current = this.pagination.currentPage;
+        const pages = [];
+
+        if (totalPages <= 7) {
+            for (let i = 1; i <= totalPages; i++) {
+                pages.push(i);
+            }
+        } else {
+            if (current <= 4) {
+                pages.push(1, 2, 3, 4, 5, '...', totalPages);
+            } else if (current >= totalPages - 3) {
+                pages.push(1, '...', totalPages - 4, totalPages - 3, totalPages - 2, totalPages - 1, totalPages);
+            } else {
+                pages.push(1, '...', current - 1, current, current + 1, '...', totalPages);
+            }
+        }
+
+        return pages.map(page => {
+            if (page === '...') {
+                return '<span class="pagination-ellipsis">...</span>';
+            }
+            return `
+                <button
+                    class="pagination-page ${page === current ? 'active' : ''}"
+                    data-page="${page}"
+                >
+                    ${page}
+                </button>
+            `;
+        }).join('');
+    }
+
+    setupEventListeners() {
+        const refreshBtn = document.getElementById('refresh-dashboard');
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', () => this.refresh());
+        }
+
+        const exportBtn = document.getElementById('export-reservations');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.openExportDialog());
+        }
+
+        document.querySelectorAll('[data-sort]').forEach(button => {
+            button.addEventListener('click', (e) => this.toggleSort(button.dataset.sort, e.shiftKey));
+        });
+
+        const chartMetric = document.getElementById('chart-metric');
+        if (chartMetric) {
+            chartMetric.addEventListener('change', (e) => this.setChartSettings({ metric: e.target.value }));
+        }
+
+        const chartGranularity = document.getElementById('chart-granularity');
+        if (chartGranularity) {
+            chartGranularity.addEventListener('change', (e) => this.setChartSettings({ granularity: e.target.value }));
+        }
+
+        const periodSelect = document.getElementById('stats-period');
+        if (periodSelect) {
+            periodSelect.addEventListener('change', (e) => this.setStatsPeriod({ preset: e.target.value }));
+        }
+
+        const periodFrom = document.getElementById('stats-period-from');
+        if (periodFrom) {
+            periodFrom.addEventListener('change', (e) => {
+                if (e.target.value) this.setStatsPeriod({ from: e.target.value });
+            });
+        }
+
+        const periodTo = document.getElementById('stats-period-to');
+        if (periodTo) {
+            periodTo.addEventListener('change', (e) => {
+                if (e.target.value) this.setStatsPeriod({ to: e.target.value });
+            });
+        }
+
+        const savedViewSelect = document.getElementById('saved-view-select');
+        if (savedViewSelect) {
+            savedViewSelect.addEventListener('change', (e) => this.selectSavedView(e.target.value));
+        }
+
+        const saveViewBtn = document.getElementById('saved-view-create');
+        if (saveViewBtn) {
+            saveViewBtn.addEventListener('click', () => this.openSaveViewDialog());
+        }
+
+        const updateViewBtn = document.getElementById('saved-view-update');
+        if (updateViewBtn) {
+            updateViewBtn.addEventListener('click', () => this.updateActiveView());
+        }
+
+        const manageViewsBtn = document.getElementById('saved-view-manage');
+        if (manageViewsBtn) {
+            manageViewsBtn.addEventListener('click', () => this.openManageViewsDialog());
+        }
+
+        const pageSizeSelect = document.getElementById('page-size');
+        if (pageSizeSelect) {
+            pageSizeSelect.addEventListener('change', (e) => this.setPageSize(Number(e.target.value)));
+        }
+
+        const incomeToggle = document.getElementById('income-breakdown-toggle');
+        if (incomeToggle) {
+            incomeToggle.addEventListener('click', () => {
+                this.incomeBreakdownOpen = !this.incomeBreakdownOpen;
+                incomeToggle.setAttribute('aria-expanded', String(this.incomeBreakdownOpen));
+                document.getElementById('income-breakdown').classList.toggle('hidden', !this.incomeBreakdownOpen);
+            });
+        }
+
+        const newReservationBtn = document.getElementById('new-reservation');
+        if (newReservationBtn) {
+            newReservationBtn.addEventListener('click', () => this.openNewReservationDialog());
+        }
+
+        const shareBtn = document.getElementById('copy-dashboard-link');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.copyShareLink());
+        }
+
+        const holdSettingsBtn = document.getElementById('hold-settings');
+        if (holdSettingsBtn) {
+            holdSettingsBtn.addEventListener('click', () => this.openHoldSettingsDialog());
+        }
+
+        const cancelExpiredBtn = document.getElementById('cancel-expired-holds');
+        if (cancelExpiredBtn) {
+            cancelExpiredBtn.addEventListener('click', () => this.openCancelExpiredDialog());
+        }
+
+        const nameInput = document.getElementById('filter-name');
+        if (nameInput) {
+            nameInput.addEventListener('input', Helpers.debounce((e) => {
+                this.filters.name = e.target.value;
+                this.applyFiltersAndRender();
+            }, 300));
+        }
+
+        const priceMinInput = document.getElementById('filter-price-min');
+        if (priceMinInput) {
+            priceMinInput.addEventListener('input', Helpers.debounce((e) => {
+                this.filters.priceMin = e.target.value;
+                this.applyFiltersAndRender();
+            }, 300));
+        }
+
+        const priceMaxInput = document.getElementById('filter-price-max');
+        if (priceMaxInput) {
+            priceMaxInput.addEventListener('input', Helpers.debounce((e) => {
+                this.filters.priceMax = e.target.value;
+                this.applyFiltersAndRender();
+            }, 300));
+        }
+
+        const dateFromInput = document.getElementById('filter-date-from');
+        if (dateFromInput) {
+            dateFromInput.addEventListener('change', (e) => {
+                this.filters.dateFrom = e.target.value;
+                this.applyFiltersAndRender();
+            });
+        }
+
+        const dateToInput = document.getElementById('filter-date-to');
+        if (dateToInput) {
+            dateToInput.addEventListener('change', (e) => {
+                this.filters.dateTo = e.target.value;
+                this.applyFiltersAndRender();
+            });
+        }
+
+        const statusSelect = document.getElementById('filter-status');
+        if (statusSelect) {
+            statusSelect.addEventListener('change', (e) => {
+                this.filters.status = e.target.value;
+                this.applyFiltersAndRender();
+            });
+        }
+
+        const holdSelect = document.getElementById('filter-hold');
+        if (holdSelect) {
+            holdSelect.addEventListener('change', (e) => {
+                this.filters.hold = e.target.value;
+                this.applyFiltersAndRender();
+            });
+        }
+
+        const conflictsSelect = document.getElementById('filter-conflicts');
+        if (conflictsSelect) {
+            conflictsSelect.addEventListener('change', (e) => {
+                this.filters.conflicts = e.target.value;
+                this.applyFiltersAndRender();
+            });
+        }
+
+        const filterModeToggle = document.getElementById('filter-mode-toggle');
+        if (filterModeToggle) {
+            filterModeToggle.addEventListener('change', (e) => {
+                this.setFilterMode(e.target.checked
+                    ? DashboardController.FILTER_MODES.CLIENT
+                    : DashboardController.FILTER_MODES.SERVER);
+            });
+        }
+
+        const clearAllBtn = document.getElementById('clear-all-filters');
+        if (clearAllBtn) {
+            clearAllBtn.addEventListener('click', () => this.clearAllFilters());
+        }
+
+        const filterChips = document.querySelectorAll('.filter-chip__remove');
+        filterChips.forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                const filterKey = e.currentTarget.closest('.filter-chip').dataset.filterKey;
+                this.removeFilter(filterKey);
+            });
+        });
+
+        const prevPageBtn = document.getElementById('prev-page');
+        if (prevPageBtn) {
+            prevPageBtn.addEventListener('click', () => this.changePage(this.pagination.currentPage - 1));
+        }
+
+        const nextPageBtn = document.getElementById('next-page');
+        if (nextPageBtn) {
+            nextPageBtn.addEventListener('click', () => this.changePage(this.pagination.currentPage + 1));
+        }
+
+        const pageButtons = document.querySelectorAll('.pagination-page');
+        pageButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const page = parseInt(e.currentTarget.dataset.page);
+                this.changePage(page);
+            });
+        });
+
+        const selectPage = document.getElementById('select-page');
+        if (selectPage) {
+            selectPage.addEventListener('change', (e) => this.togglePageSelection(e.target.checked));
+        }
+
+        const rowCheckboxes = document.querySelectorAll('[data-select-id]');
+        rowCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.toggleSelection(e.target.dataset.selectId, e.target.checked);
+            });
+        });
+
+        this.updateSelectionUI();
+
+        const detailButtons = document.querySelectorAll('[data-action="details"]');
+        detailButtons.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const id = e.currentTarget.dataset.id;
+                this.showReservationDetails(id);
+            });
+        });
+    }
+
+    async applyFiltersAndRender() {
+        this.selectedIds.clear();
+
+        if (this.isServerMode()) {
+            this.pagination.currentPage = 1;
+
+            try {
+                Helpers.toggleLoading(true);
+                await this.loadReservationsPage();
+            } catch (error) {
+                console.error('Error applying filters:', error);
+                Toast.error('Failed to load filtered reservations');
+            } finally {
+                Helpers.toggleLoading(false);
+            }
+        }
+
+        this.applyFilters();
+        this.renderPage();
+    }
+
+    renderPage() {
+        const container = document.getElementById('page-content');
+        if (container) {
+            this.render(container);
+            this.setupEventListeners();
+            this.syncUrl();
+        }
+    }
+
+    async setFilterMode(mode) {
+        if (mode === this.filterMode) return;
+
+        this.filterMode = mode;
+        this.pagination.currentPage = 1;
+        this.saveViewState();
+
+        try {
+            Helpers.toggleLoading(true);
+            await this.loadReservations();
+            this.calculateStats();
+            this.applyFilters();
+        } catch (error) {
+            console.error('Error switching filter mode:', error);
+            Toast.error('Failed to reload reservations');
+        } finally {
+            Helpers.toggleLoading(false);
+        }
+
+        this.renderPage();
+    }
+
+    clearAllFilters() {
+        this.filters = { ...DashboardController.DEFAULT_FILTERS };
+        this.applyFiltersAndRender();
+    }
+
+    removeFilter(filterKey) {
+        switch (filterKey) {
+            case 'name':
+                this.filters.name = '';
+                break;
+            case 'price':
+                this.filters.priceMin = '';
+                this.filters.priceMax = '';
+                break;
+            case 'date':
+                this.filters.dateFrom = '';
+                this.filters.dateTo = '';
+                break;
+            case 'status':
+                this.filters.status = '';
+                break;
+            case 'conflicts':
+                this.filters.conflicts = '';
+                break;
+            case 'hold':
+                this.filters.hold = '';
+                break;
+        }
+        this.applyFiltersAndRender();
+    }
+
+    async changePage(page) {
+        const totalPages = this.getTotalPages();
+        if (page < 1 || page > totalPages) return;
+
+        this.pagination.currentPage = page;
+
+        if (this.isServerMode()) {
+            try {
+                Helpers.toggleLoading(true);
+                await this.loadReservationsPage();
+            } catch (error) {
+                console.error('Error changing page:', error);
+                Toast.error('Failed to load reservations');
+                return;
+            } finally {
+                Helpers.toggleLoading(false);
+            }
+        }
+
+        this.renderPage();
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    showReservationDetails(id) {
+        const reservation = this.reservations.find(r => r.id === id);
+        if (!reservation) return;
+
+        const modal = new Modal({
+            title: 'Reservation Details',
+            content: this.renderReservationDetails(reservation),
+            size: 'medium'
+        });
+
+        modal.open();
+        this.setupDetailsListeners(modal, reservation);
+    }
+
+    renderReservationDetails(reservation) {
+        const lotDetails = reservation.lot_details || {};
+        const canUpdateStatus = this.getAllowedTransitions(reservation.status).length > 0;
+        const conflict = this.conflicts.get(reservation.id);
+
+        return `
+            <div class="reservation-details">
+                ${conflict ? this.renderConflictAlert(conflict) : ''}
+
+                <div class="detail-section">
+                    <h4 class="detail-section__title">Client Information</h4>
+                    <div class="detail-row">
+                        <span class="detail-label">Name:</span>
+                        <span class="detail-value">${Helpers.escapeHtml(reservation.first_name)} ${Helpers.escapeHtml(reservation.last_name)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Email:</span>
+                        <span class="detail-value">${Helpers.escapeHtml(reservation.email)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Phone:</span>
+                        <span class="detail-value">${Helpers.escapeHtml(reservation.phone || 'N/A')}</span>
+                    </div>
+                </div>
+
+                <div class="detail-section">
+                    <h4 class="detail-section__title">Lot Information</h4>
+                    <div class="detail-row">
+                        <span class="detail-label">Lot:</span>
+                        <span class="detail-value">${Helpers.escapeHtml(lotDetails.nombre || 'N/A')}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Price:</span>
+                        <span class="detail-value">${this.renderPrice(Number(lotDetails.precio_usd) || 0)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Area:</span>
+                        <span class="detail-value">${lotDetails.area_m2 ? `${lotDetails.area_m2} m²` : 'N/A'}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Dimensions:</span>
+                        <span class="detail-value">${Helpers.escapeHtml(lotDetails.lados || 'N/A')}</span>
+                    </div>
+                </div>
+
+                <div class="detail-section">
+                    <h4 class="detail-section__title">Reservation Details</h4>
+                    <div class="detail-row">
+                        <span class="detail-label">Status:</span>
+                        <span class="status-badge ${this.getStatusClass(reservation.status)}">
+                            ${this.capitalizeFirst(reservation.status || 'pending')}
+                        </span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Reservation Date:</span>
+                        <span class="detail-value">${this.formatDate(reservation.reservation_date)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Created:</span>
+                        <span class="detail-value">${this.formatDate(reservation.created_at)}</span>
+                    </div>
+                    ${reservation.confirmed_at ? `
+                        <div class="detail-row">
+                            <span class="detail-label">Confirmed:</span>
+                            <span class="detail-value">${this.formatDate(reservation.confirmed_at)}</span>
+                        </div>
+                    ` : ''}
+                    ${reservation.cancelled_at ? `
+                        <div class="detail-row">
+                            <span class="detail-label">Cancelled:</span>
+                            <span class="detail-value">${this.formatDate(reservation.cancelled_at)}</span>
+                        </div>
+                    ` : ''}
+                    ${reservation.cancellation_reason ? `
+                        <div class="detail-row">
+                            <span class="detail-label">Cancellation Reason:</span>
+                            <span class="detail-value">${Helpers.escapeHtml(reservation.cancellation_reason)}</span>
+                        </div>
+                    ` : ''}
+                    ${reservation.additional_message ? `
+                        <div class="detail-row">
+                            <span class="detail-label">Message:</span>
+                            <span class="detail-value">${Helpers.escapeHtml(reservation.additional_message)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+
+                <div class="detail-section">
+                    <h4 class="detail-section__title">Activity</h4>
+                    <form class="activity-composer" id="activity-composer" novalidate>
+                        <div class="form-group" id="activity-body-group">
+                            <div class="activity-composer__row">
+                                <select class="input__field" id="activity-type" aria-label="Activity type">
+                                    ${ReservationActivity.MANUAL_TYPES.map(type => `
+                                        <option value="${type}">${ReservationActivity.TYPES[type].label}</option>
+                                    `).join('')}
+                                </select>
+                                <button type="submit" class="btn btn--primary btn--sm" data-modal-action="add-activity">Add</button>
+                            </div>
+                            <textarea
+                                class="input__field input__field--textarea"
+                                id="activity-body"
+                                rows="2"
+                                placeholder="Add an internal note, call summary or email you sent"
+                            ></textarea>
+                            <div class="form-error">Write something before adding it to the timeline</div>
+                        </div>
+                    </form>
+                    <div class="activity-timeline" id="activity-timeline" data-reservation-id="${reservation.id}">
+                        <p class="activity-timeline__empty">Loading activity…</p>
+                    </div>
+                </div>
+
+                <div class="modal-actions">
+                    <button class="btn btn--outline" data-modal-action="close">Close</button>
+                    <button class="btn btn--outline" data-modal-action="edit-lead">
+                        <i data-lucide="pencil" class="icon icon--sm"></i>
+                        Edit Details
+                    </button>
+                    <button class="btn btn--outline" data-modal-action="send-message">
+                        <i data-lucide="send" class="icon icon--sm"></i>
+                        Send Message
+                    </button>
+                    <button class="btn btn--outline" data-modal-action="receipt">
+                        <i data-lucide="receipt" class="icon icon--sm"></i>
+                        Receipt
+                    </button>
+                    ${conflict ? `
+                        <button class="btn btn--outline" data-modal-action="resolve-conflict">Resolve Conflict</button>
+                    ` : ''}
+                    <button class="btn btn--primary" data-modal-action="update-status" ${canUpdateStatus ? '' : 'disabled'}>Update Status</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupDetailsListeners(modal, reservation) {
+        const body = modal.element?.querySelector('.modal-body');
+        if (!body) return;
+
+        const closeBtn = body.querySelector('[data-modal-action="close"]');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => modal.close());
+        }
+
+        const updateStatusBtn = body.querySelector('[data-modal-action="update-status"]');
+        if (updateStatusBtn) {
+            updateStatusBtn.addEventListener('click', () => this.showStatusForm(modal, reservation));
+        }
+
+        const resolveBtn = body.querySelector('[data-modal-action="resolve-conflict"]');
+        if (resolveBtn) {
+            resolveBtn.addEventListener('click', () => this.showConflictResolution(modal, reservation));
+        }
+
+        const editBtn = body.querySelector('[data-modal-action="edit-lead"]');
+        if (editBtn) {
+            editBtn.addEventListener('click', () => this.showEditLeadForm(modal, reservation));
+        }
+
+        const messageBtn = body.querySelector('[data-modal-action="send-message"]');
+        if (messageBtn) {
+            messageBtn.addEventListener('click', () => this.showMessageComposer(modal, reservation));
+        }
+
+        const receiptBtn = body.querySelector('[data-modal-action="receipt"]');
+        if (receiptBtn) {
+            receiptBtn.addEventListener('click', () => this.showReceipt(modal, reservation));
+        }
+
+        this.setupActivityComposer(body, reservation);
+        this.loadActivity(body, reservation);
+    }
+
+    async loadActivity(body, reservation) {
+        let entries;
+
+        try {
+            entries = await ReservationActivity.list(reservation.id);
+        } catch (error) {
+            console.error('Error loading reservation activity:', error);
+            entries = null;
+        }
+
+        // The modal may show another view or reservation by the time the request returns
+        const timeline = body.querySelector('#activity-timeline');
+        if (!timeline || timeline.dataset.reservationId !== reservation.id) return;
+
+        this.activityEntries = entries || [];
+        timeline.innerHTML = entries
+            ? this.renderActivityTimeline(reservation, entries)
+            : '<p class="activity-timeline__empty">Activity could not be loaded.</p>';
+        lucide.createIcons();
+    }
+
+    getTimelineEntries(reservation, entries) {
+        const timeline = [...entries];
+        const loggedStatuses = new Set(entries.filter(e => e.type === 'status_change').map(e => e.metadata?.to));
+
+        timeline.push({ id: 'created', type: 'created', created_at: reservation.created_at, author: null, body: null, metadata: {} });
+
+        // Reservations changed before the activity log existed only carry the timestamps
+        if (reservation.confirmed_at && !loggedStatuses.has('confirmed')) {
+            timeline.push({ id: 'confirmed', type: 'status_change', created_at: reservation.confirmed_at, metadata: { to: 'confirmed' } });
+        }
+        if (reservation.cancelled_at && !loggedStatuses.has('cancelled')) {
+            timeline.push({ id: 'cancelled', type: 'status_change', created_at: reservation.cancelled_at, body: reservation.cancellation_reason, metadata: { to: 'cancelled' } });
+        }
+
+        return timeline.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+
+    renderActivityTimeline(reservation, entries) {
+        return `
+            <ol class="activity-timeline__list">
+                ${this.getTimelineEntries(reservation, entries).map(entry => {
+                    const type = ReservationActivity.TYPES[entry.type] || { label: this.capitalizeFirst(entry.type || 'activity'), icon: 'circle' };
+                    const title = entry.type === 'status_change'
+                        ? `Status: ${entry.metadata?.from ? `${this.capitalizeFirst(entry.metadata.from)} → ` : ''}${this.capitalizeFirst(entry.metadata?.to || '')}`
+                        : type.label;
+                    const changes = entry.type === 'lead_update' ? Object.entries(entry.metadata?.changes || {}) : [];
+
+                    return `
+                        <li class="activity-item activity-item--${Helpers.escapeHtml(entry.type)}">
+                            <span class="activity-item__icon">
+                                <i data-lucide="${type.icon}" class="icon icon--xs"></i>
+                            </span>
+                            <div class="activity-item__content">
+                                <div class="activity-item__header">
+                                    <span class="activity-item__title">${Helpers.escapeHtml(title)}</span>
+                                    <time class="activity-item__meta" datetime="${Helpers.escapeHtml(entry.created_at || '')}" title="${entry.created_at ? new Date(entry.created_at).toLocaleString() : ''}">
+                                        ${entry.author ? `${Helpers.escapeHtml(entry.author)} · ` : ''}${Helpers.getRelativeTime(entry.created_at)}
+                                    </time>
+                                </div>
+                                ${entry.body ? `<p class="activity-item__body">${Helpers.escapeHtml(entry.body)}</p>` : ''}
+                                ${changes.length > 0 ? `
+                                    <dl class="activity-item__changes">
+                                        ${changes.map(([field, change]) => `
+                                            <dt>${Helpers.escapeHtml(DashboardController.LEAD_FIELDS[field] || field)}</dt>
+                                            <dd>
+                                                <del>${Helpers.escapeHtml(change.from || '—')}</del>
+                                                → <ins>${Helpers.escapeHtml(change.to || '—')}</ins>
+                                            </dd>
+                                        `).join('')}
+                                    </dl>
+                                ` : ''}
+                            </div>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    setupActivityComposer(body, reservation) {
+        const form = body.querySelector('#activity-composer');
+        if (!form) return;
+
+        const group = form.querySelector('#activity-body-group');
+        const input = form.querySelector('#activity-body');
+        const typeSelect = form.querySelector('#activity-type');
+
+        input.addEventListener('input', () => {
+            if (input.value.trim()) {
+                group.classList.remove('form-group--error');
+            }
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const text = input.value.trim();
+            if (!text) {
+                group.classList.add('form-group--error');
+                input.focus();
+                return;
+            }
+
+            const addBtn = form.querySelector('[data-modal-action="add-activity"]');
+            addBtn.disabled = true;
+
+            try {
+                const entry = await ReservationActivity.add(reservation.id, typeSelect.value, text);
+                this.activityEntries = [entry, ...(this.activityEntries || [])];
+
+                const timeline = body.querySelector('#activity-timeline');
+                if (timeline) {
+                    timeline.innerHTML = this.renderActivityTimeline(reservation, this.activityEntries);
+                    lucide.createIcons();
+                }
+
+                input.value = '';
+                Toast.success(`${ReservationActivity.TYPES[typeSelect.value].label} added`);
+            } catch (error) {
+                console.error('Error adding reservation activity:', error);
+                Toast.error(error.message || 'Failed to add activity');
+            } finally {
+                addBtn.disabled = false;
+            }
+        });
+    }
+
+    renderConflictAlert(conflict) {
+        const group = this.conflictGroups.get(conflict.lotId);
+        const labels = conflict.types.map(type => DashboardController.CONFLICT_TYPES[type]).join(', ');
+
+        return `
+            <div class="conflict-alert">
+                <i data-lucide="alert-triangle" class="icon"></i>
+                <div>
+                    <strong>${labels}</strong>
+                    <p>${group.ids.length} active reservations hold ${Helpers.escapeHtml(group.lotName)}.</p>
+                </div>
+            </div>
+        `;
+    }
+
+    showConflictResolution(modal, reservation) {
+        const conflict = this.conflicts.get(reservation.id);
+        if (!conflict) return;
+
+        const group = this.conflictGroups.get(conflict.lotId);
+        const rows = group.ids.map(id => this.getKnownRow(id)).filter(Boolean);
+
+        modal.setContent(`
+            <form class="conflict-form" id="conflict-form" novalidate>
+                <p class="export-form__summary">
+                    Choose the reservation that keeps ${Helpers.escapeHtml(group.lotName)}. The other ${rows.length - 1} will be cancelled.
+                </p>
+
+                <div class="conflict-form__options">
+                    ${rows.map(row => `
+                        <label class="conflict-form__option">
+                            <input type="radio" class="radio" name="winner" value="${row.id}" ${row.id === reservation.id ? 'checked' : ''}>
+                            <span class="conflict-form__lead">
+                                <span class="cell-primary">${Helpers.escapeHtml(row.first_name)} ${Helpers.escapeHtml(row.last_name)}</span>
+                                <span class="conflict-form__meta">${Helpers.escapeHtml(row.email)} · ${this.formatDate(row.created_at)}</span>
+                            </span>
+                            <span class="status-badge ${this.getStatusClass(row.status)}">
+                                ${this.capitalizeFirst(row.status || 'pending')}
+                            </span>
+                        </label>
+                    `).join('')}
+                </div>
+
+                <label class="checkbox-group">
+                    <input type="checkbox" class="checkbox" id="conflict-confirm-winner" checked>
+                    Confirm the winning reservation if it is still pending
+                </label>
+
+                <div class="modal-actions">
+                    <button type="button" class="btn btn--outline" data-modal-action="back">Back</button>
+                    <button type="submit" class="btn btn--primary">Resolve</button>
+                </div>
+            </form>
+        `);
+
+        const form = modal.element.querySelector('#conflict-form');
+
+        form.querySelector('[data-modal-action="back"]').addEventListener('click', () => {
+            modal.setContent(this.renderReservationDetails(reservation));
+            this.setupDetailsListeners(modal, reservation);
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const winnerId = form.querySelector('input[name="winner"]:checked')?.value;
+            if (!winnerId) return;
+
+            const confirmWinner = form.querySelector('#conflict-confirm-winner').checked;
+            modal.close();
+            this.runBulkAction('Resolve', 'cancelled', () => this.resolveConflict(group, winnerId, { confirmWinner }));
+        });
+    }
+
+    async resolveConflict(group, winnerId, options = {}) {
+        const winner = this.getKnownRow(winnerId);
+        const losers = group.ids.filter(id => id !== winnerId);
+        const reason = `Lot ${group.lotName} assigned to another reservation (${winner ? `${winner.first_name} ${winner.last_name}` : winnerId})`;
+
+        const result = await this.bulkUpdateStatus(losers, 'cancelled', reason);
+
+        if (options.confirmWinner && winner && (winner.status || 'pending') === 'pending') {
+            const confirmResult = await this.bulkUpdateStatus([winnerId], 'confirmed');
+            result.failed.push(...confirmResult.failed);
+        }
+
+        return result;
+    }
+
+    showMessageComposer(modal, reservation) {
+        const templates = MessageTemplates.list(this.getOrganizationId());
+        const context = MessageTemplates.getContext(reservation);
+
+        if (templates.length === 0) {
+            Toast.info('Create a message template in Settings first');
+            return;
+        }
+
+        modal.setContent(`
+            <form class="status-form message-composer" id="message-composer" novalidate>
+                <div class="form-group">
+                    <label class="form-label" for="message-template">Template</label>
+                    <div class="input">
+                        <select class="input__field" id="message-template">
+                            ${Object.entries(MessageTemplates.CHANNELS).filter(([channel]) => templates.some(template => template.channel === channel)).map(([channel, info]) => `
+                                <optgroup label="${info.label}">
+                                    ${templates.filter(template => template.channel === channel).map(template => `
+                                        <option value="${Helpers.escapeHtml(template.id)}">${Helpers.escapeHtml(template.name)}</option>
+                                    `).join('')}
+                                </optgroup>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+
+                <div class="message-composer__warning hidden" id="message-warning"></div>
+
+                <div class="form-group" id="message-subject-group">
+                    <label class="form-label" for="message-subject">Subject</label>
+                    <div class="input">
+                        <input type="text" class="input__field" id="message-subject">
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label" for="message-body">Message</label>
+                    <div class="input">
+                        <textarea class="input__field input__field--textarea" id="message-body" rows="8"></textarea>
+                    </div>
+                    <div class="form-help" id="message-recipient"></div>
+                </div>
+
+                <div class="modal-actions">
+                    <button type="button" class="btn btn--outline" data-modal-action="back">Back</button>
+                    <button type="submit" class="btn btn--primary" data-modal-action="open-message"></button>
+                </div>
+            </form>
+        `);
+
+        const form = modal.element.querySelector('#message-composer');
+        const templateSelect = form.querySelector('#message-template');
+        const subjectInput = form.querySelector('#message-subject');
+        const bodyInput = form.querySelector('#message-body');
+        const warning = form.querySelector('#message-warning');
+        const sendBtn = form.querySelector('[data-modal-action="open-message"]');
+        let template = null;
+
+        const renderTemplate = () => {
+            template = templates.find(candidate => candidate.id === templateSelect.value);
+            const channel = MessageTemplates.CHANNELS[template.channel];
+            const subject = MessageTemplates.render(template.subject, context);
+            const body = MessageTemplates.render(template.body, context);
+            const missing = [...new Set([...subject.missing, ...body.missing])];
+
+            subjectInput.value = subject.text;
+            bodyInput.value = body.text;
+            form.querySelector('#message-subject-group').classList.toggle('hidden', template.channel !== 'email');
+            form.querySelector('#message-recipient').textContent = template.channel === 'whatsapp'
+                ? `To ${MessageTemplates.toE164(reservation.phone) || 'no valid phone number'}`
+                : `To ${reservation.email}`;
+
+            warning.classList.toggle('hidden', missing.length === 0);
+            warning.innerHTML = missing.length > 0 ? `
+                <i data-lucide="alert-triangle" class="icon icon--sm"></i>
+                <span>No value for ${missing.map(key => `<code>{{${Helpers.escapeHtml(key)}}}</code>`).join(', ')}. Review the text before sending.</span>
+            ` : '';
+
+            sendBtn.innerHTML = `<i data-lucide="${channel.icon}" class="icon icon--sm"></i> Open in ${channel.label}`;
+            lucide.createIcons();
+        };
+
+        templateSelect.addEventListener('change', renderTemplate);
+        renderTemplate();
+
+        form.querySelector('[data-modal-action="back"]').addEventListener('click', () => {
+            modal.setContent(this.renderReservationDetails(reservation));
+            this.setupDetailsListeners(modal, reservation);
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const message = { subject: subjectInput.value.trim(), body: bodyInput.value.trim() };
+            if (!message.body) {
+                bodyInput.focus();
+                return;
+            }
+
+            let link;
+            try {
+                link = MessageTemplates.buildLink(template.channel, message, reservation);
+            } catch (error) {
+                Toast.error(error.message);
+                return;
+            }
+
+            if (template.channel === 'whatsapp') {
+                window.open(link, '_blank', 'noopener');
+            } else {
+                window.location.href = link;
+            }
+
+            sendBtn.disabled = true;
+            await ReservationActivity.record([reservation.id], template.channel, message.body, {
+                template_id: template.id,
+                template_name: template.name,
+                subject: message.subject || undefined
+            });
+
+            Toast.success(`Message opened in ${MessageTemplates.CHANNELS[template.channel].label}`);
+            modal.setContent(this.renderReservationDetails(reservation));
+            this.setupDetailsListeners(modal, reservation);
+        });
+    }
+
+    showReceipt(modal, reservation) {
+        modal.setContent(`
+            <div class="receipt-preview">
+                ${Receipt.toHTML(reservation)}
+            </div>
+
+            <div class="modal-actions">
+                <button type="button" class="btn btn--outline" data-modal-action="back">Back</button>
+                <button type="button" class="btn btn--outline" data-modal-action="print-receipt">
+                    <i data-lucide="printer" class="icon icon--sm"></i>
+                    Print
+                </button>
+                <button type="button" class="btn btn--primary" data-modal-action="download-receipt">
+                    <i data-lucide="file-down" class="icon icon--sm"></i>
+                    Download PDF
+                </button>
+            </div>
+        `);
+
+        const body = modal.element.querySelector('.modal-body');
+
+        body.querySelector('[data-modal-action="back"]').addEventListener('click', () => {
+            modal.setContent(this.renderReservationDetails(reservation));
+            this.setupDetailsListeners(modal, reservation);
+        });
+
+        body.querySelector('[data-modal-action="print-receipt"]').addEventListener('click', () => {
+            Receipt.print(reservation);
+        });
+
+        body.querySelector('[data-modal-action="download-receipt"]').addEventListener('click', () => {
+            try {
+                Receipt.downloadPDF(reservation);
+                Toast.success('Receipt downloaded');
+            } catch (error) {
+                console.error('Error generating receipt PDF:', error);
+                Toast.error('Failed to generate the receipt PDF');
+            }
+        });
+    }
+
+    showEditLeadForm(modal, reservation) {
+        const value = field => Helpers.escapeHtml(reservation[field] || '');
+
+        modal.setContent(`
+            <form class="status-form" id="edit-lead-form" novalidate>
+                <p class="export-form__summary">Previous values are kept in the activity log.</p>
+
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label class="form-label" for="edit-first-name">First Name <span class="form-required">*</span></label>
+                        <div class="input">
+                            <input type="text" class="input__field" id="edit-first-name" name="first_name" value="${value('first_name')}">
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label" for="edit-last-name">Last Name <span class="form-required">*</span></label>
+                        <div class="input">
+                            <input type="text" class="input__field" id="edit-last-name" name="last_name" value="${value('last_name')}">
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label" for="edit-email">Email <span class="form-required">*</span></label>
+                        <div class="input">
+                            <input type="email" class="input__field" id="edit-email" name="email" value="${value('email')}">
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label" for="edit-phone">Phone <span class="form-optional">(optional)</span></label>
+                        <div class="input">
+                            <input type="tel" class="input__field" id="edit-phone" name="phone" value="${value('phone')}">
+                        </div>
+                    </div>
+
+                    <div class="form-group form-group--full">
+                        <label class="form-label" for="edit-message">Message <span class="form-optional">(optional)</span></label>
+                        <div class="input">
+                            <textarea class="input__field input__field--textarea" id="edit-message" name="additional_message" rows="3">${value('additional_message')}</textarea>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="modal-actions">
+                    <button type="button" class="btn btn--outline" data-modal-action="back">Back</button>
+                    <button type="submit" class="btn btn--primary" data-modal-action="save-lead">Save Changes</button>
+                </div>
+            </form>
+        `);
+
+        const form = modal.element.querySelector('#edit-lead-form');
+        const validator = new FormValidator(form, {
+            first_name: { required: true, maxLength: 100, messages: { required: 'First name is required' } },
+            last_name: { required: true, maxLength: 100, messages: { required: 'Last name is required' } },
+            email: { required: true, email: true, messages: { required: 'Email is required' } },
+            phone: { phone: true, messages: { phone: 'Enter a valid phone number, e.g. +595 981 123456' } }
+        });
+
+        const showDetails = (current) => {
+            modal.setContent(this.renderReservationDetails(current));
+            this.setupDetailsListeners(modal, current);
+        };
+
+        form.querySelector('[data-modal-action="back"]').addEventListener('click', () => showDetails(reservation));
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!validator.validate()) return;
+
+            const changes = {};
+            Object.keys(DashboardController.LEAD_FIELDS).forEach(field => {
+                changes[field] = form.querySelector(`[name="${field}"]`).value.trim();
+            });
+
+            const saveBtn = form.querySelector('[data-modal-action="save-lead"]');
+            saveBtn.disabled = true;
+
+            try {
+                const updated = await this.updateLeadDetails(reservation.id, changes);
+                if (updated === reservation) {
+                    Toast.info('No changes to save');
+                } else {
+                    Toast.success('Reservation details updated');
+                }
+                showDetails(updated);
+            } catch (error) {
+                console.error('Error updating reservation details:', error);
+                Toast.error(error.message || 'Failed to update reservation details');
+                saveBtn.disabled = false;
+            }
+        });
+    }
+
+    async updateLeadDetails(id, values) {
+        const reservation = this.reservations.find(r => r.id === id);
+        if (!reservation) {
+            throw new Error('Reservation not found');
+        }
+
+        const changes = {};
+        const previous = {};
+        const log = {};
+
+        Object.keys(DashboardController.LEAD_FIELDS).forEach(field => {
+            const next = values[field] || null;
+            const current = reservation[field] || null;
+            if (next !== current) {
+                changes[field] = next;
+                previous[field] = reservation[field] ?? null;
+                log[field] = { from: current, to: next };
+            }
+        });
+
+        if (Object.keys(changes).length === 0) {
+            return reservation;
+        }
+
+        if (changes.email !== undefined) {
+            changes.email_lower = changes.email.toLowerCase();
+        }
+
+        // Guard on the previous values so a concurrent edit is not silently overwritten
+        let query = this.getSupabase()
+            .from('reservations')
+            .update(changes)
+            .eq('id', id);
+
+        Object.entries(previous).forEach(([field, value]) => {
+            query = value === null ? query.is(field, null) : query.eq(field, value);
+        });
+
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data) {
+            throw new Error('This reservation was modified by someone else. Refresh and try again.');
+        }
+
+        const logged = await ReservationActivity.record([id], 'lead_update', '', { changes: log });
+        if (!logged) {
+            Toast.warning('Changes saved, but the change log entry could not be stored');
+        }
+
+        await this.replaceReservation(data);
+        return data;
+    }
+
+    showStatusForm(modal, reservation) {
+        const currentStatus = reservation.status || 'pending';
+        const allowed = this.getAllowedTransitions(currentStatus);
+        if (allowed.length === 0) return;
+
+        modal.setContent(`
+            <form class="status-form" id="status-form" novalidate>
+                <div class="detail-section">
+                    <div class="detail-row">
+                        <span class="detail-label">Current Status:</span>
+                        <span class="status-badge ${this.getStatusClass(currentStatus)}">
+                            ${this.capitalizeFirst(currentStatus)}
+                        </span>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label" for="status-select">New Status</label>
+                        <div class="input">
+                            <select class="input__field" id="status-select" name="status">
+                                ${allowed.map(status => `
+                                    <option value="${status}">${this.capitalizeFirst(status)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div class="form-group ${allowed[0] === 'cancelled' ? '' : 'hidden'}" id="cancellation-reason-group">
+                        <label class="form-label" for="cancellation-reason">
+                            Cancellation Reason <span class="form-required">*</span>
+                        </label>
+                        <div class="input">
+                            <textarea
+                                class="input__field input__field--textarea"
+                                id="cancellation-reason"
+                                name="cancellation_reason"
+                                rows="3"
+                                placeholder="Why is this reservation being cancelled?"
+                            ></textarea>
+                        </div>
+                        <div class="form-error" id="cancellation-reason-error">A reason is required to cancel a reservation</div>
+                    </div>
+                </div>
+
+                <div class="modal-actions">
+                    <button type="button" class="btn btn--outline" data-modal-action="back">Back</button>
+                    <button type="submit" class="btn btn--primary" data-modal-action="save-status">Save</button>
+                </div>
+            </form>
+        `);
+
+        const form = modal.element.querySelector('#status-form');
+        const statusSelect = form.querySelector('#status-select');
+        const reasonGroup = form.querySelector('#cancellation-reason-group');
+        const reasonInput = form.querySelector('#cancellation-reason');
+
+        statusSelect.addEventListener('change', () => {
+            reasonGroup.classList.toggle('hidden', statusSelect.value !== 'cancelled');
+            reasonGroup.classList.remove('form-group--error');
+        });
+
+        reasonInput.addEventListener('input', () => {
+            if (reasonInput.value.trim()) {
+                reasonGroup.classList.remove('form-group--error');
+            }
+        });
+
+        form.querySelector('[data-modal-action="back"]').addEventListener('click', () => {
+            modal.setContent(this.renderReservationDetails(reservation));
+            this.setupDetailsListeners(modal, reservation);
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const newStatus = statusSelect.value;
+            const reason = reasonInput.value.trim();
+
+            if (newStatus === 'cancelled' && !reason) {
+                reasonGroup.classList.add('form-group--error');
+                reasonInput.focus();
+                return;
+            }
+
+            const saveBtn = form.querySelector('[data-modal-action="save-status"]');
+            saveBtn.disabled = true;
+
+            try {
+                const updated = await this.updateReservationStatus(reservation.id, newStatus, { reason });
+                Toast.success(`Reservation ${newStatus === 'confirmed' ? 'confirmed' : 'cancelled'}`);
+                modal.setContent(this.renderReservationDetails(updated));
+                this.setupDetailsListeners(modal, updated);
+            } catch (error) {
+                console.error('Error updating reservation status:', error);
+                Toast.error(error.message || 'Failed to update reservation status');
+                saveBtn.disabled = false;
+            }
+        });
+    }
+
+    getAllowedTransitions(status) {
+        return DashboardController.STATUS_TRANSITIONS[status || 'pending'] || [];
+    }
+
+    async updateReservationStatus(id, newStatus, options = {}) {
+        const reservation = this.reservations.find(r => r.id === id);
+        if (!reservation) {
+            throw new Error('Reservation not found');
+        }
+
+        const currentStatus = reservation.status || 'pending';
+        if (!this.getAllowedTransitions(currentStatus).includes(newStatus)) {
+            throw new Error(`Cannot change status from ${currentStatus} to ${newStatus}`);
+        }
+
+        const reason = (options.reason || '').trim();
+        if (newStatus === 'cancelled' && !reason) {
+            throw new Error('A reason is required to cancel a reservation');
+        }
+
+        // Guard on the current status so a concurrent edit is not silently overwritten
+        const { data, error } = await this.whereStatus(
+            this.getSupabase()
+                .from('reservations')
+                .update(this.buildStatusChanges(newStatus, reason))
+                .eq('id', id),
+            reservation.status
+        )
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data) {
+            throw new Error('This reservation was modified by someone else. Refresh and try again.');
+        }
+
+        await ReservationActivity.record([id], 'status_change', reason, { from: currentStatus, to: newStatus });
+
+        if (!await this.syncLotStatus([data.lot_id], newStatus)) {
+            Toast.warning('Status saved, but the lot could not be updated');
+        }
+
+        await this.replaceReservation(data);
+        return data;
+    }
+
+    buildStatusChanges(newStatus, reason = '') {
+        const now = new Date().toISOString();
+        const changes = { status: newStatus };
+
+        if (newStatus === 'confirmed') {
+            changes.confirmed_at = now;
+        } else if (newStatus === 'cancelled') {
+            changes.cancelled_at = now;
+            changes.cancellation_reason = reason;
+        }
+
+        return changes;
+    }
+
+    whereStatus(query, status) {
+        return status ? query.eq('status', status) : query.is('status', null);
+    }
+
+    async replaceReservation(updated) {
+        const index = this.reservations.findIndex(r => r.id === updated.id);
+        if (index > -1) {
+            this.reservations[index] = updated;
+        }
+
+        if (this.isServerMode()) {
+            try {
+                await this.refreshServerAggregates();
+            } catch (error) {
+                console.error('Error refreshing reservation stats:', error);
+            }
+        }
+
+        const currentPage = this.pagination.currentPage;
+        this.calculateStats();
+        this.applyFilters();
+        this.pagination.currentPage = Math.min(currentPage, Math.max(this.getTotalPages(), 1));
+
+        this.renderPage();
+    }
+
+    getExportColumns() {
+        return [
+            { key: 'first_name', label: 'First Name' },
+            { key: 'last_name', label: 'Last Name' },
+            { key: 'email', label: 'Email' },
+            { key: 'phone', label: 'Phone' },
+            { key: 'lot_id', label: 'Lot ID', defaultHidden: true },
+            { key: 'lot_nombre', label: 'Lot', value: r => r.lot_details?.nombre },
+            { key: 'lot_precio_usd', label: 'Price (USD)', type: 'number', value: r => r.lot_details?.precio_usd },
+            { key: 'lot_area_m2', label: 'Area (m²)', type: 'number', value: r => r.lot_details?.area_m2 },
+            { key: 'lot_lados', label: 'Dimensions', value: r => r.lot_details?.lados },
+            { key: 'reservation_date', label: 'Reservation Date', type: 'date' },
+            { key: 'status', label: 'Status', value: r => this.capitalizeFirst(r.status || 'pending') },
+            { key: 'created_at', label: 'Created', type: 'date' },
+            { key: 'confirmed_at', label: 'Confirmed', type: 'date', defaultHidden: true },
+            { key: 'cancelled_at', label: 'Cancelled', type: 'date', defaultHidden: true },
+            { key: 'cancellation_reason', label: 'Cancellation Reason', defaultHidden: true },
+            { key: 'additional_message', label: 'Message', defaultHidden: true }
+        ];
+    }
+
+    getExportPreferences() {
+        const columns = this.getExportColumns();
+        const saved = Storage.getExportPreferences('dashboard');
+
+        return {
+            format: saved.format === 'xls' ? 'xls' : 'csv',
+            dateFormat: Exporter.DATE_FORMATS[saved.dateFormat] ? saved.dateFormat : 'DD/MM/YYYY',
+            columns: Array.isArray(saved.columns)
+                ? saved.columns.filter(key => columns.some(c => c.key === key))
+                : columns.filter(c => !c.defaultHidden).map(c => c.key)
+        };
+    }
+
+    openExportDialog(source = null) {
+        const prefs = this.getExportPreferences();
+        const count = source ? source.count : this.getFilteredCount();
+        const loadRows = source ? source.load : () => this.getReservationsForExport();
+
+        const modal = new Modal({
+            title: 'Export Reservations',
+            content: `
+                <form class="export-form" id="export-form" novalidate>
+                    <p class="export-form__summary">
+                        ${count} ${source ? 'selected ' : ''}reservation${count === 1 ? '' : 's'}${source ? '' : ' matching the current filters'} will be exported.
+                    </p>
+
+                    <div class="form-group">
+                        <span class="form-label">File Format</span>
+                        <div class="radio-group">
+                            <label class="radio-item">
+                                <input type="radio" class="radio" name="format" value="csv" ${prefs.format === 'csv' ? 'checked' : ''}>
+                                CSV
+                            </label>
+                            <label class="radio-item">
+                                <input type="radio" class="radio" name="format" value="xls" ${prefs.format === 'xls' ? 'checked' : ''}>
+                                Excel (.xls)
+                            </label>
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label" for="export-date-format">Date Format</label>
+                        <div class="input">
+                            <select class="input__field" id="export-date-format" name="dateFormat">
+                                ${Object.entries(Exporter.DATE_FORMATS).map(([value, label]) => `
+                                    <option value="${value}" ${prefs.dateFormat === value ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div class="form-group" id="export-columns-group">
+                        <span class="form-label">Columns</span>
+                        <div class="export-form__columns">
+                            ${this.getExportColumns().map(column => `
+                                <label class="checkbox-group">
+                                    <input type="checkbox" class="checkbox" name="columns" value="${column.key}" ${prefs.columns.includes(column.key) ? 'checked' : ''}>
+                                    ${Helpers.escapeHtml(column.label)}
+                                </label>
+                            `).join('')}
+                        </div>
+                        <div class="form-error">Select at least one column</div>
+                    </div>
+
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Cancel</button>
+                        <button type="submit" class="btn btn--primary" data-modal-action="export" ${count === 0 ? 'disabled' : ''}>
+                            <i data-lucide="download" class="icon icon--sm"></i>
+                            Export
+                        </button>
+                    </div>
+                </form>
+            `,
+            size: 'medium'
+        });
+
+        modal.open();
+
+        const form = modal.element.querySelector('#export-form');
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const options = {
+                format: form.querySelector('[name="format"]:checked')?.value || 'csv',
+                dateFormat: form.querySelector('[name="dateFormat"]').value,
+                columns: Array.from(form.querySelectorAll('[name="columns"]:checked')).map(input => input.value)
+            };
+
+            const columnsGroup = form.querySelector('#export-columns-group');
+            if (options.columns.length === 0) {
+                columnsGroup.classList.add('form-group--error');
+                return;
+            }
+            columnsGroup.classList.remove('form-group--error');
+
+            const exportBtn = form.querySelector('[data-modal-action="export"]');
+            exportBtn.disabled = true;
+
+            try {
+                Storage.setExportPreferences('dashboard', options);
+                const rows = await loadRows();
+                this.exportReservations(rows, options);
+                modal.close();
+            } catch (error) {
+                console.error('Error exporting reservations:', error);
+                Toast.error('Failed to export reservations');
+                exportBtn.disabled = false;
+            }
+        });
+    }
+
+    async getReservationsForExport() {
+        if (!this.isServerMode()) {
+            return this.filteredReservations;
+        }
+
+        return this.fetchAllFiltered('*');
+    }
+
+    fetchAllFiltered(columns) {
+        return this.fetchAllPages(() => this.applySort(this.applyServerFilters(
+            this.getSupabase()
+                .from(this.getFilteredSource())
+                .select(columns)
+        )));
+    }
+
+    async fetchAllPages(buildQuery) {
+        // PostgREST caps each response, so page through the result set
+        const batchSize = 1000;
+        const rows = [];
+
+        for (let from = 0; ; from += batchSize) {
+            const { data, error } = await buildQuery()
+                .range(from, from + batchSize - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []));
+
+            if (!data || data.length < batchSize) {
+                return rows;
+            }
+        }
+    }
+
+    exportReservations(rows, options) {
+        const columns = this.getExportColumns().filter(column => options.columns.includes(column.key));
+        const filename = `reservations-${Exporter.formatDate(new Date(), 'YYYY-MM-DD')}`;
+
+        if (options.format === 'xls') {
+            Exporter.downloadSpreadsheet(rows, columns, filename, {
+                dateFormat: options.dateFormat,
+                sheetName: 'Reservations'
+            });
+        } else {
+            Exporter.downloadCSV(rows, columns, filename, { dateFormat: options.dateFormat });
+        }
+
+        Toast.success(`Exported ${rows.length} reservation${rows.length === 1 ? '' : 's'}`);
+    }
+
+    renderBulkActionBar() {
+        const selectedCount = this.selectedIds.size;
+        const filteredCount = this.getFilteredCount();
+
+        return `
+            <div class="bulk-action-bar__summary">
+                <strong>${selectedCount} selected</strong>
+                ${selectedCount < filteredCount ? `
+                    <button type="button" class="btn btn--ghost btn--sm" data-bulk-action="select-filtered">
+                        Select all ${filteredCount} filtered
+                    </button>
+                ` : ''}
+                <button type="button" class="btn btn--ghost btn--sm" data-bulk-action="clear">
+                    Clear selection
+                </button>
+            </div>
+            <div class="bulk-action-bar__actions">
+                <button type="button" class="btn btn--outline btn--sm" data-bulk-action="confirm">
+                    <i data-lucide="check" class="icon icon--sm"></i>
+                    Confirm
+                </button>
+                <button type="button" class="btn btn--outline btn--sm" data-bulk-action="cancel">
+                    <i data-lucide="x-circle" class="icon icon--sm"></i>
+                    Cancel
+                </button>
+                <button type="button" class="btn btn--outline btn--sm" data-bulk-action="export">
+                    <i data-lucide="download" class="icon icon--sm"></i>
+                    Export
+                </button>
+                <button type="button" class="btn btn--destructive btn--sm" data-bulk-action="delete">
+                    <i data-lucide="trash-2" class="icon icon--sm"></i>
+                    Delete
+                </button>
+            </div>
+        `;
+    }
+
+    updateSelectionUI() {
+        const bar = document.getElementById('bulk-action-bar');
+        if (bar) {
+            bar.classList.toggle('hidden', this.selectedIds.size === 0);
+            bar.innerHTML = this.renderBulkActionBar();
+            bar.querySelectorAll('[data-bulk-action]').forEach(btn => {
+                btn.addEventListener('click', (e) => this.handleBulkAction(e.currentTarget.dataset.bulkAction));
+            });
+            lucide.createIcons();
+        }
+
+        const selectPage = document.getElementById('select-page');
+        if (selectPage) {
+            const pageIds = this.getPaginatedReservations().map(r => r.id);
+            const selectedOnPage = pageIds.filter(id => this.selectedIds.has(id)).length;
+            selectPage.checked = pageIds.length > 0 && selectedOnPage === pageIds.length;
+            selectPage.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length;
+        }
+    }
+
+    toggleSelection(id, selected) {
+        if (selected) {
+            this.selectedIds.add(id);
+        } else {
+            this.selectedIds.delete(id);
+        }
+        this.updateSelectionUI();
+    }
+
+    togglePageSelection(selected) {
+        this.getPaginatedReservations().forEach(r => {
+            if (selected) {
+                this.selectedIds.add(r.id);
+            } else {
+                this.selectedIds.delete(r.id);
+            }
+        });
+
+        document.querySelectorAll('[data-select-id]').forEach(checkbox => {
+            checkbox.checked = selected;
+        });
+        this.updateSelectionUI();
+    }
+
+    async selectAllFiltered() {
+        try {
+            Helpers.toggleLoading(true);
+            const rows = this.isServerMode()
+                ? await this.fetchAllFiltered('id')
+                : this.filteredReservations;
+
+            rows.forEach(r => this.selectedIds.add(r.id));
+            document.querySelectorAll('[data-select-id]').forEach(checkbox => {
+                checkbox.checked = true;
+            });
+            this.updateSelectionUI();
+        } catch (error) {
+            console.error('Error selecting filtered reservations:', error);
+            Toast.error('Failed to select all filtered reservations');
+        } finally {
+            Helpers.toggleLoading(false);
+        }
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        document.querySelectorAll('[data-select-id]').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        this.updateSelectionUI();
+    }
+
+    handleBulkAction(action) {
+        const ids = [...this.selectedIds];
+
+        switch (action) {
+            case 'select-filtered':
+                this.selectAllFiltered();
+                break;
+            case 'clear':
+                this.clearSelection();
+                break;
+            case 'confirm':
+                this.runBulkAction('Confirm', 'confirmed', () => this.bulkUpdateStatus(ids, 'confirmed'));
+                break;
+            case 'cancel':
+                this.openBulkCancelDialog(ids);
+                break;
+            case 'export':
+                this.openExportDialog({
+                    count: ids.length,
+                    load: () => this.fetchReservationsByIds(ids)
+                });
+                break;
+            case 'delete':
+                this.openBulkDeleteDialog(ids);
+                break;
+        }
+    }
+
+    openBulkCancelDialog(ids) {
+        const modal = new Modal({
+            title: `Cancel ${ids.length} Reservation${ids.length === 1 ? '' : 's'}`,
+            content: `
+                <form class="status-form" id="bulk-cancel-form" novalidate>
+                    <div class="form-group" id="bulk-cancel-reason-group">
+                        <label class="form-label" for="bulk-cancel-reason">
+                            Cancellation Reason <span class="form-required">*</span>
+                        </label>
+                        <div class="input">
+                            <textarea
+                                class="input__field input__field--textarea"
+                                id="bulk-cancel-reason"
+                                rows="3"
+                                placeholder="This reason is stored on every selected reservation"
+                            ></textarea>
+                        </div>
+                        <div class="form-error">A reason is required to cancel reservations</div>
+                    </div>
+
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Back</button>
+                        <button type="submit" class="btn btn--destructive">Cancel Reservations</button>
+                    </div>
+                </form>
+            `,
+            size: 'medium'
+        });
+
+        modal.open();
+
+        const form = modal.element.querySelector('#bulk-cancel-form');
+        const reasonGroup = form.querySelector('#bulk-cancel-reason-group');
+        const reasonInput = form.querySelector('#bulk-cancel-reason');
+
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const reason = reasonInput.value.trim();
+            if (!reason) {
+                reasonGroup.classList.add('form-group--error');
+                reasonInput.focus();
+                return;
+            }
+
+            modal.close();
+            this.runBulkAction('Cancel', 'cancelled', () => this.bulkUpdateStatus(ids, 'cancelled', reason));
+        });
+    }
+
+    async openNewReservationDialog() {
+        const modal = new Modal({
+            title: 'New Reservation',
+            content: `
+                <form class="status-form" id="new-reservation-form" novalidate>
+                    <p class="export-form__summary">Log a reservation taken over the phone or at the office.</p>
+
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label class="form-label" for="new-first-name">First Name <span class="form-required">*</span></label>
+                            <div class="input">
+                                <input type="text" class="input__field" id="new-first-name" name="first_name" autocomplete="off">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="new-last-name">Last Name <span class="form-required">*</span></label>
+                            <div class="input">
+                                <input type="text" class="input__field" id="new-last-name" name="last_name" autocomplete="off">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="new-email">Email <span class="form-required">*</span></label>
+                            <div class="input">
+                                <input type="email" class="input__field" id="new-email" name="email" autocomplete="off">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="new-phone">Phone <span class="form-required">*</span></label>
+                            <div class="input">
+                                <input type="tel" class="input__field" id="new-phone" name="phone" placeholder="+595 981 123456" autocomplete="off">
+                            </div>
+                        </div>
+
+                        <div class="form-group form-group--full lot-picker" id="lot-picker-group">
+                            <label class="form-label" for="lot-search">Lot <span class="form-required">*</span></label>
+                            <div class="input">
+                                <input type="search" class="input__field" id="lot-search" placeholder="Loading available lots…" autocomplete="off" disabled>
+                            </div>
+                            <input type="hidden" id="new-lot-id" name="lot_id">
+                            <ul class="lot-picker__results" id="lot-results" role="listbox" aria-label="Available lots"></ul>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="new-price">Price (USD) <span class="form-required">*</span></label>
+                            <div class="input">
+                                <input type="number" class="input__field" id="new-price" name="precio_usd" min="0" step="0.01">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="new-source">Source</label>
+                            <div class="input">
+                                <select class="input__field" id="new-source" name="source">
+                                    ${Object.entries(DashboardController.MANUAL_SOURCES).map(([value, label]) => `
+                                        <option value="${value}">${label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="form-group form-group--full">
+                            <label class="form-label" for="new-message">Message <span class="form-optional">(optional)</span></label>
+                            <div class="input">
+                                <textarea class="input__field input__field--textarea" id="new-message" name="additional_message" rows="3"></textarea>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Cancel</button>
+                        <button type="submit" class="btn btn--primary" data-modal-action="create-reservation">Create Reservation</button>
+                    </div>
+                </form>
+            `,
+            size: 'large'
+        });
+
+        modal.open();
+
+        const form = modal.element.querySelector('#new-reservation-form');
+        const searchInput = form.querySelector('#lot-search');
+        const results = form.querySelector('#lot-results');
+        const lotIdInput = form.querySelector('#new-lot-id');
+        const priceInput = form.querySelector('#new-price');
+        let lots = [];
+
+        const validator = new FormValidator(form, {
+            first_name: { required: true, maxLength: 100, messages: { required: 'First name is required' } },
+            last_name: { required: true, maxLength: 100, messages: { required: 'Last name is required' } },
+            email: { required: true, email: true, messages: { required: 'Email is required' } },
+            phone: { required: true, phone: true, messages: { required: 'Phone is required', phone: 'Enter a valid phone number, e.g. +595 981 123456' } },
+            lot_id: { required: true, messages: { required: 'Choose an available lot' } },
+            precio_usd: {
+                required: true,
+                custom: value => Number(value) > 0 || 'Enter a price greater than zero',
+                messages: { required: 'Price is required' }
+            }
+        });
+
+        const renderResults = () => {
+            const term = searchInput.value.trim().toLowerCase();
+            const matches = lots
+                .filter(lot => !term || `${lot.nombre} ${lot.loteamientos?.nombre || ''}`.toLowerCase().includes(term))
+                .slice(0, 50);
+
+            results.innerHTML = matches.length > 0
+                ? matches.map(lot => `
+                    <li>
+                        <button type="button" class="lot-picker__option ${lot.id === lotIdInput.value ? 'lot-picker__option--selected' : ''}" data-lot-id="${Helpers.escapeHtml(lot.id)}" role="option" aria-selected="${lot.id === lotIdInput.value}">
+                            <span class="cell-primary">${Helpers.escapeHtml(lot.nombre)}</span>
+                            <span class="conflict-form__meta">
+                                ${Helpers.escapeHtml(lot.loteamientos?.nombre || '')}
+                                ${lot.area_m2 ? ` · ${Math.round(lot.area_m2_rounded ?? lot.area_m2)} m²` : ''}
+                                ${lot.precio_usd ? ` · ${this.formatPrice(Number(lot.precio_usd), { withOriginal: true })}` : ''}
+                            </span>
+                        </button>
+                    </li>
+                `).join('')
+                : '<li class="lot-picker__empty">No available lots match your search</li>';
+        };
+
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+        searchInput.addEventListener('input', renderResults);
+
+        results.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-lot-id]');
+            if (!option) return;
+
+            const lot = lots.find(candidate => candidate.id === option.dataset.lotId);
+            lotIdInput.value = lot.id;
+            searchInput.value = lot.nombre;
+            if (lot.precio_usd && !priceInput.value) {
+                priceInput.value = lot.precio_usd;
+            }
+
+            validator.validateField('lot_id');
+            renderResults();
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!validator.validate()) return;
+
+            const submitBtn = form.querySelector('[data-modal-action="create-reservation"]');
+            submitBtn.disabled = true;
+
+            try {
+                const reservation = await this.createManualReservation({
+                    firstName: form.querySelector('#new-first-name').value.trim(),
+                    lastName: form.querySelector('#new-last-name').value.trim(),
+                    email: form.querySelector('#new-email').value.trim(),
+                    phone: form.querySelector('#new-phone').value.trim(),
+                    message: form.querySelector('#new-message').value.trim(),
+                    lotId: lotIdInput.value,
+                    price: Number(priceInput.value),
+                    source: form.querySelector('#new-source').value
+                });
+
+                modal.close();
+                Toast.success(`Reservation created for ${reservation.first_name} ${reservation.last_name}`);
+                await this.refreshAfterChange();
+            } catch (error) {
+                console.error('Error creating reservation:', error);
+                Toast.error(error.message || 'Failed to create reservation');
+                submitBtn.disabled = false;
+            }
+        });
+
+        try {
+            lots = await this.loadAvailableLots();
+            searchInput.disabled = false;
+            searchInput.placeholder = lots.length > 0 ? 'Search by lot or development name' : 'No lots are available';
+            renderResults();
+            searchInput.focus();
+        } catch (error) {
+            console.error('Error loading available lots:', error);
+            searchInput.placeholder = 'Available lots could not be loaded';
+            Toast.error('Failed to load available lots');
+        }
+    }
+
+    async loadAvailableLots() {
+        const { data, error } = await this.getSupabase()
+            .from('lotes')
+            .select('*, loteamientos(nombre)')
+            .eq('estado', 'disponible')
+            .order('nombre', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async createManualReservation(lead) {
+        // Claim the lot first; the guarded update matches nothing if someone reserved it meanwhile
+        const { data: lot, error: lotError } = await this.getSupabase()
+            .from('lotes')
+            .update({ estado: 'reservado' })
+            .eq('id', lead.lotId)
+            .eq('estado', 'disponible')
+            .select()
+            .maybeSingle();
+
+        if (lotError) {
+            throw lotError;
+        }
+
+        if (!lot) {
+            throw new Error('This lot is no longer available. Choose another one.');
+        }
+
+        const { data, error } = await this.getSupabase()
+            .from('reservations')
+            .insert({
+                first_name: lead.firstName,
+                last_name: lead.lastName,
+                email: lead.email,
+                email_lower: lead.email.toLowerCase(),
+                phone: lead.phone,
+                additional_message: lead.message || null,
+                lot_id: lot.id,
+                lot_details: this.buildLotDetails(lot, lead.price),
+                reservation_date: new Date().toISOString(),
+                status: 'pending'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            // Put the lot back on the market when the reservation could not be saved
+            const { error: releaseError } = await this.getSupabase()
+                .from('lotes')
+                .update({ estado: 'disponible' })
+                .eq('id', lot.id)
+                .eq('estado', 'reservado');
+
+            if (releaseError) {
+                console.error('Error releasing lot:', releaseError);
+            }
+
+            throw error;
+        }
+
+        await ReservationActivity.record([data.id], 'note', `Entered from the back office (${DashboardController.MANUAL_SOURCES[lead.source] || lead.source})`, {
+            source: lead.source
+        });
+
+        return data;
+    }
+
+    /**
+     * Keep lotes.estado in step with reservation statuses: a confirmed reservation sells its lot,
+     * and a cancelled one puts it back on the market unless another active reservation still holds it.
+     * Both updates are guarded on the current estado so a lot sold elsewhere is never reopened.
+     */
+    async syncLotStatus(lotIds, newStatus) {
+        const ids = [...new Set(lotIds.filter(id => id !== undefined && id !== null && id !== ''))];
+        if (ids.length === 0 || (newStatus !== 'confirmed' && newStatus !== 'cancelled')) return true;
+
+        const supabase = this.getSupabase();
+        const batchSize = DashboardController.BULK_BATCH_SIZE;
+
+        try {
+            for (let i = 0; i < ids.length; i += batchSize) {
+                const chunk = ids.slice(i, i + batchSize);
+
+                if (newStatus === 'confirmed') {
+                    const { error } = await supabase
+                        .from('lotes')
+                        .update({ estado: 'vendido' })
+                        .in('id', chunk)
+                        .in('estado', ['disponible', 'reservado']);
+
+                    if (error) {
+                        throw error;
+                    }
+                    continue;
+                }
+
+                const { data: active, error: activeError } = await supabase
+                    .from('reservations')
+                    .select('lot_id')
+                    .in('lot_id', chunk)
+                    .or('status.is.null,status.neq.cancelled');
+
+                if (activeError) {
+                    throw activeError;
+                }
+
+                const held = new Set((active || []).map(r => String(r.lot_id)));
+                const free = chunk.filter(id => !held.has(String(id)));
+                if (free.length === 0) continue;
+
+                const { error } = await supabase
+                    .from('lotes')
+                    .update({ estado: 'disponible' })
+                    .in('id', free)
+                    .eq('estado', 'reservado');
+
+                if (error) {
+                    throw error;
+                }
+            }
+            return true;
+        } catch (error) {
+            // The status change already succeeded; a stale lot must not undo it
+            console.error('Error updating lot status:', error);
+            return false;
+        }
+    }
+
+    buildLotDetails(lot, price) {
+        return {
+            lados: Helpers.formatLados(lot.lados),
+            nombre: lot.nombre,
+            area_m2: Math.round(Number(lot.area_m2_rounded ?? lot.area_m2)),
+            precio_usd: price,
+            loteamiento_id: lot.loteamiento_id
+        };
+    }
+
+    async refreshAfterChange() {
+        try {
+            Helpers.toggleLoading(true);
+            await this.loadReservations();
+            this.calculateStats();
+            this.applyFilters();
+        } catch (error) {
+            console.error('Error reloading reservations:', error);
+        } finally {
+            Helpers.toggleLoading(false);
+        }
+
+        this.renderPage();
+    }
+
+    openHoldSettingsDialog() {
+        const modal = new Modal({
+            title: 'Reservation Hold Window',
+            content: `
+                <form class="status-form" id="hold-settings-form" novalidate>
+                    <p class="export-form__summary">
+                        Pending reservations expire once the hold window has passed since the reservation date.
+                    </p>
+
+                    <div class="form-group" id="hold-window-group">
+                        <label class="form-label" for="hold-window-hours">Hold window (hours)</label>
+                        <div class="input">
+                            <input type="number" class="input__field" id="hold-window-hours" min="1" step="1" value="${this.holdSettings.holdWindowHours}">
                         </div>
+                        <div class="form-error">Enter a whole number of hours greater than zero</div>
                     </div>
 
-                    <div class="filter-group">
-                        <label class="filter-label">Date Range</label>
-                        <div class="filter-range">
-                            <input
-                                type="date"
-                                class="input__field"
-                                id="filter-date-from"
-                                value="${this.filters.dateFrom}"
-                            >
-                            <span class="filter-range__separator">to</span>
-                            <input
-                                type="date"
-                                class="input__field"
-                                id="filter-date-to"
-                                value="${this.filters.dateTo}"
-                            >
+                    <div class="form-group" id="expiring-soon-group">
+                        <label class="form-label" for="expiring-soon-hours">Flag as expiring soon (hours before expiry)</label>
+                        <div class="input">
+                            <input type="number" class="input__field" id="expiring-soon-hours" min="1" step="1" value="${this.holdSettings.expiringSoonHours}">
                         </div>
+                        <div class="form-error">Enter a whole number of hours greater than zero</div>
                     </div>
 
-                    <div class="filter-group">
-                        <label class="filter-label">Status</label>
-                        <select class="input__field" id="filter-status">
-                            <option value="">All statuses</option>
-                            <option value="pending" ${this.filters.status === 'pending' ? 'selected' : ''}>Pending</option>
-                            <option value="confirmed" ${this.filters.status === 'confirmed' ? 'selected' : ''}>Confirmed</option>
-                            <option value="cancelled" ${this.filters.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
-                        </select>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Cancel</button>
+                        <button type="submit" class="btn btn--primary">Save</button>
                     </div>
-                </div>
+                </form>
+            `,
+            size: 'medium'
+        });
 
-                ${activeFilters.length > 0 ? `
-                    <div class="filter-chips">
-                        ${activeFilters.map(chip => `
-                            <div class="filter-chip" data-filter-key="${chip.key}">
-                                <span>${Helpers.escapeHtml(chip.label)}</span>
-                                <button class="filter-chip__remove" aria-label="Remove filter">
-                                    <i data-lucide="x" class="icon icon--xs"></i>
-                                </button>
-                            </div>
-                        `).join('')}
-                    </div>
-                ` : ''}
+        modal.open();
 
-                <div class="filters-panel__results">
-                    <span>Showing ${this.filteredReservations.length} of ${this.reservations.length} reservations</span>
-                </div>
-            </div>
+        const form = modal.element.querySelector('#hold-settings-form');
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
 
-            <div class="reservations-table-container">
-                <div class="table-header">
-                    <h3 class="table-title">Recent Reservations</h3>
-                    <button class="btn btn--ghost btn--sm">
-                        <i data-lucide="settings" class="icon icon--sm"></i>
-                    </button>
-                </div>
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
 
-                ${this.filteredReservations.length > 0 ? `
-                    <div class="table-wrapper">
-                        <table class="reservations-table">
-                            <thead>
-                                <tr>
-                                    <th>Name</th>
-                                    <th>Email</th>
-                                    <th>Phone</th>
-                                    <th>Lot</th>
-                                    <th>Price</th>
-                                    <th>Date</th>
-                                    <th>Status</th>
-                                    <th>Actions</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${paginatedData.map(reservation => this.renderReservationRow(reservation)).join('')}
-                            </tbody>
-                        </table>
-                    </div>
+            const fields = [
+                { group: form.querySelector('#hold-window-group'), input: form.querySelector('#hold-window-hours') },
+                { group: form.querySelector('#expiring-soon-group'), input: form.querySelector('#expiring-soon-hours') }
+            ];
 
-                    ${totalPages > 1 ? `
-                        <div class="table-pagination">
-                            <button
-                                class="btn btn--outline btn--sm"
-                                id="prev-page"
-                                ${this.pagination.currentPage === 1 ? 'disabled' : ''}
-                            >
-                                <i data-lucide="chevron-left" class="icon icon--sm"></i>
-                                Previous
-                            </button>
+            let valid = true;
+            fields.forEach(({ group, input }) => {
+                const value = Number(input.value);
+                const invalid = !Number.isInteger(value) || value < 1;
+                group.classList.toggle('form-group--error', invalid);
+                valid = valid && !invalid;
+            });
+            if (!valid) return;
 
-                            <div class="pagination-pages">
-                                ${this.renderPaginationPages(totalPages)}
-                            </div>
+            this.holdSettings = {
+                ...this.holdSettings,
+                holdWindowHours: Number(fields[0].input.value),
+                expiringSoonHours: Number(fields[1].input.value)
+            };
+            Storage.setOrganizationSettings(this.getOrganizationId(), this.holdSettings);
 
-                            <button
-                                class="btn btn--outline btn--sm"
-                                id="next-page"
-                                ${this.pagination.currentPage === totalPages ? 'disabled' : ''}
-                            >
-                                Next
-                                <i data-lucide="chevron-right" class="icon icon--sm"></i>
-                            </button>
-                        </div>
-                    ` : ''}
-                ` : `
-                    <div class="empty-state">
-                        <i data-lucide="inbox" class="icon" style="width: 3rem; height: 3rem; margin-bottom: 1rem; color: var(--muted-foreground);"></i>
-                        <h3>No reservations found</h3>
-                        <p>Try adjusting your filters or check back later</p>
-                    </div>
-                `}
-            </div>
-        `;
+            modal.close();
+            Toast.success('Hold window updated');
 
-        container.innerHTML = html;
-        lucide.createIcons();
+            await this.refreshStats();
+            if (this.filters.hold) {
+                this.applyFiltersAndRender();
+            } else {
+                this.renderPage();
+            }
+        });
     }
 
-    renderReservationRow(reservation) {
-        const lotName = reservation.lot_details?.nombre || 'N/A';
-        const lotPrice = reservation.lot_details?.precio_usd || 0;
-        const statusClass = this.getStatusClass(reservation.status);
+    async openCancelExpiredDialog() {
+        let ids;
 
-        return `
-            <tr data-reservation-id="${reservation.id}">
-                <td class="table-cell-name">
-                    <div class="cell-content">
-                        <span class="cell-primary">${Helpers.escapeHtml(reservation.first_name)} ${Helpers.escapeHtml(reservation.last_name)}</span>
+        try {
+            Helpers.toggleLoading(true);
+            ids = await this.getExpiredHoldIds();
+        } catch (error) {
+            console.error('Error loading expired holds:', error);
+            Toast.error('Failed to load expired holds');
+            return;
+        } finally {
+            Helpers.toggleLoading(false);
+        }
+
+        if (ids.length === 0) {
+            Toast.info('No expired holds to cancel');
+            return;
+        }
+
+        const hours = this.holdSettings.holdWindowHours;
+        const modal = new Modal({
+            title: `Cancel ${ids.length} Expired Hold${ids.length === 1 ? '' : 's'}`,
+            content: `
+                <div class="status-form">
+                    <p class="export-form__summary">
+                        ${ids.length} pending reservation${ids.length === 1 ? ' has' : 's have'} been on hold for more than ${hours} hours.
+                        They will be cancelled and their lots released.
+                    </p>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Back</button>
+                        <button type="button" class="btn btn--destructive" data-modal-action="cancel-expired">Cancel Expired Holds</button>
                     </div>
-                </td>
-                <td>${Helpers.escapeHtml(reservation.email)}</td>
-                <td>${Helpers.escapeHtml(reservation.phone || 'N/A')}</td>
-                <td><span class="lot-badge">${Helpers.escapeHtml(lotName)}</span></td>
-                <td class="table-cell-price">$${this.formatPrice(lotPrice)} USD</td>
-                <td>${this.formatDate(reservation.reservation_date)}</td>
-                <td>
-                    <span class="status-badge ${statusClass}">
-                        ${this.capitalizeFirst(reservation.status || 'pending')}
-                    </span>
-                </td>
-                <td class="table-cell-actions">
-                    <button class="btn btn--ghost btn--sm" data-action="options" data-id="${reservation.id}">
-                        <i data-lucide="more-horizontal" class="icon icon--sm"></i>
-                    </button>
-                    <button class="btn btn--outline btn--sm" data-action="details" data-id="${reservation.id}">
-                        Details
-                    </button>
-                </td>
-            </tr>
-        `;
+                </div>
+            `,
+            size: 'medium'
+        });
+
+        modal.open();
+        modal.element.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+        modal.element.querySelector('[data-modal-action="cancel-expired"]').addEventListener('click', () => {
+            modal.close();
+            this.runBulkAction('Cancel expired', 'cancelled', () =>
+                this.bulkUpdateStatus(ids, 'cancelled', `Hold expired after ${hours} hours`)
+            );
+        });
     }
 
-    renderPaginationPages(totalPages) {
-        const current = this.pagination.currentPage;
-        const pages = [];
+    openBulkDeleteDialog(ids) {
+        const confirmationWord = 'DELETE';
+        const modal = new Modal({
+            title: `Delete ${ids.length} Reservation${ids.length === 1 ? '' : 's'}`,
+            content: `
+                <form class="status-form" id="bulk-delete-form" novalidate>
+                    <div class="alert alert--error">
+                        <div class="alert__content">
+                            <div class="alert__description">
+                                This permanently removes the selected reservations. It cannot be undone.
+                            </div>
+                        </div>
+                    </div>
 
-        if (totalPages <= 7) {
-            for (let i = 1; i <= totalPages; i++) {
-                pages.push(i);
-            }
-        } else {
-            if (current <= 4) {
-                pages.push(1, 2, 3, 4, 5, '...', totalPages);
-            } else if (current >= totalPages - 3) {
-                pages.push(1, '...', totalPages - 4, totalPages - 3, totalPages - 2, totalPages - 1, totalPages);
-            } else {
-                pages.push(1, '...', current - 1, current, current + 1, '...', totalPages);
-            }
-        }
+                    <div class="form-group">
+                        <label class="form-label" for="bulk-delete-confirmation">
+                            Type <strong>${confirmationWord}</strong> to confirm
+                        </label>
+                        <div class="input">
+                            <input type="text" class="input__field" id="bulk-delete-confirmation" autocomplete="off">
+                        </div>
+                    </div>
 
-        return pages.map(page => {
-            if (page === '...') {
-                return '<span class="pagination-ellipsis">...</span>';
-            }
-            return `
-                <button
-                    class="pagination-page ${page === current ? 'active' : ''}"
-                    data-page="${page}"
-                >
-                    ${page}
-                </button>
-            `;
-        }).join('');
-    }
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Back</button>
+                        <button type="submit" class="btn btn--destructive" id="bulk-delete-submit" disabled>Delete</button>
+                    </div>
+                </form>
+            `,
+            size: 'medium'
+        });
 
-    setupEventListeners() {
-        const refreshBtn = document.getElementById('refresh-dashboard');
-        if (refreshBtn) {
-            refreshBtn.addEventListener('click', () => this.refresh());
-        }
+        modal.open();
+
+        const form = modal.element.querySelector('#bulk-delete-form');
+        const input = form.querySelector('#bulk-delete-confirmation');
+        const submitBtn = form.querySelector('#bulk-delete-submit');
+
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+
+        input.addEventListener('input', () => {
+            submitBtn.disabled = input.value.trim() !== confirmationWord;
+        });
 
-        const nameInput = document.getElementById('filter-name');
-        if (nameInput) {
-            nameInput.addEventListener('input', Helpers.debounce((e) => {
-                this.filters.name = e.target.value;
-                this.applyFiltersAndRender();
-            }, 300));
-        }
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (input.value.trim() !== confirmationWord) return;
 
-        const priceMinInput = document.getElementById('filter-price-min');
-        if (priceMinInput) {
-            priceMinInput.addEventListener('input', Helpers.debounce((e) => {
-                this.filters.priceMin = e.target.value;
-                this.applyFiltersAndRender();
-            }, 300));
-        }
+            modal.close();
+            this.runBulkAction('Delete', 'deleted', () => this.bulkDelete(ids));
+        });
+    }
 
-        const priceMaxInput = document.getElementById('filter-price-max');
-        if (priceMaxInput) {
-            priceMaxInput.addEventListener('input', Helpers.debounce((e) => {
-                this.filters.priceMax = e.target.value;
-                this.applyFiltersAndRender();
-            }, 300));
-        }
+    async runBulkAction(label, doneLabel, action) {
+        let result;
 
-        const dateFromInput = document.getElementById('filter-date-from');
-        if (dateFromInput) {
-            dateFromInput.addEventListener('change', (e) => {
-                this.filters.dateFrom = e.target.value;
-                this.applyFiltersAndRender();
-            });
+        try {
+            Helpers.toggleLoading(true);
+            result = await action();
+            await this.loadReservations();
+        } catch (error) {
+            console.error(`Bulk ${label.toLowerCase()} failed:`, error);
+            Toast.error(`${label} failed: ${error.message || 'unexpected error'}`);
+            return;
+        } finally {
+            Helpers.toggleLoading(false);
         }
 
-        const dateToInput = document.getElementById('filter-date-to');
-        if (dateToInput) {
-            dateToInput.addEventListener('change', (e) => {
-                this.filters.dateTo = e.target.value;
-                this.applyFiltersAndRender();
+        const currentPage = this.pagination.currentPage;
+        result.succeeded.forEach(id => this.selectedIds.delete(id));
+
+        // Only client mode holds every row; in server mode missing ids fail on the next action
+        if (!this.isServerMode()) {
+            const knownIds = new Set(this.statsRows.map(r => r.id));
+            [...this.selectedIds].forEach(id => {
+                if (!knownIds.has(id)) {
+                    this.selectedIds.delete(id);
+                }
             });
         }
+        this.calculateStats();
+        this.applyFilters();
+        this.pagination.currentPage = Math.min(currentPage, Math.max(this.getTotalPages(), 1));
+        this.renderPage();
 
-        const statusSelect = document.getElementById('filter-status');
-        if (statusSelect) {
-            statusSelect.addEventListener('change', (e) => {
-                this.filters.status = e.target.value;
-                this.applyFiltersAndRender();
-            });
+        if (result.succeeded.length > 0) {
+            Toast.success(`${result.succeeded.length} reservation${result.succeeded.length === 1 ? '' : 's'} ${doneLabel}`);
         }
 
-        const clearAllBtn = document.getElementById('clear-all-filters');
-        if (clearAllBtn) {
-            clearAllBtn.addEventListener('click', () => this.clearAllFilters());
+        if (result.failed.length > 0) {
+            this.showBulkFailures(label, result.failed);
         }
+    }
 
-        const filterChips = document.querySelectorAll('.filter-chip__remove');
-        filterChips.forEach(chip => {
-            chip.addEventListener('click', (e) => {
-                const filterKey = e.currentTarget.closest('.filter-chip').dataset.filterKey;
-                this.removeFilter(filterKey);
-            });
+    showBulkFailures(label, failures) {
+        const modal = new Modal({
+            title: `${label}: ${failures.length} reservation${failures.length === 1 ? '' : 's'} failed`,
+            content: `
+                <div class="bulk-failures">
+                    <p class="export-form__summary">The following reservations were not changed and remain selected.</p>
+                    <ul class="bulk-failures__list">
+                        ${failures.map(failure => {
+                            const row = this.getKnownRow(failure.id);
+                            const name = row ? `${row.first_name || ''} ${row.last_name || ''}`.trim() : failure.id;
+                            return `
+                                <li class="bulk-failures__item">
+                                    <span class="cell-primary">${Helpers.escapeHtml(name || failure.id)}</span>
+                                    <span class="bulk-failures__reason">${Helpers.escapeHtml(failure.reason)}</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--primary" data-modal-action="close">OK</button>
+                    </div>
+                </div>
+            `,
+            size: 'medium'
         });
 
-        const prevPageBtn = document.getElementById('prev-page');
-        if (prevPageBtn) {
-            prevPageBtn.addEventListener('click', () => this.changePage(this.pagination.currentPage - 1));
-        }
+        modal.open();
+        modal.element.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+    }
 
-        const nextPageBtn = document.getElementById('next-page');
-        if (nextPageBtn) {
-            nextPageBtn.addEventListener('click', () => this.changePage(this.pagination.currentPage + 1));
+    getKnownRow(id) {
+        return this.reservations.find(r => r.id === id)
+            || this.statsRows.find(r => r.id === id)
+            || this.knownRows.get(id);
+    }
+
+    async bulkUpdateStatus(ids, newStatus, reason = '') {
+        const result = { succeeded: [], failed: [] };
+        const groups = new Map();
+
+        // Server mode only holds the current page; look up the status of the other targets
+        const unknown = ids.filter(id => !this.getKnownRow(id));
+        if (unknown.length > 0) {
+            (await this.fetchReservationsByIds(unknown)).forEach(row => this.knownRows.set(row.id, row));
         }
 
-        const pageButtons = document.querySelectorAll('.pagination-page');
-        pageButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const page = parseInt(e.currentTarget.dataset.page);
-                this.changePage(page);
-            });
+        ids.forEach(id => {
+            const row = this.getKnownRow(id);
+            if (!row) {
+                result.failed.push({ id, reason: 'Reservation not found' });
+                return;
+            }
+
+            const currentStatus = row.status || 'pending';
+            if (!this.getAllowedTransitions(currentStatus).includes(newStatus)) {
+                result.failed.push({ id, reason: `Cannot change status from ${currentStatus} to ${newStatus}` });
+                return;
+            }
+
+            const key = row.status || null;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(id);
         });
 
-        const detailButtons = document.querySelectorAll('[data-action="details"]');
-        detailButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const id = e.currentTarget.dataset.id;
-                this.showReservationDetails(id);
+        const changes = this.buildStatusChanges(newStatus, reason);
+
+        // One request per batch and current status, so concurrent edits are detected per row
+        for (const [currentStatus, groupIds] of groups) {
+            const succeededBefore = result.succeeded.length;
+
+            await this.runInBatches(groupIds, result, 'Modified by someone else', chunk =>
+                this.whereStatus(
+                    this.getSupabase()
+                        .from('reservations')
+                        .update(changes)
+                        .in('id', chunk),
+                    currentStatus
+                ).select('id')
+            );
+
+            await ReservationActivity.record(result.succeeded.slice(succeededBefore), 'status_change', reason, {
+                from: currentStatus || 'pending',
+                to: newStatus
             });
-        });
-    }
+        }
 
-    applyFiltersAndRender() {
-        this.applyFilters();
-        const container = document.getElementById('page-content');
-        if (container) {
-            this.render(container);
-            this.setupEventListeners();
+        const lotIds = result.succeeded.map(id => this.getKnownRow(id)?.lot_id);
+        if (!await this.syncLotStatus(lotIds, newStatus)) {
+            Toast.warning('Statuses saved, but some lots could not be updated');
         }
-    }
 
-    clearAllFilters() {
-        this.filters = {
-            name: '',
-            priceMin: '',
-            priceMax: '',
-            dateFrom: '',
-            dateTo: '',
-            status: ''
-        };
-        this.applyFiltersAndRender();
+        return result;
     }
 
-    removeFilter(filterKey) {
-        switch (filterKey) {
-            case 'name':
-                this.filters.name = '';
-                break;
-            case 'price':
-                this.filters.priceMin = '';
-                this.filters.priceMax = '';
-                break;
-            case 'date':
-                this.filters.dateFrom = '';
-                this.filters.dateTo = '';
-                break;
-            case 'status':
-                this.filters.status = '';
-                break;
-        }
-        this.applyFiltersAndRender();
+    async bulkDelete(ids) {
+        const result = { succeeded: [], failed: [] };
+
+        await this.runInBatches(ids, result, 'Not permitted or already deleted', chunk =>
+            this.getSupabase()
+                .from('reservations')
+                .delete()
+                .in('id', chunk)
+                .select('id')
+        );
+
+        return result;
     }
 
-    changePage(page) {
-        const totalPages = this.getTotalPages();
-        if (page < 1 || page > totalPages) return;
+    async runInBatches(ids, result, missingReason, buildQuery) {
+        const batchSize = DashboardController.BULK_BATCH_SIZE;
 
-        this.pagination.currentPage = page;
-        const container = document.getElementById('page-content');
-        if (container) {
-            this.render(container);
-            this.setupEventListeners();
-            window.scrollTo({ top: 0, behavior: 'smooth' });
+        for (let i = 0; i < ids.length; i += batchSize) {
+            const chunk = ids.slice(i, i + batchSize);
+
+            try {
+                const { data, error } = await buildQuery(chunk);
+                if (error) {
+                    throw error;
+                }
+
+                const done = new Set((data || []).map(r => r.id));
+                chunk.forEach(id => {
+                    if (done.has(id)) {
+                        result.succeeded.push(id);
+                    } else {
+                        result.failed.push({ id, reason: missingReason });
+                    }
+                });
+            } catch (error) {
+                console.error('Bulk batch failed:', error);
+                chunk.forEach(id => result.failed.push({ id, reason: error.message || 'Request failed' }));
+            }
         }
     }
 
-    showReservationDetails(id) {
-        const reservation = this.reservations.find(r => r.id === id);
-        if (!reservation) return;
+    async fetchReservationsByIds(ids) {
+        if (!this.isServerMode()) {
+            const wanted = new Set(ids);
+            return this.reservations.filter(r => wanted.has(r.id));
+        }
 
-        const lotDetails = reservation.lot_details || {};
-        const modal = new Modal({
-            title: 'Reservation Details',
-            content: `
-                <div class="reservation-details">
-                    <div class="detail-section">
-                        <h4 class="detail-section__title">Client Information</h4>
-                        <div class="detail-row">
-                            <span class="detail-label">Name:</span>
-                            <span class="detail-value">${Helpers.escapeHtml(reservation.first_name)} ${Helpers.escapeHtml(reservation.last_name)}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Email:</span>
-                            <span class="detail-value">${Helpers.escapeHtml(reservation.email)}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Phone:</span>
-                            <span class="detail-value">${Helpers.escapeHtml(reservation.phone || 'N/A')}</span>
-                        </div>
-                    </div>
+        const rows = [];
+        const batchSize = DashboardController.BULK_BATCH_SIZE;
 
-                    <div class="detail-section">
-                        <h4 class="detail-section__title">Lot Information</h4>
-                        <div class="detail-row">
-                            <span class="detail-label">Lot:</span>
-                            <span class="detail-value">${Helpers.escapeHtml(lotDetails.nombre || 'N/A')}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Price:</span>
-                            <span class="detail-value">$${this.formatPrice(lotDetails.precio_usd || 0)} USD</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Area:</span>
-                            <span class="detail-value">${lotDetails.area_m2 ? `${lotDetails.area_m2} m²` : 'N/A'}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Dimensions:</span>
-                            <span class="detail-value">${Helpers.escapeHtml(lotDetails.lados || 'N/A')}</span>
-                        </div>
-                    </div>
+        for (let i = 0; i < ids.length; i += batchSize) {
+            const { data, error } = await this.getSupabase()
+                .from('reservations')
+                .select('*')
+                .in('id', ids.slice(i, i + batchSize))
+                .order('created_at', { ascending: false });
 
-                    <div class="detail-section">
-                        <h4 class="detail-section__title">Reservation Details</h4>
-                        <div class="detail-row">
-                            <span class="detail-label">Status:</span>
-                            <span class="status-badge ${this.getStatusClass(reservation.status)}">
-                                ${this.capitalizeFirst(reservation.status || 'pending')}
-                            </span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Reservation Date:</span>
-                            <span class="detail-value">${this.formatDate(reservation.reservation_date)}</span>
-                        </div>
-                        <div class="detail-row">
-                            <span class="detail-label">Created:</span>
-                            <span class="detail-value">${this.formatDate(reservation.created_at)}</span>
-                        </div>
-                        ${reservation.additional_message ? `
-                            <div class="detail-row">
-                                <span class="detail-label">Message:</span>
-                                <span class="detail-value">${Helpers.escapeHtml(reservation.additional_message)}</span>
-                            </div>
-                        ` : ''}
-                    </div>
+            if (error) {
+                throw error;
+            }
 
-                    <div class="modal-actions">
-                        <button class="btn btn--outline" onclick="this.closest('.modal-container').querySelector('.modal-close').click()">Close</button>
-                        <button class="btn btn--primary">Update Status</button>
-                    </div>
-                </div>
-            `,
-            size: 'medium'
-        });
+            rows.push(...(data || []));
+        }
 
-        modal.open();
+        return rows;
     }
 
     async refresh() {
@@ -738,11 +4545,7 @@ class DashboardController {
             await this.loadReservations();
             this.calculateStats();
             this.applyFilters();
-            const container = document.getElementById('page-content');
-            if (container) {
-                this.render(container);
-                this.setupEventListeners();
-            }
+            this.renderPage();
             Toast.success('Dashboard refreshed');
         } catch (error) {
             console.error('Error refreshing dashboard:', error);
@@ -752,11 +4555,183 @@ class DashboardController {
         }
     }
 
-    formatPrice(amount) {
-        return amount.toLocaleString('en-US', {
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 2
+    subscribeToRealtime() {
+        this.unsubscribeFromRealtime();
+
+        try {
+            this.realtimeChannel = this.getSupabase()
+                .channel('dashboard-reservations')
+                .on('postgres_changes', { event: '*', schema: 'public', table: 'reservations' },
+                    (payload) => this.handleRealtimeChange(payload))
+                .subscribe((status) => this.setRealtimeStatus(status === 'SUBSCRIBED' ? 'live' : 'offline'));
+        } catch (error) {
+            console.error('Error subscribing to reservation changes:', error);
+            this.setRealtimeStatus('offline');
+        }
+    }
+
+    unsubscribeFromRealtime() {
+        if (!this.realtimeChannel) return;
+
+        const supabase = window.SupabaseClient;
+        if (supabase && supabase.isReady()) {
+            supabase.getClient().removeChannel(this.realtimeChannel);
+        }
+
+        this.realtimeChannel = null;
+        this.realtimeStatus = 'offline';
+        this.pendingHighlights.clear();
+    }
+
+    setRealtimeStatus(status) {
+        this.realtimeStatus = status;
+
+        const indicator = document.getElementById('realtime-indicator');
+        if (indicator) {
+            indicator.outerHTML = this.renderRealtimeIndicator();
+        }
+    }
+
+    renderRealtimeIndicator() {
+        const isLive = this.realtimeStatus === 'live';
+        return `
+            <span class="realtime-indicator ${isLive ? 'realtime-indicator--live' : ''}" id="realtime-indicator" title="${isLive ? 'Receiving updates in real time' : 'Realtime updates unavailable'}">
+                ${isLive ? 'Live' : 'Offline'}
+            </span>
+        `;
+    }
+
+    handleRealtimeChange(payload) {
+        const { eventType } = payload;
+        const record = eventType === 'DELETE' ? payload.old : payload.new;
+        if (!record || !record.id) return;
+
+        if (eventType === 'DELETE') {
+            this.reservations = this.reservations.filter(r => r.id !== record.id);
+            if (!this.isServerMode()) {
+                this.statsRows = this.reservations;
+            }
+            this.knownRows.delete(record.id);
+            this.pendingHighlights.delete(record.id);
+            this.selectedIds.delete(record.id);
+        } else if (this.isServerMode() && !this.reservations.some(r => r.id === record.id)) {
+            // Only the current page is held; rows elsewhere show up in the refreshed counts
+            this.knownRows.delete(record.id);
+        } else {
+            this.mergeReservation(this.reservations, record);
+            this.knownRows.delete(record.id);
+            this.pendingHighlights.add(record.id);
+        }
+
+        if (eventType === 'INSERT') {
+            const name = `${record.first_name || ''} ${record.last_name || ''}`.trim() || record.email;
+            const lotName = record.lot_details?.nombre;
+            Toast.info(lotName ? `${name} reserved ${lotName}` : `${name} submitted a reservation`, {
+                title: 'New lead'
+            });
+        }
+
+        this.flushRealtimeChanges();
+    }
+
+    mergeReservation(list, record) {
+        const index = list.findIndex(r => r.id === record.id);
+        if (index > -1) {
+            list[index] = record;
+        } else {
+            list.unshift(record);
+        }
+    }
+
+    async applyRealtimeChanges() {
+        // The user may have left the dashboard while the change was debounced
+        if (!this.realtimeChannel) return;
+
+        if (this.isServerMode()) {
+            try {
+                await this.refreshServerAggregates();
+            } catch (error) {
+                console.error('Error refreshing reservation stats:', error);
+            }
+        }
+
+        const currentPage = this.pagination.currentPage;
+        this.calculateStats();
+        this.applyFilters();
+        this.pagination.currentPage = Math.min(currentPage, Math.max(this.getTotalPages(), 1));
+
+        // Re-rendering replaces the filter inputs, so keep the caret where the user left it
+        const active = document.activeElement;
+        const focusedId = active && active.id ? active.id : null;
+        const selection = focusedId && typeof active.selectionStart === 'number'
+            ? [active.selectionStart, active.selectionEnd]
+            : null;
+
+        this.renderPage();
+
+        if (focusedId) {
+            const field = document.getElementById(focusedId);
+            if (field) {
+                field.focus();
+                if (selection && typeof field.setSelectionRange === 'function') {
+                    field.setSelectionRange(...selection);
+                }
+            }
+        }
+
+        this.highlightRows([...this.pendingHighlights]);
+        this.pendingHighlights.clear();
+    }
+
+    highlightRows(ids) {
+        ids.forEach(id => {
+            const row = document.querySelector(`.reservation-row[data-reservation-id="${id}"]`);
+            if (!row) return;
+
+            row.classList.add('reservation-row--highlight');
+            row.addEventListener('animationend', () => {
+                row.classList.remove('reservation-row--highlight');
+            }, { once: true });
+        });
+    }
+
+    // Amounts are stored in USD and shown in the user's display currency at today's rate
+    formatPrice(amount, options = {}) {
+        const formatted = Helpers.formatCurrency(amount, this.displayCurrency, {
+            from: Currency.BASE,
+            maximumFractionDigits: Currency.CURRENCIES[this.displayCurrency].decimals
         });
+
+        if (!options.withOriginal || !this.isConvertingPrices()) {
+            return formatted;
+        }
+
+        return `${formatted} (${this.formatOriginalPrice(amount)})`;
+    }
+
+    formatOriginalPrice(amount) {
+        return `${Helpers.formatCurrency(amount, Currency.BASE, { maximumFractionDigits: 2 })} ${Currency.BASE}`;
+    }
+
+    renderPrice(amount) {
+        if (!this.isConvertingPrices()) {
+            return Helpers.escapeHtml(this.formatPrice(amount));
+        }
+
+        return `
+            <span class="price">
+                <span>${Helpers.escapeHtml(this.formatPrice(amount))}</span>
+                <span class="price__original">${Helpers.escapeHtml(this.formatOriginalPrice(amount))}</span>
+            </span>
+        `;
+    }
+
+    isConvertingPrices() {
+        return this.displayCurrency !== Currency.BASE && Currency.getRate(this.displayCurrency) !== null;
+    }
+
+    formatCompact(amount) {
+        return Helpers.formatCurrency(amount, this.displayCurrency, { from: Currency.BASE, notation: 'compact' });
     }
 
     formatDate(dateString) {
@@ -805,6 +4780,12 @@ class DashboardController {
     }
 
     destroy() {
+        this.unsubscribeFromRealtime();
+        this.stopHoldTimer();
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
     }
 }
 
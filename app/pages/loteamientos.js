@@ -0,0 +1,1220 @@
+/**
+ * Loteamientos Page Controller for Real Estate SaaS
+ * Lists developments with their lot availability and shows the detail of each one
+ */
+
+class LoteamientosController {
+    static ESTADOS = {
+        disponible: { label: 'Available', badge: 'status-badge--active' },
+        reservado: { label: 'Reserved', badge: 'status-badge--prospect' },
+        vendido: { label: 'Sold', badge: 'status-badge--inactive' }
+    };
+
+    static SORT_FIELDS = {
+        nombre: { defaultDirection: 'asc', value: row => row.nombre },
+        area: { defaultDirection: 'desc', value: row => Number(row.area_m2_rounded) },
+        perimeter: { defaultDirection: 'desc', value: row => Number(row.perimeter_m) },
+        lotes: { defaultDirection: 'desc', value: (row, counts) => counts.total },
+        disponible: { defaultDirection: 'desc', value: (row, counts) => counts.disponible }
+    };
+
+    static LIST_COLUMNS = 'id, external_id, nombre, descripcion, area_m2_rounded, perimeter_m, created_at, updated_at';
+
+    static DETAIL_LOTE_COLUMNS = 'id, loteamiento_id, external_id, nombre, geojson, centroide_lat, centroide_lng, area_m2_rounded, lados, precio_usd, estado';
+
+    static COUNT_REFRESH_DELAY = 500;
+
+    static EXPORT_FORMATS = {
+        geojson: 'GeoJSON (.geojson)',
+        kml: 'KML (.kml, Google Earth)'
+    };
+
+    // Keeps the reservations lookup URL under PostgREST's length limit
+    static RESERVATION_LOOKUP_BATCH = 100;
+
+    constructor() {
+        this.container = null;
+        this.loteamientos = [];
+        this.lotCounts = new Map();
+        this.search = '';
+        this.sort = { field: 'nombre', direction: 'asc' };
+        this.detail = null;
+        this.lotes = [];
+        this.lotFilters = { search: '', estado: '' };
+        this.realtimeChannel = null;
+        this.map = null;
+        this.refreshCounts = Helpers.debounce(() => this.reloadCounts(), LoteamientosController.COUNT_REFRESH_DELAY);
+    }
+
+    async load(container, data = {}) {
+        this.container = container;
+        this.detail = null;
+        this.destroyMap();
+
+        try {
+            if (data.id) {
+                await this.loadDetail(data.id);
+            } else {
+                await this.loadList();
+            }
+            this.subscribeToRealtime();
+        } catch (error) {
+            console.error('Error loading loteamientos:', error);
+            this.renderError(container);
+        }
+    }
+
+    getSupabase() {
+        const supabase = window.SupabaseClient;
+
+        if (!supabase || !supabase.isReady()) {
+            throw new Error('Supabase client not initialized');
+        }
+
+        return supabase.getClient();
+    }
+
+    async loadList() {
+        const [loteamientos] = await Promise.all([this.fetchLoteamientos(), this.reloadCounts({ render: false })]);
+        this.loteamientos = loteamientos;
+        this.render(this.container);
+        this.setupEventListeners();
+    }
+
+    async fetchLoteamientos() {
+        const { data, error } = await this.getSupabase()
+            .from('loteamientos')
+            .select(LoteamientosController.LIST_COLUMNS);
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async reloadCounts({ render = true } = {}) {
+        try {
+            // Aggregated per loteamiento and estado by the view (db/loteamiento_lot_counts.sql)
+            let query = this.getSupabase()
+                .from('loteamiento_lot_counts')
+                .select('loteamiento_id, estado, lotes');
+
+            if (this.detail) {
+                query = query.eq('loteamiento_id', this.detail.id);
+            }
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            this.lotCounts = this.countByEstado(data || []);
+        } catch (error) {
+            // The first load surfaces the error; later refreshes keep the last counts
+            if (!render) throw error;
+            console.error('Error refreshing lot counts:', error);
+            return;
+        }
+
+        if (render) {
+            this.renderCounts();
+        }
+    }
+
+    /**
+     * Totals per loteamiento from lot rows, or from view rows that carry their count in `lotes`
+     */
+    countByEstado(rows) {
+        const counts = new Map();
+
+        rows.forEach(row => {
+            if (!counts.has(row.loteamiento_id)) {
+                counts.set(row.loteamiento_id, this.emptyCounts());
+            }
+
+            const entry = counts.get(row.loteamiento_id);
+            const estado = LoteamientosController.ESTADOS[row.estado] ? row.estado : 'otro';
+            const amount = Number(row.lotes ?? 1);
+            entry[estado] = (entry[estado] || 0) + amount;
+            entry.total += amount;
+        });
+
+        return counts;
+    }
+
+    emptyCounts() {
+        return { disponible: 0, reservado: 0, vendido: 0, otro: 0, total: 0 };
+    }
+
+    getCounts(loteamientoId) {
+        return this.lotCounts.get(loteamientoId) || this.emptyCounts();
+    }
+
+    getVisibleLoteamientos() {
+        const term = this.search.trim().toLowerCase();
+        const { field, direction } = this.sort;
+        const definition = LoteamientosController.SORT_FIELDS[field];
+
+        const rows = term
+            ? this.loteamientos.filter(row => [row.nombre, row.descripcion, row.external_id]
+                .some(value => String(value || '').toLowerCase().includes(term)))
+            : this.loteamientos;
+
+        return [...rows].sort((a, b) => {
+            const valueA = definition.value(a, this.getCounts(a.id));
+            const valueB = definition.value(b, this.getCounts(b.id));
+            const result = typeof valueA === 'number' && typeof valueB === 'number'
+                ? valueA - valueB
+                : String(valueA || '').localeCompare(String(valueB || ''), undefined, { sensitivity: 'base', numeric: true });
+
+            return direction === 'asc' ? result : -result;
+        });
+    }
+
+    toggleSort(field) {
+        const definition = LoteamientosController.SORT_FIELDS[field];
+        if (!definition) return;
+
+        this.sort = this.sort.field === field
+            ? { field, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' }
+            : { field, direction: definition.defaultDirection };
+
+        this.renderTable();
+    }
+
+    formatArea(area) {
+        const value = Number(area);
+        if (!area || isNaN(value)) return 'N/A';
+
+        const squareMeters = `${Helpers.formatNumber(Math.round(value))} m²`;
+        return value >= 10000 ? `${squareMeters} (${(value / 10000).toFixed(2)} ha)` : squareMeters;
+    }
+
+    formatLength(length) {
+        const value = Number(length);
+        if (!length || isNaN(value)) return 'N/A';
+        return `${value.toLocaleString('en-US', { maximumFractionDigits: 1 })} m`;
+    }
+
+    formatPrice(amount) {
+        const value = Number(amount);
+        if (amount === null || amount === undefined || amount === '' || isNaN(value)) return 'N/A';
+
+        const currency = Currency.getDisplayCurrency();
+        return Helpers.formatCurrency(value, currency, {
+            from: Currency.BASE,
+            maximumFractionDigits: Currency.CURRENCIES[currency].decimals
+        });
+    }
+
+    renderEstadoBadge(estado) {
+        const info = LoteamientosController.ESTADOS[estado];
+        return `
+            <span class="status-badge ${info ? info.badge : ''}">${Helpers.escapeHtml(info ? info.label : Helpers.capitalize(estado || 'unknown'))}</span>
+        `;
+    }
+
+    renderCountBar(counts) {
+        if (counts.total === 0) {
+            return '<span class="lot-counts__empty">No lots</span>';
+        }
+
+        return `
+            <div class="lot-counts" title="${Object.entries(LoteamientosController.ESTADOS).map(([estado, info]) => `${counts[estado]} ${info.label.toLowerCase()}`).join(', ')}">
+                <div class="lot-counts__bar">
+                    ${Object.keys(LoteamientosController.ESTADOS).map(estado => counts[estado] > 0 ? `
+                        <span class="lot-counts__segment lot-counts__segment--${estado}" style="flex-grow: ${counts[estado]}"></span>
+                    ` : '').join('')}
+                </div>
+                <div class="lot-counts__legend">
+                    ${Object.entries(LoteamientosController.ESTADOS).map(([estado, info]) => `
+                        <span class="lot-counts__item lot-counts__item--${estado}">${counts[estado]} ${info.label.toLowerCase()}</span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderSortableHeader(field, label) {
+        const active = this.sort.field === field;
+        const icon = !active ? 'chevrons-up-down' : this.sort.direction === 'asc' ? 'arrow-up' : 'arrow-down';
+        const ariaSort = !active ? 'none' : this.sort.direction === 'asc' ? 'ascending' : 'descending';
+
+        return `
+            <th class="sortable-header ${active ? 'sortable-header--active' : ''}" aria-sort="${ariaSort}">
+                <button type="button" class="sortable-header__button" data-sort="${field}">
+                    ${label}
+                    <i data-lucide="${icon}" class="icon icon--xs"></i>
+                </button>
+            </th>
+        `;
+    }
+
+    render(container) {
+        const totals = this.getTotals();
+
+        container.innerHTML = `
+            <div class="page-header">
+                <div>
+                    <h1 class="page-title">Loteamientos</h1>
+                    <p class="page-description">Developments and the availability of their lots</p>
+                </div>
+                <div class="page-actions">
+                    <button class="btn btn--outline" id="refresh-loteamientos">
+                        <i data-lucide="refresh-cw" class="icon icon--sm"></i>
+                        Refresh
+                    </button>
+                    <button class="btn btn--primary" id="import-kml">
+                        <i data-lucide="upload" class="icon icon--sm"></i>
+                        Import KML
+                    </button>
+                </div>
+            </div>
+
+            <div class="dashboard-stats" id="loteamiento-totals">
+                ${this.renderTotals(totals)}
+            </div>
+
+            <div class="reservations-table-container">
+                <div class="table-header">
+                    <h3 class="table-title">Developments</h3>
+                    <div class="input loteamientos-search">
+                        <input
+                            type="search"
+                            class="input__field"
+                            id="loteamiento-search"
+                            placeholder="Search by name, description or ID..."
+                            value="${Helpers.escapeHtml(this.search)}"
+                            aria-label="Search developments"
+                        >
+                    </div>
+                </div>
+                <div id="loteamientos-table"></div>
+            </div>
+        `;
+
+        this.renderTable();
+    }
+
+    getTotals() {
+        const totals = this.emptyCounts();
+
+        this.lotCounts.forEach((counts, loteamientoId) => {
+            if (this.detail && loteamientoId !== this.detail.id) return;
+            Object.keys(totals).forEach(key => {
+                totals[key] += counts[key];
+            });
+        });
+
+        return totals;
+    }
+
+    renderTotals(totals) {
+        const cards = [
+            { title: this.detail ? 'Total Lots' : 'Developments', value: this.detail ? totals.total : this.loteamientos.length, icon: this.detail ? 'grid-3x3' : 'map' },
+            { title: 'Available Lots', value: totals.disponible, icon: 'check-circle' },
+            { title: 'Reserved Lots', value: totals.reservado, icon: 'clock' },
+            { title: 'Sold Lots', value: totals.vendido, icon: 'badge-check' }
+        ];
+
+        return cards.map(card => `
+            <div class="stat-card">
+                <div class="stat-card__header">
+                    <span class="stat-card__title">${card.title}</span>
+                    <div class="stat-card__icon">
+                        <i data-lucide="${card.icon}" class="icon icon--md"></i>
+                    </div>
+                </div>
+                <div class="stat-card__value">${Helpers.formatNumber(card.value)}</div>
+            </div>
+        `).join('');
+    }
+
+    renderTable() {
+        const table = this.container.querySelector('#loteamientos-table');
+        if (!table) return;
+
+        const rows = this.getVisibleLoteamientos();
+
+        table.innerHTML = rows.length > 0 ? `
+            <div class="table-wrapper">
+                <table class="reservations-table loteamientos-table">
+                    <thead>
+                        <tr>
+                            ${this.renderSortableHeader('nombre', 'Name')}
+                            ${this.renderSortableHeader('area', 'Area')}
+                            ${this.renderSortableHeader('perimeter', 'Perimeter')}
+                            ${this.renderSortableHeader('lotes', 'Lots')}
+                            ${this.renderSortableHeader('disponible', 'Availability')}
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => this.renderRow(row)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : `
+            <div class="empty-state">
+                <i data-lucide="map" class="icon" style="width: 3rem; height: 3rem; margin-bottom: 1rem; color: var(--muted-foreground);"></i>
+                <h3>No developments found</h3>
+                <p>${this.search ? 'Try a different search' : 'Developments appear here once they are imported'}</p>
+            </div>
+        `;
+
+        lucide.createIcons();
+    }
+
+    renderRow(row) {
+        const counts = this.getCounts(row.id);
+
+        return `
+            <tr data-loteamiento-id="${Helpers.escapeHtml(row.id)}">
+                <td class="table-cell-name">
+                    <div class="cell-content">
+                        <span class="cell-primary">${Helpers.escapeHtml(row.nombre)}</span>
+                        ${row.descripcion ? `<span class="cell-secondary">${Helpers.escapeHtml(Helpers.truncate(row.descripcion, 80))}</span>` : ''}
+                    </div>
+                </td>
+                <td>${this.formatArea(row.area_m2_rounded)}</td>
+                <td>${this.formatLength(row.perimeter_m)}</td>
+                <td>${Helpers.formatNumber(counts.total)}</td>
+                <td>${this.renderCountBar(counts)}</td>
+                <td class="table-cell-actions">
+                    <a class="btn btn--outline btn--sm" href="#/loteamientos/${encodeURIComponent(row.id)}">Details</a>
+                </td>
+            </tr>
+        `;
+    }
+
+    renderCounts() {
+        const totals = this.container?.querySelector('#loteamiento-totals');
+        if (!totals) return;
+
+        totals.innerHTML = this.renderTotals(this.getTotals());
+
+        if (this.detail) {
+            this.renderLotesTable();
+        } else {
+            this.renderTable();
+        }
+
+        lucide.createIcons();
+    }
+
+    async loadDetail(id) {
+        const [{ data: loteamiento, error }, { data: lotes, error: lotesError }] = await Promise.all([
+            this.getSupabase()
+                .from('loteamientos')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle(),
+            this.getSupabase()
+                .from('lotes')
+                .select(LoteamientosController.DETAIL_LOTE_COLUMNS)
+                .eq('loteamiento_id', id)
+        ]);
+
+        if (error || lotesError) {
+            throw error || lotesError;
+        }
+
+        if (!loteamiento) {
+            this.renderNotFound(this.container);
+            return;
+        }
+
+        await Currency.loadRates();
+
+        this.detail = loteamiento;
+        this.lotes = lotes || [];
+        this.lotCounts = this.countByEstado(this.lotes);
+        this.lotFilters = { search: '', estado: '' };
+        this.renderDetail(this.container);
+        this.setupDetailEventListeners();
+    }
+
+    renderDetail(container) {
+        const loteamiento = this.detail;
+        const rows = [
+            ['Area', this.formatArea(loteamiento.area_m2_rounded)],
+            ['Perimeter', this.formatLength(loteamiento.perimeter_m)],
+            ['Centroid', `${Number(loteamiento.centroide_lat).toFixed(6)}, ${Number(loteamiento.centroide_lng).toFixed(6)}`],
+            ['Bounding box', `${Number(loteamiento.min_lat).toFixed(6)}, ${Number(loteamiento.min_lng).toFixed(6)} → ${Number(loteamiento.max_lat).toFixed(6)}, ${Number(loteamiento.max_lng).toFixed(6)}`],
+            ['External ID', loteamiento.external_id],
+            ['Last updated', Helpers.formatDate(loteamiento.updated_at || loteamiento.created_at)]
+        ];
+
+        container.innerHTML = `
+            <div class="page-header">
+                <div>
+                    <a class="loteamiento-detail__back" href="#/loteamientos">
+                        <i data-lucide="arrow-left" class="icon icon--sm"></i>
+                        All developments
+                    </a>
+                    <h1 class="page-title">${Helpers.escapeHtml(loteamiento.nombre)}</h1>
+                    ${loteamiento.descripcion ? `<p class="page-description">${Helpers.escapeHtml(loteamiento.descripcion)}</p>` : ''}
+                </div>
+                <div class="page-actions">
+                    <button class="btn btn--outline" id="export-loteamiento">
+                        <i data-lucide="download" class="icon icon--sm"></i>
+                        Export
+                    </button>
+                    <button class="btn btn--outline" id="verify-geometry">
+                        <i data-lucide="ruler" class="icon icon--sm"></i>
+                        Verify Geometry
+                    </button>
+                    <button class="btn btn--outline" id="refresh-loteamientos">
+                        <i data-lucide="refresh-cw" class="icon icon--sm"></i>
+                        Refresh
+                    </button>
+                </div>
+            </div>
+
+            <div class="dashboard-stats" id="loteamiento-totals">
+                ${this.renderTotals(this.getTotals())}
+            </div>
+
+            <div class="card loteamiento-detail__map">
+                <div class="card__header">
+                    <h2 class="card__title">Lot Map</h2>
+                    <p class="card__description">Drag to pan, scroll or use the buttons to zoom</p>
+                </div>
+                <div class="card__content" id="lot-map"></div>
+            </div>
+
+            <div class="loteamiento-detail">
+                <div class="card loteamiento-detail__summary">
+                    <div class="card__header">
+                        <h2 class="card__title">Details</h2>
+                    </div>
+                    <div class="card__content">
+                        ${rows.map(([label, value]) => `
+                            <div class="detail-row">
+                                <span class="detail-label">${label}</span>
+                                <span class="detail-value">${Helpers.escapeHtml(value)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="reservations-table-container loteamiento-detail__lotes">
+                    <div class="table-header">
+                        <h3 class="table-title">Lots</h3>
+                        <div class="loteamiento-detail__filters">
+                            <div class="input loteamientos-search">
+                                <input type="search" class="input__field" id="lote-search" placeholder="Search lots..." aria-label="Search lots">
+                            </div>
+                            <select class="input__field" id="lote-estado" aria-label="Filter by status">
+                                <option value="">All statuses</option>
+                                ${Object.entries(LoteamientosController.ESTADOS).map(([estado, info]) => `
+                                    <option value="${estado}">${info.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    <div id="lotes-table"></div>
+                </div>
+            </div>
+        `;
+
+        this.renderLotesTable();
+        this.mountMap();
+    }
+
+    mountMap() {
+        this.destroyMap();
+        this.map = new LotMap(this.container.querySelector('#lot-map'), {
+            lotes: this.lotes,
+            outline: this.detail.geojson,
+            formatPrice: amount => this.formatPrice(amount),
+            onSelect: () => this.renderLotesTable()
+        });
+    }
+
+    destroyMap() {
+        if (this.map) {
+            this.map.destroy();
+            this.map = null;
+        }
+    }
+
+    getVisibleLotes() {
+        const term = this.lotFilters.search.trim().toLowerCase();
+
+        return this.lotes
+            .filter(lote => !this.lotFilters.estado || lote.estado === this.lotFilters.estado)
+            .filter(lote => !term || [lote.nombre, lote.external_id].some(value => String(value || '').toLowerCase().includes(term)))
+            .sort((a, b) => String(a.nombre).localeCompare(String(b.nombre), undefined, { sensitivity: 'base', numeric: true }));
+    }
+
+    renderLotesTable() {
+        const table = this.container.querySelector('#lotes-table');
+        if (!table) return;
+
+        const lotes = this.getVisibleLotes();
+
+        table.innerHTML = lotes.length > 0 ? `
+            <div class="table-wrapper">
+                <table class="reservations-table lotes-table">
+                    <thead>
+                        <tr>
+                            <th>Lot</th>
+                            <th>Area</th>
+                            <th>Sides</th>
+                            <th>Price</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lotes.map(lote => `
+                            <tr data-lote-id="${Helpers.escapeHtml(lote.id)}" class="${lote.id === this.map?.selectedId ? 'lote-row--selected' : ''}">
+                                <td class="table-cell-name">
+                                    <span class="cell-primary">${Helpers.escapeHtml(lote.nombre)}</span>
+                                </td>
+                                <td>${this.formatArea(lote.area_m2_rounded)}</td>
+                                <td>${Helpers.escapeHtml(Helpers.formatLados(lote.lados) || 'N/A')}</td>
+                                <td class="table-cell-price">${this.formatPrice(lote.precio_usd)}</td>
+                                <td>${this.renderEstadoBadge(lote.estado)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : `
+            <div class="empty-state">
+                <i data-lucide="grid-3x3" class="icon" style="width: 3rem; height: 3rem; margin-bottom: 1rem; color: var(--muted-foreground);"></i>
+                <h3>No lots found</h3>
+                <p>${this.lotes.length > 0 ? 'Try adjusting the search or status filter' : 'This development has no lots yet'}</p>
+            </div>
+        `;
+
+        lucide.createIcons();
+    }
+
+    setupEventListeners() {
+        this.container.querySelector('#refresh-loteamientos').addEventListener('click', () => this.refresh());
+        this.container.querySelector('#import-kml').addEventListener('click', () => this.openImportDialog());
+
+        this.container.querySelector('#loteamiento-search').addEventListener('input', Helpers.debounce((e) => {
+            this.search = e.target.value;
+            this.renderTable();
+        }, 200));
+
+        this.container.querySelector('#loteamientos-table').addEventListener('click', (e) => {
+            const sortButton = e.target.closest('[data-sort]');
+            if (sortButton) {
+                this.toggleSort(sortButton.dataset.sort);
+                return;
+            }
+
+            // The whole row opens the detail, the Details link already does it natively
+            const row = e.target.closest('[data-loteamiento-id]');
+            if (row && !e.target.closest('a')) {
+                router.navigate(`/loteamientos/${encodeURIComponent(row.dataset.loteamientoId)}`);
+            }
+        });
+    }
+
+    setupDetailEventListeners() {
+        this.container.querySelector('#refresh-loteamientos').addEventListener('click', () => this.refresh());
+        this.container.querySelector('#verify-geometry').addEventListener('click', () => this.openVerifyDialog());
+        this.container.querySelector('#export-loteamiento').addEventListener('click', () => this.openExportDialog());
+
+        this.container.querySelector('#lote-search').addEventListener('input', Helpers.debounce((e) => {
+            this.lotFilters.search = e.target.value;
+            this.renderLotesTable();
+        }, 200));
+
+        this.container.querySelector('#lote-estado').addEventListener('change', (e) => {
+            this.lotFilters.estado = e.target.value;
+            this.renderLotesTable();
+        });
+
+        // Picking a lot in the table shows it on the map
+        this.container.querySelector('#lotes-table').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-lote-id]');
+            if (!row || !this.map) return;
+
+            this.map.select(row.dataset.loteId);
+            this.map.focus(row.dataset.loteId);
+            this.container.querySelector('#lot-map').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        });
+    }
+
+    openImportDialog() {
+        let preview = null;
+        let previewMap = null;
+
+        const modal = new Modal({
+            title: 'Import KML',
+            content: `
+                <form class="status-form kml-import" id="kml-import-form" novalidate>
+                    <div class="form-group">
+                        <label class="form-label" for="kml-file">KML file</label>
+                        <input type="file" class="input__field" id="kml-file" accept=".kml,application/vnd.google-earth.kml+xml">
+                        <div class="form-help">
+                            One polygon is the development outline and the others are its lots.
+                            Re-importing a file updates the lots with the same ID; their status and price are kept.
+                        </div>
+                    </div>
+
+                    <div id="kml-preview"></div>
+
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Cancel</button>
+                        <button type="submit" class="btn btn--primary" data-modal-action="import" disabled>
+                            <i data-lucide="upload" class="icon icon--sm"></i>
+                            Import
+                        </button>
+                    </div>
+                </form>
+            `,
+            size: 'large',
+            onClose: () => previewMap?.destroy()
+        });
+
+        modal.open();
+
+        const form = modal.element.querySelector('#kml-import-form');
+        const previewContainer = form.querySelector('#kml-preview');
+        const importBtn = form.querySelector('[data-modal-action="import"]');
+
+        const showPreview = async (parsed, parentIndex) => {
+            importBtn.disabled = true;
+            const prepared = KML.prepare(parsed, parentIndex);
+            const existing = prepared.parent ? await KML.findExisting(prepared) : { loteamiento: null, lotes: new Map() };
+            preview = { parsed, prepared, existing };
+
+            previewMap?.destroy();
+            previewMap = null;
+            previewContainer.innerHTML = this.renderImportPreview(preview);
+
+            if (prepared.parent) {
+                previewMap = new LotMap(previewContainer.querySelector('#kml-preview-map'), {
+                    lotes: prepared.lotes.map(feature => ({
+                        id: String(feature.index),
+                        nombre: feature.nombre || feature.externalId,
+                        geojson: KML.toGeometry(feature),
+                        ...feature.metrics,
+                        estado: existing.lotes.get(feature.externalId)?.estado || 'disponible'
+                    })),
+                    outline: KML.toGeometry(prepared.parent),
+                    reservable: false
+                });
+            }
+
+            previewContainer.querySelector('#kml-parent')?.addEventListener('change', async (e) => {
+                try {
+                    await showPreview(parsed, Number(e.target.value));
+                } catch (error) {
+                    console.error('Error previewing KML import:', error);
+                    Toast.error('Failed to check existing developments');
+                }
+            });
+
+            importBtn.disabled = !prepared.parent || prepared.lotes.length === 0;
+            lucide.createIcons();
+        };
+
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+
+        form.querySelector('#kml-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                if (/\.kmz$/i.test(file.name)) {
+                    throw new Error('KMZ files are compressed; open them in Google Earth and save as .kml');
+                }
+                await showPreview(KML.parse(await file.text()));
+            } catch (error) {
+                console.error('Error reading KML:', error);
+                preview = null;
+                importBtn.disabled = true;
+                previewContainer.innerHTML = `
+                    <div class="alert alert--error">
+                        <div class="alert__content">
+                            <div class="alert__title">Could not read the file</div>
+                            <div class="alert__description">${Helpers.escapeHtml(error.message)}</div>
+                        </div>
+                    </div>
+                `;
+            }
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!preview || !preview.prepared.parent) return;
+
+            importBtn.disabled = true;
+
+            try {
+                const result = await KML.import(preview.prepared, preview.existing);
+                Toast.success(`Imported ${result.created} new and ${result.updated} updated lot${result.updated === 1 ? '' : 's'}`);
+                modal.close();
+                router.navigate(`/loteamientos/${encodeURIComponent(result.loteamientoId)}`);
+            } catch (error) {
+                console.error('Error importing KML:', error);
+                Toast.error(error.message || 'Failed to import the KML file');
+                importBtn.disabled = false;
+            }
+        });
+    }
+
+    renderImportPreview({ parsed, prepared, existing }) {
+        const candidates = parsed.features.filter(feature => feature.metrics);
+        const updates = prepared.lotes.filter(feature => existing.lotes.has(feature.externalId)).length;
+
+        return `
+            <div class="kml-import__preview">
+                <div class="form-group">
+                    <label class="form-label" for="kml-parent">Development outline</label>
+                    <div class="input">
+                        <select class="input__field" id="kml-parent">
+                            ${candidates.map(feature => `
+                                <option value="${feature.index}" ${feature === prepared.parent ? 'selected' : ''}>
+                                    ${Helpers.escapeHtml(feature.nombre || feature.externalId || `Placemark ${feature.index + 1}`)} · ${this.formatArea(feature.metrics.area_m2)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+
+                <p class="export-form__summary">
+                    ${prepared.lotes.length} lot${prepared.lotes.length === 1 ? '' : 's'}:
+                    ${prepared.lotes.length - updates} new, ${updates} to update.
+                    ${existing.loteamiento
+                        ? `Updates the existing development <strong>${Helpers.escapeHtml(existing.loteamiento.nombre)}</strong>.`
+                        : 'Creates a new development.'}
+                </p>
+
+                ${prepared.warnings.length > 0 ? `
+                    <div class="alert alert--warning">
+                        <i data-lucide="alert-triangle" class="alert__icon icon icon--sm"></i>
+                        <div class="alert__content">
+                            <div class="alert__title">${prepared.warnings.length} warning${prepared.warnings.length === 1 ? '' : 's'}</div>
+                            <ul class="kml-import__warnings">
+                                ${prepared.warnings.map(warning => `<li>${Helpers.escapeHtml(warning)}</li>`).join('')}
+                            </ul>
+                        </div>
+                    </div>
+                ` : ''}
+
+                <div id="kml-preview-map"></div>
+            </div>
+        `;
+    }
+
+    async openVerifyDialog() {
+        const tolerance = { ...Geometry.TOLERANCE };
+        let rows = [];
+        let results = [];
+
+        const modal = new Modal({
+            title: 'Verify Geometry',
+            content: `
+                <form class="status-form geometry-check" id="geometry-check-form" novalidate>
+                    <p class="export-form__summary">
+                        Recomputes area, perimeter, sides, centroid and bounding box from each polygon on the WGS84 ellipsoid
+                        and lists the stored values that differ by more than the tolerance.
+                    </p>
+
+                    <div class="geometry-check__tolerances">
+                        <div class="form-group">
+                            <label class="form-label" for="tolerance-area">Area (%)</label>
+                            <div class="input">
+                                <input type="number" class="input__field" id="tolerance-area" name="areaPercent" min="0" step="0.1" value="${tolerance.areaPercent}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="tolerance-length">Perimeter (%)</label>
+                            <div class="input">
+                                <input type="number" class="input__field" id="tolerance-length" name="lengthPercent" min="0" step="0.1" value="${tolerance.lengthPercent}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="tolerance-meters">Sides and position (m)</label>
+                            <div class="input">
+                                <input type="number" class="input__field" id="tolerance-meters" name="meters" min="0" step="0.1" value="${tolerance.meters}">
+                            </div>
+                        </div>
+                    </div>
+
+                    <div id="geometry-check-results">
+                        <p class="export-form__summary">Loading lots…</p>
+                    </div>
+
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Close</button>
+                        <button type="submit" class="btn btn--primary" data-modal-action="fix" disabled>
+                            <i data-lucide="refresh-cw" class="icon icon--sm"></i>
+                            Update Stored Metrics
+                        </button>
+                    </div>
+                </form>
+            `,
+            size: 'large'
+        });
+
+        modal.open();
+
+        const form = modal.element.querySelector('#geometry-check-form');
+        const resultsContainer = form.querySelector('#geometry-check-results');
+        const fixBtn = form.querySelector('[data-modal-action="fix"]');
+
+        const runCheck = () => {
+            form.querySelectorAll('.geometry-check__tolerances input').forEach(input => {
+                const value = Number(input.value);
+                tolerance[input.name] = input.value !== '' && value >= 0 ? value : Geometry.TOLERANCE[input.name];
+            });
+
+            results = rows
+                .map(row => ({ ...row, ...Geometry.verify(row.data, tolerance) }))
+                .filter(result => result.issues.length > 0);
+
+            resultsContainer.innerHTML = this.renderGeometryCheck(results, rows.length);
+            fixBtn.disabled = !results.some(result => result.computed);
+            lucide.createIcons();
+        };
+
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+        form.querySelector('.geometry-check__tolerances').addEventListener('input', Helpers.debounce(runCheck, 300));
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const fixable = results.filter(result => result.computed);
+            if (fixable.length === 0) return;
+
+            fixBtn.disabled = true;
+
+            try {
+                await Promise.all(fixable.map(async ({ table, data, computed }) => {
+                    // Only lotes store their sides
+                    const { lados, ...metrics } = computed;
+                    const { error } = await this.getSupabase()
+                        .from(table)
+                        .update(table === 'lotes' ? { ...metrics, lados } : metrics)
+                        .eq('id', data.id);
+
+                    if (error) {
+                        throw error;
+                    }
+                }));
+
+                Toast.success(`Updated the metrics of ${fixable.length} polygon${fixable.length === 1 ? '' : 's'}`);
+                modal.close();
+                await this.refresh();
+            } catch (error) {
+                console.error('Error updating metrics:', error);
+                Toast.error('Failed to update some metrics; run the check again');
+                fixBtn.disabled = false;
+            }
+        });
+
+        try {
+            // The page only loads the columns it shows, the check needs every stored metric
+            const { data, error } = await this.getSupabase()
+                .from('lotes')
+                .select('*')
+                .eq('loteamiento_id', this.detail.id);
+
+            if (error) {
+                throw error;
+            }
+
+            rows = [
+                { table: 'loteamientos', data: this.detail, label: `${this.detail.nombre} (outline)` },
+                ...(data || [])
+                    .sort((a, b) => String(a.nombre).localeCompare(String(b.nombre), undefined, { sensitivity: 'base', numeric: true }))
+                    .map(lote => ({ table: 'lotes', data: lote, label: lote.nombre }))
+            ];
+            runCheck();
+        } catch (error) {
+            console.error('Error loading lots to verify:', error);
+            resultsContainer.innerHTML = `
+                <div class="alert alert--error">
+                    <div class="alert__content">
+                        <div class="alert__title">Failed to load the lots</div>
+                        <div class="alert__description">Please close this dialog and try again.</div>
+                    </div>
+                </div>
+            `;
+        }
+    }
+
+    renderGeometryCheck(results, total) {
+        if (results.length === 0) {
+            return `
+                <div class="alert alert--success">
+                    <i data-lucide="check-circle" class="alert__icon icon icon--sm"></i>
+                    <div class="alert__content">
+                        <div class="alert__title">All ${total} polygons match their stored metrics</div>
+                    </div>
+                </div>
+            `;
+        }
+
+        const format = value => {
+            if (Array.isArray(value)) return value.map(format).join(', ');
+            if (value === null || value === undefined || value === '') return '—';
+            const number = Number(value);
+            return isNaN(number) ? String(value) : number.toLocaleString('en-US', { maximumFractionDigits: 7 });
+        };
+
+        return `
+            <p class="export-form__summary">
+                ${results.length} of ${total} polygon${total === 1 ? '' : 's'} drift beyond the tolerance.
+                Updating overwrites their stored metrics with the recomputed ones.
+            </p>
+            <div class="table-wrapper geometry-check__table">
+                <table class="reservations-table">
+                    <thead>
+                        <tr>
+                            <th>Polygon</th>
+                            <th>Metric</th>
+                            <th>Stored</th>
+                            <th>Recomputed</th>
+                            <th>Difference</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${results.flatMap(result => result.issues.map((issue, index) => `
+                            <tr>
+                                <td>${index === 0 ? `<span class="cell-primary">${Helpers.escapeHtml(result.label)}</span>` : ''}</td>
+                                <td>${Helpers.escapeHtml(Geometry.METRIC_LABELS[issue.field] || issue.field)}</td>
+                                <td>${Helpers.escapeHtml(format(issue.stored))}</td>
+                                <td>${Helpers.escapeHtml(format(issue.computed))}</td>
+                                <td>${Helpers.escapeHtml(issue.difference)}</td>
+                            </tr>
+                        `)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    openExportDialog() {
+        const saved = Storage.getExportPreferences('loteamientos');
+        const format = LoteamientosController.EXPORT_FORMATS[saved.format] ? saved.format : 'geojson';
+        const count = this.lotes.length;
+
+        const modal = new Modal({
+            title: 'Export Development',
+            content: `
+                <form class="export-form" id="loteamiento-export-form" novalidate>
+                    <p class="export-form__summary">
+                        The outline of ${Helpers.escapeHtml(this.detail.nombre)} and its ${count} lot${count === 1 ? '' : 's'} will be exported
+                        with their name, status, area, price and reservation status. KML files open colored by status in Google Earth.
+                    </p>
+
+                    <div class="form-group">
+                        <span class="form-label">File Format</span>
+                        <div class="radio-group">
+                            ${Object.entries(LoteamientosController.EXPORT_FORMATS).map(([value, label]) => `
+                                <label class="radio-item">
+                                    <input type="radio" class="radio" name="format" value="${value}" ${format === value ? 'checked' : ''}>
+                                    ${label}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn--outline" data-modal-action="close">Cancel</button>
+                        <button type="submit" class="btn btn--primary" data-modal-action="export">
+                            <i data-lucide="download" class="icon icon--sm"></i>
+                            Export
+                        </button>
+                    </div>
+                </form>
+            `,
+            size: 'medium'
+        });
+
+        modal.open();
+
+        const form = modal.element.querySelector('#loteamiento-export-form');
+        form.querySelector('[data-modal-action="close"]').addEventListener('click', () => modal.close());
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const options = { format: form.querySelector('[name="format"]:checked')?.value || 'geojson' };
+            const exportBtn = form.querySelector('[data-modal-action="export"]');
+            exportBtn.disabled = true;
+
+            try {
+                Storage.setExportPreferences('loteamientos', options);
+                const lotes = await this.getLotesForExport();
+                const filename = `${Helpers.createSlug(this.detail.nombre) || 'loteamiento'}-lotes`;
+
+                if (options.format === 'kml') {
+                    Exporter.downloadKML(this.detail, lotes, filename);
+                } else {
+                    Exporter.downloadGeoJSON(this.detail, lotes, filename);
+                }
+
+                Toast.success(`Exported ${lotes.length} lot${lotes.length === 1 ? '' : 's'}`);
+                modal.close();
+            } catch (error) {
+                console.error('Error exporting loteamiento:', error);
+                Toast.error('Failed to export the development');
+                exportBtn.disabled = false;
+            }
+        });
+    }
+
+    async getLotesForExport() {
+        // The page loads the rounded area only, the export carries the exact one
+        const { data, error } = await this.getSupabase()
+            .from('lotes')
+            .select('*')
+            .eq('loteamiento_id', this.detail.id);
+
+        if (error) {
+            throw error;
+        }
+
+        const lotes = (data || []).sort((a, b) => String(a.nombre).localeCompare(String(b.nombre), undefined, { sensitivity: 'base', numeric: true }));
+        const statuses = await this.getReservationStatuses(lotes.map(lote => lote.id));
+
+        return lotes.map(lote => ({ ...lote, reservation_status: statuses.get(lote.id) || 'none' }));
+    }
+
+    /**
+     * Reservation status of each lot: confirmed if any reservation is confirmed,
+     * otherwise pending if any is still pending; cancelled ones no longer hold the lot
+     */
+    async getReservationStatuses(lotIds) {
+        const statuses = new Map();
+        const batchSize = LoteamientosController.RESERVATION_LOOKUP_BATCH;
+
+        for (let from = 0; from < lotIds.length; from += batchSize) {
+            const { data, error } = await this.getSupabase()
+                .from('reservations')
+                .select('lot_id, status')
+                .in('lot_id', lotIds.slice(from, from + batchSize));
+
+            if (error) {
+                throw error;
+            }
+
+            (data || []).forEach(reservation => {
+                const status = reservation.status || 'pending';
+                if (status === 'cancelled' || statuses.get(reservation.lot_id) === 'confirmed') return;
+                statuses.set(reservation.lot_id, status);
+            });
+        }
+
+        return statuses;
+    }
+
+    async refresh() {
+        try {
+            Helpers.toggleLoading(true);
+            if (this.detail) {
+                const { search, estado } = this.lotFilters;
+                await this.loadDetail(this.detail.id);
+                this.lotFilters = { search, estado };
+                this.container.querySelector('#lote-search').value = search;
+                this.container.querySelector('#lote-estado').value = estado;
+                this.renderLotesTable();
+            } else {
+                await this.loadList();
+            }
+        } catch (error) {
+            console.error('Error refreshing loteamientos:', error);
+            Toast.error('Failed to refresh developments');
+        } finally {
+            Helpers.toggleLoading(false);
+        }
+    }
+
+    subscribeToRealtime() {
+        this.unsubscribeFromRealtime();
+
+        try {
+            this.realtimeChannel = this.getSupabase()
+                .channel('loteamientos-lotes')
+                .on('postgres_changes', { event: '*', schema: 'public', table: 'lotes' },
+                    (payload) => this.handleLotChange(payload))
+                .subscribe();
+        } catch (error) {
+            console.error('Error subscribing to lot changes:', error);
+        }
+    }
+
+    unsubscribeFromRealtime() {
+        if (!this.realtimeChannel) return;
+
+        const supabase = window.SupabaseClient;
+        if (supabase && supabase.isReady()) {
+            supabase.getClient().removeChannel(this.realtimeChannel);
+        }
+
+        this.realtimeChannel = null;
+    }
+
+    handleLotChange(payload) {
+        if (this.detail) {
+            const lote = payload.eventType === 'DELETE' ? payload.old : payload.new;
+            const index = this.lotes.findIndex(row => row.id === lote?.id);
+
+            if (payload.eventType === 'DELETE') {
+                if (index > -1) this.lotes.splice(index, 1);
+            } else if (lote?.loteamiento_id === this.detail.id) {
+                if (index > -1) {
+                    this.lotes[index] = { ...this.lotes[index], ...lote };
+                } else {
+                    this.lotes.push(lote);
+                }
+            }
+
+            this.lotCounts = this.countByEstado(this.lotes);
+            this.renderCounts();
+            this.map?.setLotes(this.lotes);
+            return;
+        }
+
+        // A change can move a lot between estados or developments, so recount everything
+        this.refreshCounts();
+    }
+
+    renderNotFound(container) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i data-lucide="map-pin-off" class="icon" style="width: 3rem; height: 3rem; margin-bottom: 1rem; color: var(--muted-foreground);"></i>
+                <h3>Development not found</h3>
+                <p>It may have been deleted. <a href="#/loteamientos">Back to all developments</a></p>
+            </div>
+        `;
+    }
+
+    renderError(container) {
+        container.innerHTML = `
+            <div class="alert alert--error">
+                <div class="alert__content">
+                    <div class="alert__title">Error Loading Developments</div>
+                    <div class="alert__description">Failed to load loteamientos. Please try refreshing the page.</div>
+                </div>
+            </div>
+        `;
+    }
+
+    destroy() {
+        this.unsubscribeFromRealtime();
+        this.destroyMap();
+    }
+}
+
+const loteamientosController = new LoteamientosController();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = loteamientosController;
+}
+
+window.loteamientosController = loteamientosController;
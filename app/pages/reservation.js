@@ -0,0 +1,115 @@
+/**
+ * Reservation Page Controller for Real Estate SaaS
+ * Public page where a visitor requests a reservation for the lot given in the URL
+ */
+
+class ReservationController {
+    static LOT_ID_PARAMS = ['lot_id', 'lotId', 'id'];
+    static NUMERIC_DETAILS = ['area_m2', 'precio_usd'];
+    static DETAIL_KEYS = ['nombre', 'area_m2', 'lados', 'precio_usd', 'loteamiento_id'];
+
+    constructor() {
+        this.lot = null;
+        this.form = null;
+    }
+
+    async load(container, data = {}) {
+        try {
+            this.lot = this.getLotFromQuery(data.query || {});
+            this.render(container);
+        } catch (error) {
+            console.error('Error loading reservation page:', error);
+            this.renderError(container);
+        }
+    }
+
+    getLotFromQuery(query) {
+        const idParam = ReservationController.LOT_ID_PARAMS.find(param => query[param]);
+        if (!idParam) {
+            return null;
+        }
+
+        let parsed = {};
+        if (query.details) {
+            try {
+                parsed = JSON.parse(query.details) || {};
+            } catch (error) {
+                console.warn('Ignoring malformed lot details in URL:', error);
+            }
+        }
+
+        // Only known lot fields are kept; loose params (?nombre=...&precio_usd=...) override the details object
+        const details = {};
+        ReservationController.DETAIL_KEYS.forEach(key => {
+            if (query[key] !== undefined && query[key] !== '') {
+                details[key] = query[key];
+            } else if (parsed[key] !== undefined) {
+                details[key] = parsed[key];
+            }
+        });
+
+        ReservationController.NUMERIC_DETAILS.forEach(key => {
+            const number = Number(details[key]);
+            if (details[key] !== undefined && details[key] !== '' && !isNaN(number)) {
+                details[key] = number;
+            }
+        });
+
+        return { id: query[idParam], details };
+    }
+
+    render(container) {
+        container.innerHTML = `
+            <div class="page-header">
+                <div>
+                    <h1 class="page-title">Reservation</h1>
+                    <p class="page-description">Request a reservation for the selected lot</p>
+                </div>
+            </div>
+            <div id="reservation-form-container"></div>
+        `;
+
+        if (!this.lot) {
+            container.querySelector('#reservation-form-container').innerHTML = `
+                <div class="alert alert--warning">
+                    <i data-lucide="map-pin-off" class="alert__icon icon icon--sm"></i>
+                    <div class="alert__content">
+                        <div class="alert__title">No lot selected</div>
+                        <div class="alert__description">Open this page from a lot on the map to reserve it.</div>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        this.form = new ReservationForm(container.querySelector('#reservation-form-container'), {
+            lot: this.lot
+        });
+    }
+
+    renderError(container) {
+        container.innerHTML = `
+            <div class="alert alert--error">
+                <div class="alert__content">
+                    <div class="alert__title">Error Loading Reservation</div>
+                    <div class="alert__description">Failed to load the reservation form.</div>
+                </div>
+            </div>
+        `;
+    }
+
+    destroy() {
+        if (this.form) {
+            this.form.destroy();
+            this.form = null;
+        }
+    }
+}
+
+const reservationController = new ReservationController();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = reservationController;
+}
+
+window.reservationController = reservationController;
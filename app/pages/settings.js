@@ -0,0 +1,503 @@
+/**
+ * Settings Page Controller for Real Estate SaaS
+ * Handles organization-wide settings such as follow-up message templates
+ */
+
+class SettingsController {
+    constructor() {
+        this.container = null;
+        this.templates = [];
+        this.selectedTemplateId = null;
+        this.validator = null;
+        this.rates = [];
+    }
+
+    async load(container, data = {}) {
+        try {
+            this.container = container;
+            this.templates = await MessageTemplates.load(this.getOrganizationId());
+            this.selectedTemplateId = this.templates[0]?.id || null;
+            this.rates = await Currency.loadRates();
+            this.render(container);
+            this.setupEventListeners();
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.renderError(container);
+        }
+    }
+
+    getOrganizationId() {
+        const user = Storage.getSession()?.user;
+        return user?.organization_id || user?.organizationId || 'default';
+    }
+
+    getSelectedTemplate() {
+        return this.templates.find(template => template.id === this.selectedTemplateId) || null;
+    }
+
+    render(container) {
+        container.innerHTML = `
+            <div class="page-header">
+                <div>
+                    <h1 class="page-title">Settings</h1>
+                    <p class="page-description">Configure your organization's workspace</p>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card__header template-settings__header">
+                    <div>
+                        <h2 class="card__title">Message Templates</h2>
+                        <p class="card__description">Follow-up texts agents send by email or WhatsApp from a reservation, shared with the whole team</p>
+                    </div>
+                    <div class="template-settings__actions">
+                        <button class="btn btn--ghost btn--sm" id="reset-templates">
+                            <i data-lucide="rotate-ccw" class="icon icon--sm"></i>
+                            Restore Defaults
+                        </button>
+                        <button class="btn btn--primary btn--sm" id="new-template">
+                            <i data-lucide="plus" class="icon icon--sm"></i>
+                            New Template
+                        </button>
+                    </div>
+                </div>
+                <div class="card__content template-settings">
+                    <ul class="template-settings__list" id="template-list"></ul>
+                    <div class="template-settings__editor" id="template-editor"></div>
+                </div>
+            </div>
+
+            <div class="card currency-settings">
+                <div class="card__header">
+                    <h2 class="card__title">Currency</h2>
+                    <p class="card__description">Prices are stored in USD and converted with the rate in effect on each day</p>
+                </div>
+                <div class="card__content">
+                    <div class="form-group currency-settings__display">
+                        <label class="form-label" for="display-currency">Display currency</label>
+                        <div class="input">
+                            <select class="input__field" id="display-currency">
+                                ${Object.entries(Currency.CURRENCIES).map(([code, info]) => `
+                                    <option value="${code}" ${code === Currency.getDisplayCurrency() ? 'selected' : ''}>${code} · ${info.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-help">Your personal preference. The original USD amount is shown alongside converted prices.</div>
+                    </div>
+
+                    <form class="currency-settings__form" id="rate-form" novalidate>
+                        <div class="form-group">
+                            <label class="form-label" for="rate-quote">Currency</label>
+                            <div class="input">
+                                <select class="input__field" id="rate-quote" name="quote">
+                                    ${Object.keys(Currency.CURRENCIES).filter(code => code !== Currency.BASE).map(code => `
+                                        <option value="${code}">${code}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="rate-value">1 USD = <span class="form-required">*</span></label>
+                            <div class="input">
+                                <input type="number" class="input__field" id="rate-value" name="rate" min="0" step="any" placeholder="7500">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="rate-date">Effective from <span class="form-required">*</span></label>
+                            <div class="input">
+                                <input type="date" class="input__field" id="rate-date" name="effective_date" value="${Currency.toDay(new Date())}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="rate-note">Note <span class="form-optional">(optional)</span></label>
+                            <div class="input">
+                                <input type="text" class="input__field" id="rate-note" name="note" placeholder="e.g. BCP reference rate">
+                            </div>
+                        </div>
+                        <button type="submit" class="btn btn--primary" id="add-rate">
+                            <i data-lucide="plus" class="icon icon--sm"></i>
+                            Add Rate
+                        </button>
+                    </form>
+
+                    <div id="rate-table"></div>
+                </div>
+            </div>
+        `;
+
+        this.renderTemplateList();
+        this.renderTemplateEditor();
+        this.renderRateTable();
+    }
+
+    renderRateTable() {
+        const table = this.container.querySelector('#rate-table');
+        const today = Currency.toDay(new Date());
+        const inEffect = new Set(Object.keys(Currency.CURRENCIES).map(code => Currency.getRate(code)?.id).filter(Boolean));
+
+        table.innerHTML = this.rates.length > 0 ? `
+            <table class="table currency-settings__table">
+                <thead>
+                    <tr>
+                        <th class="table__header-cell">Effective from</th>
+                        <th class="table__header-cell">Rate</th>
+                        <th class="table__header-cell">Note</th>
+                        <th class="table__header-cell">Added by</th>
+                        <th class="table__header-cell"><span class="sr-only">Actions</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.rates.map(rate => `
+                        <tr>
+                            <td class="table__cell">
+                                ${Helpers.formatDate(`${rate.effective_date}T00:00:00`)}
+                                ${inEffect.has(rate.id) ? '<span class="status-badge status-badge--confirmed">In effect</span>' : ''}
+                                ${rate.effective_date > today ? '<span class="status-badge status-badge--pending">Scheduled</span>' : ''}
+                            </td>
+                            <td class="table__cell">1 ${Helpers.escapeHtml(rate.base)} = ${Helpers.escapeHtml(Number(rate.rate).toLocaleString(Currency.CURRENCIES[rate.quote]?.locale || 'en-US'))} ${Helpers.escapeHtml(rate.quote)}</td>
+                            <td class="table__cell">${Helpers.escapeHtml(rate.note || '')}</td>
+                            <td class="table__cell">${Helpers.escapeHtml(rate.created_by || '')}</td>
+                            <td class="table__cell">
+                                <button type="button" class="btn btn--ghost btn--sm" data-rate-id="${Helpers.escapeHtml(rate.id)}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="template-settings__empty">No exchange rates yet. Prices are shown in USD until a rate is added.</p>';
+    }
+
+    renderTemplateList() {
+        const list = this.container.querySelector('#template-list');
+
+        list.innerHTML = this.templates.length > 0
+            ? this.templates.map(template => `
+                <li>
+                    <button type="button" class="template-settings__item ${template.id === this.selectedTemplateId ? 'template-settings__item--active' : ''}" data-template-id="${Helpers.escapeHtml(template.id)}">
+                        <i data-lucide="${MessageTemplates.CHANNELS[template.channel]?.icon || 'file-text'}" class="icon icon--sm"></i>
+                        <span>${Helpers.escapeHtml(template.name)}</span>
+                    </button>
+                </li>
+            `).join('')
+            : '<li class="template-settings__empty">No templates yet</li>';
+
+        lucide.createIcons();
+    }
+
+    renderTemplateEditor() {
+        const editor = this.container.querySelector('#template-editor');
+        const template = this.getSelectedTemplate() || { id: '', name: '', channel: 'whatsapp', subject: '', body: '' };
+        const isNew = !this.getSelectedTemplate();
+
+        editor.innerHTML = `
+            <form id="template-form" novalidate>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label class="form-label" for="template-name">Name <span class="form-required">*</span></label>
+                        <div class="input">
+                            <input type="text" class="input__field" id="template-name" name="name" value="${Helpers.escapeHtml(template.name)}">
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label" for="template-channel">Channel</label>
+                        <div class="input">
+                            <select class="input__field" id="template-channel" name="channel">
+                                ${Object.entries(MessageTemplates.CHANNELS).map(([channel, info]) => `
+                                    <option value="${channel}" ${channel === template.channel ? 'selected' : ''}>${info.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div class="form-group form-group--full ${template.channel === 'email' ? '' : 'hidden'}" id="template-subject-group">
+                        <label class="form-label" for="template-subject">Subject</label>
+                        <div class="input">
+                            <input type="text" class="input__field" id="template-subject" name="subject" value="${Helpers.escapeHtml(template.subject || '')}">
+                        </div>
+                    </div>
+
+                    <div class="form-group form-group--full">
+                        <label class="form-label" for="template-body">Message <span class="form-required">*</span></label>
+                        <div class="input">
+                            <textarea class="input__field input__field--textarea" id="template-body" name="body" rows="8">${Helpers.escapeHtml(template.body)}</textarea>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="template-settings__placeholders" aria-label="Insert placeholder">
+                    ${MessageTemplates.PLACEHOLDERS.map(placeholder => `
+                        <button type="button" class="filter-chip" data-placeholder="${placeholder.key}" title="${placeholder.label}">
+                            {{${placeholder.key}}}
+                        </button>
+                    `).join('')}
+                </div>
+
+                <div class="template-settings__preview">
+                    <div class="template-settings__preview-title">Preview with sample data</div>
+                    <div class="template-settings__preview-subject" id="template-preview-subject"></div>
+                    <p class="template-settings__preview-body" id="template-preview-body"></p>
+                </div>
+
+                <div class="modal-actions">
+                    ${isNew ? '' : `
+                        <button type="button" class="btn btn--ghost" id="delete-template">
+                            <i data-lucide="trash-2" class="icon icon--sm"></i>
+                            Delete
+                        </button>
+                    `}
+                    <button type="submit" class="btn btn--primary">${isNew ? 'Create Template' : 'Save Template'}</button>
+                </div>
+            </form>
+        `;
+
+        this.setupTemplateForm(editor.querySelector('#template-form'));
+        lucide.createIcons();
+    }
+
+    setupEventListeners() {
+        this.setupCurrencySettings();
+
+        this.container.querySelector('#template-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-template-id]');
+            if (!item) return;
+
+            this.selectedTemplateId = item.dataset.templateId;
+            this.renderTemplateList();
+            this.renderTemplateEditor();
+        });
+
+        this.container.querySelector('#new-template').addEventListener('click', () => {
+            this.selectedTemplateId = null;
+            this.renderTemplateList();
+            this.renderTemplateEditor();
+            this.container.querySelector('#template-name').focus();
+        });
+
+        const resetBtn = this.container.querySelector('#reset-templates');
+        resetBtn.addEventListener('click', () => {
+            // First click arms the button, the second one restores
+            if (!resetBtn.dataset.armed) {
+                resetBtn.dataset.armed = 'true';
+                resetBtn.classList.replace('btn--ghost', 'btn--destructive');
+                resetBtn.textContent = 'Confirm restore';
+                return;
+            }
+
+            this.templates = MessageTemplates.DEFAULTS.map(template => ({ ...template }));
+            this.persistTemplates('Default templates restored');
+            this.selectedTemplateId = this.templates[0].id;
+            this.render(this.container);
+            this.setupEventListeners();
+        });
+    }
+
+    setupCurrencySettings() {
+        this.container.querySelector('#display-currency').addEventListener('change', (e) => {
+            if (Currency.setDisplayCurrency(e.target.value)) {
+                Toast.success(`Prices will be shown in ${e.target.value}`);
+            } else {
+                Toast.error('Failed to save display currency');
+            }
+        });
+
+        const form = this.container.querySelector('#rate-form');
+        const rateValidator = new FormValidator(form, {
+            rate: {
+                required: true,
+                custom: value => Number(value) > 0 || 'Enter a rate greater than zero',
+                messages: { required: 'Rate is required' }
+            },
+            effective_date: { required: true, messages: { required: 'Choose a date' } },
+            note: { maxLength: 200 }
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!rateValidator.validate()) return;
+
+            const addBtn = form.querySelector('#add-rate');
+            addBtn.disabled = true;
+
+            try {
+                await Currency.addRate({
+                    quote: form.querySelector('#rate-quote').value,
+                    rate: form.querySelector('#rate-value').value,
+                    effective_date: form.querySelector('#rate-date').value,
+                    note: form.querySelector('#rate-note').value.trim()
+                });
+                this.rates = Currency.getRates();
+                this.renderRateTable();
+                form.querySelector('#rate-value').value = '';
+                form.querySelector('#rate-note').value = '';
+                Toast.success('Exchange rate added');
+            } catch (error) {
+                console.error('Error adding exchange rate:', error);
+                Toast.error(error.message || 'Failed to add exchange rate');
+            } finally {
+                addBtn.disabled = false;
+            }
+        });
+
+        this.container.querySelector('#rate-table').addEventListener('click', async (e) => {
+            const deleteBtn = e.target.closest('[data-rate-id]');
+            if (!deleteBtn) return;
+
+            // First click arms the button, the second one deletes
+            if (!deleteBtn.dataset.armed) {
+                deleteBtn.dataset.armed = 'true';
+                deleteBtn.classList.replace('btn--ghost', 'btn--destructive');
+                deleteBtn.textContent = 'Confirm delete';
+                return;
+            }
+
+            try {
+                await Currency.deleteRate(deleteBtn.dataset.rateId);
+                this.rates = Currency.getRates();
+                this.renderRateTable();
+                Toast.success('Exchange rate deleted');
+            } catch (error) {
+                console.error('Error deleting exchange rate:', error);
+                Toast.error(error.message || 'Failed to delete exchange rate');
+            }
+        });
+    }
+
+    setupTemplateForm(form) {
+        const channelSelect = form.querySelector('#template-channel');
+        const subjectInput = form.querySelector('#template-subject');
+        const bodyInput = form.querySelector('#template-body');
+        let lastFocused = bodyInput;
+
+        const checkPlaceholders = value => {
+            const unknown = MessageTemplates.getUnknownPlaceholders(value);
+            return unknown.length === 0 || `Unknown placeholder: ${unknown.map(key => `{{${key}}}`).join(', ')}`;
+        };
+
+        this.validator = new FormValidator(form, {
+            name: {
+                required: true,
+                maxLength: 60,
+                custom: value => !this.templates.some(template =>
+                    template.id !== this.selectedTemplateId && template.name.toLowerCase() === value.toLowerCase()
+                ) || 'A template with this name already exists',
+                messages: { required: 'Name is required' }
+            },
+            subject: { maxLength: 200, custom: checkPlaceholders },
+            body: { required: true, maxLength: 2000, custom: checkPlaceholders, messages: { required: 'Message is required' } }
+        });
+
+        const updatePreview = () => {
+            const sample = MessageTemplates.getSampleContext();
+            const isEmail = channelSelect.value === 'email';
+            const subjectPreview = form.querySelector('#template-preview-subject');
+
+            form.querySelector('#template-subject-group').classList.toggle('hidden', !isEmail);
+            subjectPreview.classList.toggle('hidden', !isEmail);
+            subjectPreview.textContent = MessageTemplates.render(subjectInput.value, sample).text;
+            form.querySelector('#template-preview-body').textContent = MessageTemplates.render(bodyInput.value, sample).text;
+        };
+
+        [subjectInput, bodyInput].forEach(input => {
+            input.addEventListener('focus', () => { lastFocused = input; });
+            input.addEventListener('input', updatePreview);
+        });
+        channelSelect.addEventListener('change', updatePreview);
+        updatePreview();
+
+        form.querySelector('.template-settings__placeholders').addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-placeholder]');
+            if (!chip) return;
+
+            const token = `{{${chip.dataset.placeholder}}}`;
+            const target = lastFocused.closest('.hidden') ? bodyInput : lastFocused;
+            const start = target.selectionStart ?? target.value.length;
+            const end = target.selectionEnd ?? target.value.length;
+
+            target.setRangeText(token, start, end, 'end');
+            target.focus();
+            updatePreview();
+        });
+
+        const deleteBtn = form.querySelector('#delete-template');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                if (!deleteBtn.dataset.armed) {
+                    deleteBtn.dataset.armed = 'true';
+                    deleteBtn.classList.replace('btn--ghost', 'btn--destructive');
+                    deleteBtn.textContent = 'Confirm delete';
+                    return;
+                }
+
+                const template = this.getSelectedTemplate();
+                this.templates = this.templates.filter(candidate => candidate.id !== template.id);
+                this.persistTemplates(`Template "${template.name}" deleted`);
+                this.selectedTemplateId = this.templates[0]?.id || null;
+                this.renderTemplateList();
+                this.renderTemplateEditor();
+            });
+        }
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.validator.validate()) return;
+
+            const channel = channelSelect.value;
+            const values = {
+                name: form.querySelector('#template-name').value.trim(),
+                channel,
+                subject: channel === 'email' ? subjectInput.value.trim() : '',
+                body: bodyInput.value.trim()
+            };
+
+            const existing = this.getSelectedTemplate();
+            if (existing) {
+                Object.assign(existing, values);
+            } else {
+                const created = { id: Helpers.generateId(), ...values };
+                this.templates.push(created);
+                this.selectedTemplateId = created.id;
+            }
+
+            this.persistTemplates(`Template "${values.name}" saved`);
+            this.renderTemplateList();
+            this.renderTemplateEditor();
+        });
+    }
+
+    async persistTemplates(successMessage) {
+        const { saved, shared } = await MessageTemplates.save(this.getOrganizationId(), this.templates);
+
+        if (shared) {
+            Toast.success(successMessage);
+        } else if (saved) {
+            Toast.warning('Templates were saved in this browser only; other agents will not see the change');
+        } else {
+            Toast.error('Failed to save templates');
+        }
+    }
+
+    renderError(container) {
+        container.innerHTML = `
+            <div class="alert alert--error">
+                <div class="alert__content">
+                    <div class="alert__title">Error Loading Settings</div>
+                    <div class="alert__description">Failed to load organization settings.</div>
+                </div>
+            </div>
+        `;
+    }
+
+    destroy() {
+        this.container = null;
+        this.validator = null;
+    }
+}
+
+const settingsController = new SettingsController();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = settingsController;
+}
+
+window.settingsController = settingsController;
@@ -0,0 +1,138 @@
+/**
+ * Reservation Activity Utility for Real Estate SaaS
+ * Reads and writes the reservation_activity timeline through SupabaseClient
+ */
+
+class ReservationActivity {
+    static TABLE = 'reservation_activity';
+
+    static TYPES = {
+        created: { label: 'Reservation created', icon: 'sparkles' },
+        status_change: { label: 'Status changed', icon: 'refresh-cw' },
+        lead_update: { label: 'Lead details edited', icon: 'pencil' },
+        note: { label: 'Internal note', icon: 'sticky-note' },
+        call: { label: 'Call logged', icon: 'phone' },
+        email: { label: 'Email sent', icon: 'mail' },
+        whatsapp: { label: 'WhatsApp sent', icon: 'message-circle' }
+    };
+
+    /**
+     * Types an agent can add by hand from the composer
+     */
+    static MANUAL_TYPES = ['note', 'call', 'email'];
+
+    /**
+     * Get the Supabase client
+     * @returns {Object} Supabase client
+     */
+    static getClient() {
+        const supabase = window.SupabaseClient;
+        if (!supabase || !supabase.isReady()) {
+            throw new Error('Supabase client not initialized');
+        }
+        return supabase.getClient();
+    }
+
+    /**
+     * Name recorded as the author of new entries
+     * @returns {string} Current user's name or email
+     */
+    static getAuthor() {
+        const user = Storage.getSession()?.user;
+        return user?.name || user?.email || 'Unknown agent';
+    }
+
+    /**
+     * Fetch the activity of a reservation, newest first
+     * @param {string} reservationId - Reservation ID
+     * @returns {Promise<Array>} Activity entries
+     */
+    static async list(reservationId) {
+        const { data, error } = await this.getClient()
+            .from(this.TABLE)
+            .select('*')
+            .eq('reservation_id', reservationId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Add an entry to one reservation's timeline
+     * @param {string} reservationId - Reservation ID
+     * @param {string} type - One of ReservationActivity.TYPES keys
+     * @param {string} body - Entry text
+     * @param {Object} metadata - Extra details (status change, message channel, etc.)
+     * @returns {Promise<Object>} Inserted entry
+     */
+    static async add(reservationId, type, body = '', metadata = {}) {
+        const { data, error } = await this.getClient()
+            .from(this.TABLE)
+            .insert(this.buildEntry(reservationId, type, body, metadata))
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Record the same entry on several reservations without failing the caller
+     * @param {Array<string>} reservationIds - Reservation IDs
+     * @param {string} type - One of ReservationActivity.TYPES keys
+     * @param {string} body - Entry text
+     * @param {Object} metadata - Extra details
+     * @returns {Promise<boolean>} True if the entries were stored
+     */
+    static async record(reservationIds, type, body = '', metadata = {}) {
+        if (reservationIds.length === 0) return true;
+
+        try {
+            const { error } = await this.getClient()
+                .from(this.TABLE)
+                .insert(reservationIds.map(id => this.buildEntry(id, type, body, metadata)));
+
+            if (error) {
+                throw error;
+            }
+            return true;
+        } catch (error) {
+            // The change itself already succeeded; a missing history entry must not undo it
+            console.error('Error recording reservation activity:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Build a row for the activity table
+     * @param {string} reservationId - Reservation ID
+     * @param {string} type - Entry type
+     * @param {string} body - Entry text
+     * @param {Object} metadata - Extra details
+     * @returns {Object} Row to insert
+     */
+    static buildEntry(reservationId, type, body, metadata) {
+        return {
+            reservation_id: reservationId,
+            type,
+            body: body || null,
+            author: this.getAuthor(),
+            metadata
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReservationActivity;
+}
+
+// Make available globally
+window.ReservationActivity = ReservationActivity;
@@ -351,6 +351,19 @@ class API {
         return response;
     }
 
+    // Reservations API methods
+    static RESERVATIONS_ENDPOINT = '/api/reservations';
+
+    /**
+     * Submit a public reservation request
+     * @param {Object} payload - { reservation: { lead, lot, timestamp } }
+     * @returns {Promise} Response promise
+     */
+    static async createReservation(payload) {
+        // Served by the same origin as the app, not by BASE_URL
+        return this.post(`${window.location.origin}${this.RESERVATIONS_ENDPOINT}`, payload);
+    }
+
     // Analytics API methods
     static async getDashboardStats() {
         return this.get('/analytics/dashboard');
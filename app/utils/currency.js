@@ -0,0 +1,193 @@
+/**
+ * Currency Utility for Real Estate SaaS
+ * Converts USD list prices with the managed exchange-rate table and tracks the display currency
+ */
+
+class Currency {
+    static BASE = 'USD';
+
+    static TABLE = 'exchange_rates';
+
+    static CURRENCIES = {
+        USD: { label: 'US Dollar', locale: 'en-US', decimals: 2 },
+        PYG: { label: 'Paraguayan Guaraní', locale: 'es-PY', decimals: 0 }
+    };
+
+    /**
+     * Get the Supabase client
+     * @returns {Object} Supabase client
+     */
+    static getClient() {
+        const supabase = window.SupabaseClient;
+        if (!supabase || !supabase.isReady()) {
+            throw new Error('Supabase client not initialized');
+        }
+        return supabase.getClient();
+    }
+
+    /**
+     * Get the currency the current user wants amounts displayed in
+     * @returns {string} Currency code
+     */
+    static getDisplayCurrency() {
+        const currency = Storage.getUserPreferences()?.displayCurrency;
+        return this.CURRENCIES[currency] ? currency : this.BASE;
+    }
+
+    /**
+     * Store the display currency preference
+     * @param {string} currency - One of Currency.CURRENCIES keys
+     * @returns {boolean} Success status
+     */
+    static setDisplayCurrency(currency) {
+        if (!this.CURRENCIES[currency]) return false;
+        return Storage.setUserPreferences({ ...Storage.getUserPreferences(), displayCurrency: currency });
+    }
+
+    /**
+     * Fetch the exchange-rate table and cache it for synchronous formatting
+     * @returns {Promise<Array>} Rates, newest effective date first
+     */
+    static async loadRates() {
+        try {
+            const { data, error } = await this.getClient()
+                .from(this.TABLE)
+                .select('*')
+                .order('effective_date', { ascending: false })
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                throw error;
+            }
+
+            Storage.setExchangeRates(data || []);
+            return data || [];
+        } catch (error) {
+            // Keep formatting with the last known rates
+            console.error('Error loading exchange rates:', error);
+            return this.getRates();
+        }
+    }
+
+    /**
+     * Get the cached exchange-rate table
+     * @returns {Array} Rates ({ id, base, quote, rate, effective_date, note, created_by })
+     */
+    static getRates() {
+        return Storage.getExchangeRates();
+    }
+
+    /**
+     * Add a manual rate entry
+     * @param {Object} entry - { quote, rate, effective_date, note }
+     * @returns {Promise<Object>} Inserted rate
+     */
+    static async addRate(entry) {
+        const rate = Number(entry.rate);
+        if (!this.CURRENCIES[entry.quote] || entry.quote === this.BASE) {
+            throw new Error('Choose a currency to quote against USD');
+        }
+        if (!(rate > 0)) {
+            throw new Error('The rate must be greater than zero');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.effective_date || '')) {
+            throw new Error('Choose the date the rate takes effect');
+        }
+
+        const user = Storage.getSession()?.user;
+        const { data, error } = await this.getClient()
+            .from(this.TABLE)
+            .insert({
+                base: this.BASE,
+                quote: entry.quote,
+                rate,
+                effective_date: entry.effective_date,
+                note: entry.note || null,
+                created_by: user?.name || user?.email || null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        await this.loadRates();
+        return data;
+    }
+
+    /**
+     * Delete a rate entry
+     * @param {string} id - Rate ID
+     */
+    static async deleteRate(id) {
+        const { error } = await this.getClient()
+            .from(this.TABLE)
+            .delete()
+            .eq('id', id);
+
+        if (error) {
+            throw error;
+        }
+
+        await this.loadRates();
+    }
+
+    /**
+     * Find the rate in effect for a currency on a date
+     * @param {string} quote - Currency code
+     * @param {Date|string} date - Date the amount refers to (defaults to today)
+     * @returns {Object|null} Rate entry, or null if none is in effect
+     */
+    static getRate(quote, date = new Date()) {
+        const day = this.toDay(date);
+
+        // Effective dates are plain days, so string comparison is chronological
+        return this.getRates()
+            .filter(rate => rate.base === this.BASE && rate.quote === quote && rate.effective_date <= day)
+            .sort((a, b) => b.effective_date.localeCompare(a.effective_date) || String(b.created_at).localeCompare(String(a.created_at)))[0] || null;
+    }
+
+    /**
+     * Local calendar day of a date, as stored in effective_date
+     * @param {Date|string} date - Date to convert
+     * @returns {string} Day in YYYY-MM-DD format
+     */
+    static toDay(date) {
+        const dateObj = date instanceof Date ? date : new Date(date);
+        return `${dateObj.getFullYear()}-${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Convert an amount between USD and another currency
+     * @param {number} amount - Amount to convert
+     * @param {string} from - Source currency code
+     * @param {string} to - Target currency code
+     * @param {Date|string} date - Date whose rate applies
+     * @returns {number|null} Converted amount, or null if no rate is in effect
+     */
+    static convert(amount, from, to, date = new Date()) {
+        if (from === to) return amount;
+
+        if (from === this.BASE) {
+            const rate = this.getRate(to, date);
+            return rate ? amount * Number(rate.rate) : null;
+        }
+
+        if (to === this.BASE) {
+            const rate = this.getRate(from, date);
+            return rate ? amount / Number(rate.rate) : null;
+        }
+
+        const base = this.convert(amount, from, this.BASE, date);
+        return base === null ? null : this.convert(base, this.BASE, to, date);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Currency;
+}
+
+// Make available globally
+window.Currency = Currency;
@@ -0,0 +1,416 @@
+/**
+ * Export Utility for Real Estate SaaS
+ * Builds CSV, Excel-compatible, GeoJSON and KML files in the browser and triggers downloads
+ */
+
+class Exporter {
+    static DATE_FORMATS = {
+        'DD/MM/YYYY': 'DD/MM/YYYY',
+        'MM/DD/YYYY': 'MM/DD/YYYY',
+        'YYYY-MM-DD': 'YYYY-MM-DD',
+        'ISO': 'ISO 8601'
+    };
+
+    /**
+     * Resolve the cell value for a column
+     * @param {Object} row - Source row
+     * @param {Object} column - Column definition ({ key, label, value?, type? })
+     * @param {Object} options - Export options ({ dateFormat })
+     * @returns {*} Cell value (number, string or null)
+     */
+    static getCellValue(row, column, options = {}) {
+        const raw = typeof column.value === 'function' ? column.value(row) : row[column.key];
+
+        if (raw === null || raw === undefined || raw === '') {
+            return null;
+        }
+
+        if (column.type === 'date') {
+            return this.formatDate(raw, options.dateFormat);
+        }
+
+        if (column.type === 'number') {
+            const num = typeof raw === 'number' ? raw : parseFloat(raw);
+            return isNaN(num) ? null : num;
+        }
+
+        return String(raw);
+    }
+
+    /**
+     * Format a date for export
+     * @param {Date|string} date - Date to format
+     * @param {string} format - One of Exporter.DATE_FORMATS keys
+     * @returns {string} Formatted date or empty string
+     */
+    static formatDate(date, format = 'DD/MM/YYYY') {
+        const dateObj = date instanceof Date ? date : new Date(date);
+        if (isNaN(dateObj.getTime())) return '';
+
+        if (format === 'ISO') {
+            return dateObj.toISOString();
+        }
+
+        const day = String(dateObj.getDate()).padStart(2, '0');
+        const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+        const year = dateObj.getFullYear();
+
+        switch (format) {
+            case 'MM/DD/YYYY':
+                return `${month}/${day}/${year}`;
+            case 'YYYY-MM-DD':
+                return `${year}-${month}-${day}`;
+            default:
+                return `${day}/${month}/${year}`;
+        }
+    }
+
+    /**
+     * Build a CSV document
+     * @param {Array} rows - Rows to export
+     * @param {Array} columns - Column definitions
+     * @param {Object} options - Export options ({ dateFormat, delimiter })
+     * @returns {string} CSV content
+     */
+    static toCSV(rows, columns, options = {}) {
+        const delimiter = options.delimiter || ',';
+
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number') return String(value);
+
+            let text = String(value);
+
+            // Neutralise spreadsheet formulas, but keep phone numbers like +595...
+            if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().]+$/.test(text)) {
+                text = `'${text}`;
+            }
+
+            if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+                text = `"${text.replace(/"/g, '""')}"`;
+            }
+
+            return text;
+        };
+
+        const header = columns.map(column => escape(column.label)).join(delimiter);
+        const lines = rows.map(row =>
+            columns.map(column => escape(this.getCellValue(row, column, options))).join(delimiter)
+        );
+
+        return [header, ...lines].join('\r\n');
+    }
+
+    /**
+     * Build an Excel-compatible SpreadsheetML 2003 workbook
+     * @param {Array} rows - Rows to export
+     * @param {Array} columns - Column definitions
+     * @param {Object} options - Export options ({ dateFormat, sheetName })
+     * @returns {string} XML workbook content
+     */
+    static toSpreadsheetML(rows, columns, options = {}) {
+        const sheetName = this.escapeXml((options.sheetName || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+        const cell = (value, styleId) => {
+            const style = styleId ? ` ss:StyleID="${styleId}"` : '';
+            if (value === null || value === undefined) {
+                return `<Cell${style}/>`;
+            }
+            if (typeof value === 'number') {
+                return `<Cell${style}><Data ss:Type="Number">${value}</Data></Cell>`;
+            }
+            return `<Cell${style}><Data ss:Type="String">${this.escapeXml(value)}</Data></Cell>`;
+        };
+
+        const headerRow = `<Row>${columns.map(column => cell(column.label, 'header')).join('')}</Row>`;
+        const dataRows = rows.map(row =>
+            `<Row>${columns.map(column => cell(this.getCellValue(row, column, options))).join('')}</Row>`
+        );
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<?mso-application progid="Excel.Sheet"?>',
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"',
+            ' xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+            '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>',
+            `<Worksheet ss:Name="${sheetName}">`,
+            '<Table>',
+            headerRow,
+            ...dataRows,
+            '</Table>',
+            '</Worksheet>',
+            '</Workbook>'
+        ].join('\n');
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Trigger a file download from in-memory content
+     * @param {string|Blob} content - File content
+     * @param {string} filename - Download file name
+     * @param {string} mimeType - MIME type
+     */
+    static download(content, filename, mimeType = 'text/plain') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Export rows as a CSV download
+     * @param {Array} rows - Rows to export
+     * @param {Array} columns - Column definitions
+     * @param {string} filename - File name without extension
+     * @param {Object} options - Export options
+     */
+    static downloadCSV(rows, columns, filename, options = {}) {
+        // Prepend a BOM so Excel opens UTF-8 (accents, ñ) correctly
+        const csv = '\uFEFF' + this.toCSV(rows, columns, options);
+        this.download(csv, `${filename}.csv`, 'text/csv;charset=utf-8');
+    }
+
+    /**
+     * Export rows as an Excel-compatible download
+     * @param {Array} rows - Rows to export
+     * @param {Array} columns - Column definitions
+     * @param {string} filename - File name without extension
+     * @param {Object} options - Export options
+     */
+    static downloadSpreadsheet(rows, columns, filename, options = {}) {
+        const xml = this.toSpreadsheetML(rows, columns, options);
+        this.download(xml, `${filename}.xls`, 'application/vnd.ms-excel');
+    }
+
+    /**
+     * Map colors by lot estado, shared by the GeoJSON and KML exports
+     */
+    static ESTADO_COLORS = {
+        disponible: '#16a34a',
+        reservado: '#d97706',
+        vendido: '#6b7280'
+    };
+
+    static FALLBACK_ESTADO_COLOR = '#94a3b8';
+
+    /**
+     * Normalize a stored polygon to a GeoJSON geometry
+     * @param {Object|string} geojson - Stored geometry, Feature or its JSON
+     * @returns {Object|null} Polygon or MultiPolygon geometry
+     */
+    static toGeometry(geojson) {
+        const polygons = Geometry.getPolygons(geojson);
+        if (polygons.length === 0) return null;
+
+        return polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+    }
+
+    /**
+     * Properties exported for each lot
+     * @param {Object} lote - Lot row with reservation_status
+     * @returns {Object} Properties
+     */
+    static getLotProperties(lote) {
+        const price = Number(lote.precio_usd);
+        const area = Number(lote.area_m2);
+
+        return {
+            nombre: lote.nombre,
+            external_id: lote.external_id || null,
+            estado: lote.estado || null,
+            area_m2: isNaN(area) ? null : area,
+            precio_usd: lote.precio_usd === null || lote.precio_usd === undefined || isNaN(price) ? null : price,
+            reservation_status: lote.reservation_status || 'none'
+        };
+    }
+
+    /**
+     * Build a GeoJSON FeatureCollection of a loteamiento outline and its lots
+     * @param {Object} loteamiento - loteamientos row
+     * @param {Array} lotes - lotes rows with reservation_status
+     * @returns {string} GeoJSON document
+     */
+    static toGeoJSON(loteamiento, lotes) {
+        const outline = this.toGeometry(loteamiento.geojson);
+        const features = lotes
+            .map(lote => ({ lote, geometry: this.toGeometry(lote.geojson) }))
+            .filter(({ geometry }) => geometry)
+            .map(({ lote, geometry }) => {
+                const color = this.ESTADO_COLORS[lote.estado] || this.FALLBACK_ESTADO_COLOR;
+
+                return {
+                    type: 'Feature',
+                    id: lote.id,
+                    geometry,
+                    properties: {
+                        type: 'lote',
+                        ...this.getLotProperties(lote),
+                        // simplestyle keys, honoured by geojson.io, GitHub and most web viewers
+                        fill: color,
+                        'fill-opacity': 0.6,
+                        stroke: '#ffffff',
+                        'stroke-width': 1
+                    }
+                };
+            });
+
+        if (outline) {
+            features.unshift({
+                type: 'Feature',
+                id: loteamiento.id,
+                geometry: outline,
+                properties: {
+                    type: 'loteamiento',
+                    nombre: loteamiento.nombre,
+                    external_id: loteamiento.external_id || null,
+                    descripcion: loteamiento.descripcion || null,
+                    area_m2: Number(loteamiento.area_m2) || null,
+                    perimeter_m: Number(loteamiento.perimeter_m) || null,
+                    'fill-opacity': 0,
+                    stroke: '#111827',
+                    'stroke-width': 2
+                }
+            });
+        }
+
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            name: loteamiento.nombre,
+            exported_at: new Date().toISOString(),
+            features
+        }, null, 2);
+    }
+
+    /**
+     * Convert a #rrggbb color and opacity to KML's aabbggrr
+     */
+    static toKMLColor(hex, opacity = 1) {
+        const [r, g, b] = [1, 3, 5].map(index => hex.slice(index, index + 2));
+        const alpha = Math.round(opacity * 255).toString(16).padStart(2, '0');
+        return `${alpha}${b}${g}${r}`.toLowerCase();
+    }
+
+    static toKMLPolygons(geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const ring = coordinates => `<LinearRing><coordinates>${coordinates.map(([lng, lat]) => `${lng},${lat},0`).join(' ')}</coordinates></LinearRing>`;
+        const xml = polygons.map(([outer, ...holes]) => [
+            '<Polygon>',
+            `<outerBoundaryIs>${ring(outer)}</outerBoundaryIs>`,
+            ...holes.map(hole => `<innerBoundaryIs>${ring(hole)}</innerBoundaryIs>`),
+            '</Polygon>'
+        ].join(''));
+
+        return xml.length === 1 ? xml[0] : `<MultiGeometry>${xml.join('')}</MultiGeometry>`;
+    }
+
+    /**
+     * Build a KML document of a loteamiento and its lots, styled by estado
+     * @param {Object} loteamiento - loteamientos row
+     * @param {Array} lotes - lotes rows with reservation_status
+     * @returns {string} KML document
+     */
+    static toKML(loteamiento, lotes) {
+        const styles = Object.entries({ ...this.ESTADO_COLORS, otro: this.FALLBACK_ESTADO_COLOR }).map(([estado, color]) => [
+            `<Style id="estado-${estado}">`,
+            `<LineStyle><color>${this.toKMLColor('#ffffff')}</color><width>1</width></LineStyle>`,
+            `<PolyStyle><color>${this.toKMLColor(color, 0.6)}</color></PolyStyle>`,
+            '</Style>'
+        ].join(''));
+
+        const outline = this.toGeometry(loteamiento.geojson);
+        const placemarks = lotes
+            .map(lote => ({ lote, geometry: this.toGeometry(lote.geojson) }))
+            .filter(({ geometry }) => geometry)
+            .map(({ lote, geometry }) => {
+                const properties = this.getLotProperties(lote);
+                const style = this.ESTADO_COLORS[lote.estado] ? lote.estado : 'otro';
+
+                return [
+                    `<Placemark id="${this.escapeXml(lote.external_id || lote.id)}">`,
+                    `<name>${this.escapeXml(lote.nombre)}</name>`,
+                    `<styleUrl>#estado-${style}</styleUrl>`,
+                    '<ExtendedData>',
+                    ...Object.entries(properties).map(([key, value]) =>
+                        `<Data name="${key}"><value>${value === null ? '' : this.escapeXml(value)}</value></Data>`),
+                    '</ExtendedData>',
+                    this.toKMLPolygons(geometry),
+                    '</Placemark>'
+                ].join('\n');
+            });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+            `<name>${this.escapeXml(loteamiento.nombre)}</name>`,
+            loteamiento.descripcion ? `<description>${this.escapeXml(loteamiento.descripcion)}</description>` : '',
+            ...styles,
+            `<Style id="outline"><LineStyle><color>${this.toKMLColor('#111827')}</color><width>2</width></LineStyle><PolyStyle><fill>0</fill></PolyStyle></Style>`,
+            outline ? [
+                `<Placemark id="${this.escapeXml(loteamiento.external_id || loteamiento.id)}">`,
+                `<name>${this.escapeXml(loteamiento.nombre)}</name>`,
+                '<styleUrl>#outline</styleUrl>',
+                this.toKMLPolygons(outline),
+                '</Placemark>'
+            ].join('\n') : '',
+            '<Folder>',
+            '<name>Lotes</name>',
+            ...placemarks,
+            '</Folder>',
+            '</Document>',
+            '</kml>'
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Export a loteamiento and its lots as a GeoJSON download
+     * @param {Object} loteamiento - loteamientos row
+     * @param {Array} lotes - lotes rows with reservation_status
+     * @param {string} filename - File name without extension
+     */
+    static downloadGeoJSON(loteamiento, lotes, filename) {
+        this.download(this.toGeoJSON(loteamiento, lotes), `${filename}.geojson`, 'application/geo+json');
+    }
+
+    /**
+     * Export a loteamiento and its lots as a KML download
+     * @param {Object} loteamiento - loteamientos row
+     * @param {Array} lotes - lotes rows with reservation_status
+     * @param {string} filename - File name without extension
+     */
+    static downloadKML(loteamiento, lotes, filename) {
+        this.download(this.toKML(loteamiento, lotes), `${filename}.kml`, 'application/vnd.google-earth.kml+xml');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Exporter;
+}
+
+// Make available globally
+window.Exporter = Exporter;
@@ -0,0 +1,417 @@
+/**
+ * Geometry Utility for Real Estate SaaS
+ * Geodesic metrics of GeoJSON lot polygons on the WGS84 ellipsoid and drift checks against stored values
+ */
+
+class Geometry {
+    static ELLIPSOID = {
+        a: 6378137,
+        f: 1 / 298.257223563
+    };
+
+    /**
+     * Largest drift accepted between stored and recomputed metrics
+     */
+    static TOLERANCE = {
+        areaPercent: 0.5,
+        lengthPercent: 0.5,
+        meters: 0.5
+    };
+
+    static METRIC_LABELS = {
+        geojson: 'Polygon',
+        area_m2: 'Area',
+        area_m2_rounded: 'Rounded area',
+        perimeter_m: 'Perimeter',
+        lados: 'Sides',
+        centroide: 'Centroid',
+        bbox: 'Bounding box'
+    };
+
+    /**
+     * Extract the polygons of a GeoJSON value
+     * @param {Object|string} geojson - Polygon, MultiPolygon, Feature or FeatureCollection (or its JSON)
+     * @returns {Array} Polygons, each an array of [lng, lat] rings (outer ring first)
+     */
+    static getPolygons(geojson) {
+        let value = geojson;
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return [];
+            }
+        }
+
+        if (!value || typeof value !== 'object') return [];
+
+        switch (value.type) {
+            case 'FeatureCollection':
+                return (value.features || []).flatMap(feature => this.getPolygons(feature));
+            case 'Feature':
+                return this.getPolygons(value.geometry);
+            case 'Polygon':
+                return value.coordinates?.length ? [value.coordinates] : [];
+            case 'MultiPolygon':
+                return (value.coordinates || []).filter(polygon => polygon.length > 0);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Geodesic distance between two [lng, lat] points (Vincenty's inverse formula)
+     * @returns {number} Meters
+     */
+    static distance([lng1, lat1], [lng2, lat2]) {
+        const { a, f } = this.ELLIPSOID;
+        const b = a * (1 - f);
+        const toRad = Math.PI / 180;
+
+        const L = (lng2 - lng1) * toRad;
+        const U1 = Math.atan((1 - f) * Math.tan(lat1 * toRad));
+        const U2 = Math.atan((1 - f) * Math.tan(lat2 * toRad));
+        const sinU1 = Math.sin(U1);
+        const cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2);
+        const cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let sinSigma, cosSigma, sigma, cos2Alpha, cos2SigmaM;
+
+        for (let iteration = 0; iteration < 200; iteration++) {
+            const sinLambda = Math.sin(lambda);
+            const cosLambda = Math.cos(lambda);
+
+            sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+            if (sinSigma === 0) return 0;
+
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cos2Alpha = 1 - sinAlpha ** 2;
+            // Both points on the equator
+            cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+
+            const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+            const previous = lambda;
+            lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+            if (Math.abs(lambda - previous) < 1e-12) {
+                const u2 = cos2Alpha * (a ** 2 - b ** 2) / b ** 2;
+                const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+                const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+                const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM ** 2)
+                    - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+
+                return b * A * (sigma - deltaSigma);
+            }
+        }
+
+        // Vincenty does not converge for nearly antipodal points, which lots never are
+        return NaN;
+    }
+
+    /**
+     * Sine of the authalic latitude, which maps the ellipsoid onto an equal-area sphere
+     */
+    static sinAuthalic(lat) {
+        const { f } = this.ELLIPSOID;
+        const e2 = f * (2 - f);
+        const e = Math.sqrt(e2);
+        const q = sinLat => (1 - e2) * (sinLat / (1 - e2 * sinLat ** 2) - Math.log((1 - e * sinLat) / (1 + e * sinLat)) / (2 * e));
+
+        return q(Math.sin(lat * Math.PI / 180)) / q(1);
+    }
+
+    /**
+     * Radius of the sphere with the same surface as the ellipsoid
+     */
+    static authalicRadius() {
+        const { a, f } = this.ELLIPSOID;
+        const e2 = f * (2 - f);
+        const e = Math.sqrt(e2);
+        const qp = 1 + (1 - e2) / (2 * e) * Math.log((1 + e) / (1 - e));
+
+        return a * Math.sqrt(qp / 2);
+    }
+
+    /**
+     * Area enclosed by a ring on the ellipsoid
+     * Edges are taken as straight in the equal-area cylindrical projection; at lot scale
+     * that differs from the geodesic edge by far less than a square millimeter
+     * @param {Array<Array<number>>} ring - Closed ring of [lng, lat]
+     * @returns {number} Square meters
+     */
+    static ringArea(ring) {
+        const toRad = Math.PI / 180;
+        let sum = 0;
+
+        for (let i = 0; i < ring.length - 1; i++) {
+            const [lng1, lat1] = ring[i];
+            const [lng2, lat2] = ring[i + 1];
+            sum += (lng2 - lng1) * toRad * (this.sinAuthalic(lat1) + this.sinAuthalic(lat2));
+        }
+
+        return Math.abs(sum / 2) * this.authalicRadius() ** 2;
+    }
+
+    /**
+     * Area of polygons, holes subtracted
+     * @param {Array} polygons - Result of Geometry.getPolygons()
+     * @returns {number} Square meters
+     */
+    static area(polygons) {
+        return polygons.reduce((total, [outer, ...holes]) =>
+            total + Math.max(this.ringArea(outer) - holes.reduce((sum, hole) => sum + this.ringArea(hole), 0), 0), 0);
+    }
+
+    /**
+     * Side lengths of a ring
+     * @returns {Array<number>} Meters, one per edge
+     */
+    static sides(ring) {
+        return ring.slice(1).map((point, index) => this.distance(ring[index], point));
+    }
+
+    /**
+     * Area-weighted centroid, computed in a local tangent plane
+     * @param {Array} polygons - Result of Geometry.getPolygons()
+     * @returns {Array<number>} [lng, lat]
+     */
+    static centroid(polygons) {
+        const { a, f } = this.ELLIPSOID;
+        const e2 = f * (2 - f);
+        const [lng0, lat0] = polygons[0][0][0];
+        const phi0 = lat0 * Math.PI / 180;
+
+        // Meridian and prime vertical radii of curvature give meters per degree at the origin
+        const w = 1 - e2 * Math.sin(phi0) ** 2;
+        const metersPerLat = a * (1 - e2) / w ** 1.5 * Math.PI / 180;
+        const metersPerLng = a / Math.sqrt(w) * Math.cos(phi0) * Math.PI / 180;
+
+        let totalArea = 0;
+        let sumX = 0;
+        let sumY = 0;
+
+        polygons.forEach(rings => rings.forEach((ring, ringIndex) => {
+            let twiceArea = 0;
+            let cx = 0;
+            let cy = 0;
+
+            for (let i = 0; i < ring.length - 1; i++) {
+                const x1 = (ring[i][0] - lng0) * metersPerLng;
+                const y1 = (ring[i][1] - lat0) * metersPerLat;
+                const x2 = (ring[i + 1][0] - lng0) * metersPerLng;
+                const y2 = (ring[i + 1][1] - lat0) * metersPerLat;
+                const cross = x1 * y2 - x2 * y1;
+                twiceArea += cross;
+                cx += (x1 + x2) * cross;
+                cy += (y1 + y2) * cross;
+            }
+
+            if (twiceArea === 0) return;
+
+            // Holes count negatively whatever their winding
+            const ringArea = Math.abs(twiceArea / 2) * (ringIndex === 0 ? 1 : -1);
+            totalArea += ringArea;
+            sumX += cx / (3 * twiceArea) * ringArea;
+            sumY += cy / (3 * twiceArea) * ringArea;
+        }));
+
+        if (totalArea === 0) {
+            const { min_lat, min_lng, max_lat, max_lng } = this.bbox(polygons);
+            return [(min_lng + max_lng) / 2, (min_lat + max_lat) / 2];
+        }
+
+        return [lng0 + sumX / totalArea / metersPerLng, lat0 + sumY / totalArea / metersPerLat];
+    }
+
+    /**
+     * Bounding box of polygons
+     * @returns {Object} { min_lat, min_lng, max_lat, max_lng }
+     */
+    static bbox(polygons) {
+        const points = polygons.flatMap(rings => rings[0]);
+        const lngs = points.map(([lng]) => lng);
+        const lats = points.map(([, lat]) => lat);
+
+        return {
+            min_lat: Math.min(...lats),
+            min_lng: Math.min(...lngs),
+            max_lat: Math.max(...lats),
+            max_lng: Math.max(...lngs)
+        };
+    }
+
+    /**
+     * Compute the stored metrics of a polygon
+     * @param {Object|string} geojson - Polygon or MultiPolygon (or a Feature wrapping one)
+     * @returns {Object|null} Columns centroide_lat/lng, min/max_lat/lng, area_m2, area_m2_rounded,
+     *   perimeter_m and lados, or null without a usable polygon
+     */
+    static measure(geojson) {
+        const polygons = this.getPolygons(geojson).filter(([outer]) => outer && outer.length >= 4);
+        if (polygons.length === 0) return null;
+
+        const area = this.area(polygons);
+        const [lng, lat] = this.centroid(polygons);
+        const bbox = this.bbox(polygons);
+        // Sides and perimeter follow the outer boundaries
+        const lados = polygons.flatMap(([outer]) => this.sides(outer));
+
+        return {
+            centroide_lat: this.round(lat, 7),
+            centroide_lng: this.round(lng, 7),
+            min_lat: this.round(bbox.min_lat, 7),
+            min_lng: this.round(bbox.min_lng, 7),
+            max_lat: this.round(bbox.max_lat, 7),
+            max_lng: this.round(bbox.max_lng, 7),
+            area_m2: this.round(area, 2),
+            area_m2_rounded: Math.round(area),
+            perimeter_m: this.round(lados.reduce((sum, side) => sum + side, 0), 2),
+            lados: lados.map(side => this.round(side, 2))
+        };
+    }
+
+    static round(value, decimals) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Whether a [lng, lat] point lies inside a ring (ray casting)
+     */
+    static containsPoint(ring, [lng, lat]) {
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Whether two non-adjacent edges of a ring cross each other
+     */
+    static isSelfIntersecting(ring) {
+        const orient = ([px, py], [qx, qy], [rx, ry]) => Math.sign((qx - px) * (ry - py) - (qy - py) * (rx - px));
+        const crosses = (a, b, c, d) => orient(a, b, c) !== orient(a, b, d) && orient(c, d, a) !== orient(c, d, b);
+        const edges = ring.length - 1;
+
+        for (let i = 0; i < edges; i++) {
+            for (let j = i + 2; j < edges; j++) {
+                // The first and last edges share the closing vertex
+                if (i === 0 && j === edges - 1) continue;
+                if (crosses(ring[i], ring[i + 1], ring[j], ring[j + 1])) return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Recompute a stored row's metrics from its geojson and report the ones that drifted
+     * @param {Object} row - loteamientos or lotes row
+     * @param {Object} tolerance - Overrides of Geometry.TOLERANCE
+     * @returns {Object} { computed, issues } where each issue is { field, stored, computed, difference };
+     *   computed is null if the geometry cannot be measured
+     */
+    static verify(row, tolerance = {}) {
+        const limits = { ...this.TOLERANCE, ...tolerance };
+        const computed = this.measure(row.geojson);
+
+        if (!computed) {
+            return { computed: null, issues: [{ field: 'geojson', stored: null, computed: null, difference: 'No polygon' }] };
+        }
+
+        const issues = [];
+        // Number(null) is 0, which would read as a stored zero instead of a missing value
+        const readStored = value => value === null || value === undefined || value === '' ? NaN : Number(value);
+        const relative = (stored, value) => stored === 0 ? (value === 0 ? 0 : Infinity) : Math.abs(value - stored) / Math.abs(stored) * 100;
+        const percent = value => `${value === Infinity ? '∞' : value.toFixed(2)}%`;
+
+        const area = readStored(row.area_m2);
+        const areaDrift = relative(area, computed.area_m2);
+        if (isNaN(area) || areaDrift > limits.areaPercent) {
+            issues.push({ field: 'area_m2', stored: row.area_m2, computed: computed.area_m2, difference: isNaN(area) ? 'Missing' : percent(areaDrift) });
+        }
+
+        // The rounded column has to agree with the stored area (the computed one if that is missing),
+        // whole square meters apart at most
+        const rounded = readStored(row.area_m2_rounded);
+        const reference = isNaN(area) ? computed.area_m2 : area;
+        if (row.area_m2_rounded !== undefined && (isNaN(rounded) || Math.abs(rounded - reference) > 1)) {
+            issues.push({ field: 'area_m2_rounded', stored: row.area_m2_rounded, computed: Math.round(reference), difference: isNaN(rounded) ? 'Missing' : `${Math.abs(rounded - reference).toFixed(2)} m²` });
+        }
+
+        const perimeter = readStored(row.perimeter_m);
+        const perimeterDrift = relative(perimeter, computed.perimeter_m);
+        if (isNaN(perimeter) || perimeterDrift > limits.lengthPercent) {
+            issues.push({ field: 'perimeter_m', stored: row.perimeter_m, computed: computed.perimeter_m, difference: isNaN(perimeter) ? 'Missing' : percent(perimeterDrift) });
+        }
+
+        // Only lotes store their sides
+        if (row.lados !== undefined) {
+            let lados = row.lados;
+            if (typeof lados === 'string') {
+                try {
+                    lados = JSON.parse(lados);
+                } catch (error) {
+                    lados = null;
+                }
+            }
+
+            if (!Array.isArray(lados) || lados.length !== computed.lados.length) {
+                issues.push({ field: 'lados', stored: row.lados, computed: computed.lados, difference: `${Array.isArray(lados) ? lados.length : 0} of ${computed.lados.length} sides` });
+            } else {
+                const worst = Math.max(...lados.map((side, index) => Math.abs(Number(side) - computed.lados[index])));
+                if (!(worst <= limits.meters)) {
+                    issues.push({ field: 'lados', stored: lados, computed: computed.lados, difference: `${isNaN(worst) ? '?' : worst.toFixed(2)} m` });
+                }
+            }
+        }
+
+        const centroidOffset = this.distance(
+            [readStored(row.centroide_lng), readStored(row.centroide_lat)],
+            [computed.centroide_lng, computed.centroide_lat]
+        );
+        if (!(centroidOffset <= limits.meters)) {
+            issues.push({
+                field: 'centroide',
+                stored: [row.centroide_lat, row.centroide_lng],
+                computed: [computed.centroide_lat, computed.centroide_lng],
+                difference: isNaN(centroidOffset) ? 'Missing' : `${centroidOffset.toFixed(2)} m`
+            });
+        }
+
+        const bboxOffset = Math.max(
+            this.distance([readStored(row.min_lng), readStored(row.min_lat)], [computed.min_lng, computed.min_lat]),
+            this.distance([readStored(row.max_lng), readStored(row.max_lat)], [computed.max_lng, computed.max_lat])
+        );
+        if (!(bboxOffset <= limits.meters)) {
+            issues.push({
+                field: 'bbox',
+                stored: [row.min_lat, row.min_lng, row.max_lat, row.max_lng],
+                computed: [computed.min_lat, computed.min_lng, computed.max_lat, computed.max_lng],
+                difference: isNaN(bboxOffset) ? 'Missing' : `${bboxOffset.toFixed(2)} m`
+            });
+        }
+
+        return { computed, issues };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Geometry;
+}
+
+// Make available globally
+window.Geometry = Geometry;
@@ -8,19 +8,35 @@ class Helpers {
      * Format currency values
      * @param {number} amount - The amount to format
      * @param {string} currency - Currency code (default: 'USD')
+     * @param {Object} options - { from: currency the amount is in, date: rate date, notation, maximumFractionDigits }
      * @returns {string} Formatted currency string
      */
-    static formatCurrency(amount, currency = 'USD') {
+    static formatCurrency(amount, currency = 'USD', options = {}) {
         if (typeof amount !== 'number' || isNaN(amount)) {
             return '$0';
         }
-        
-        return new Intl.NumberFormat('en-US', {
+
+        const currencies = typeof Currency !== 'undefined' ? Currency : null;
+        let value = amount;
+        let code = currency;
+
+        if (options.from && options.from !== currency && currencies) {
+            const converted = currencies.convert(amount, options.from, currency, options.date);
+            // Without a rate in effect, show the original amount rather than a wrong one
+            if (converted === null) {
+                code = options.from;
+            } else {
+                value = converted;
+            }
+        }
+
+        return new Intl.NumberFormat(currencies?.CURRENCIES[code]?.locale || 'en-US', {
             style: 'currency',
-            currency: currency,
+            currency: code,
+            notation: options.notation || 'standard',
             minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(amount);
+            maximumFractionDigits: options.maximumFractionDigits ?? (options.notation === 'compact' ? 1 : 0)
+        }).format(value);
     }
 
     /**
@@ -35,6 +51,34 @@ class Helpers {
         return num.toLocaleString();
     }
 
+    /**
+     * Format the side lengths of a lot (lotes.lados)
+     * @param {Array|string} lados - Side lengths in meters, or their JSON
+     * @returns {string|null} Dimensions such as "12 x 30 m", or null if there are none
+     */
+    static formatLados(lados) {
+        let sides = lados;
+        if (typeof sides === 'string') {
+            try {
+                sides = JSON.parse(sides);
+            } catch (error) {
+                return sides;
+            }
+        }
+
+        if (!Array.isArray(sides) || sides.length === 0) return null;
+
+        const rounded = sides.map(side => Math.round(Number(side) * 10) / 10);
+        const [a, b, c, d] = rounded;
+
+        // Rectangular lots are described by width x depth, like the public form does
+        if (rounded.length === 4 && Math.abs(a - c) <= a * 0.01 && Math.abs(b - d) <= b * 0.01) {
+            return `${a} x ${b} m`;
+        }
+
+        return `${rounded.join(' x ')} m`;
+    }
+
     /**
      * Format dates in a human-readable format
      * @param {Date|string} date - Date to format
@@ -143,13 +187,14 @@ class Helpers {
     }
 
     /**
-     * Validate phone number (US format)
+     * Validate phone number (international format, 7 to 15 digits)
      * @param {string} phone - Phone number to validate
      * @returns {boolean} True if valid phone number
      */
     static isValidPhone(phone) {
-        const phoneRegex = /^[\+]?[1]?[\s]?[\(]?[0-9]{3}[\)]?[\s\-]?[0-9]{3}[\s\-]?[0-9]{4}$/;
-        return phoneRegex.test(phone);
+        if (!/^[\d\s\-().+]+$/.test(phone)) return false;
+        const digits = phone.replace(/[\s\-().]/g, '');
+        return /^\+?\d{7,15}$/.test(digits);
     }
 
     /**
@@ -0,0 +1,347 @@
+/**
+ * KML Utility for Real Estate SaaS
+ * Parses surveyors' KML files into a loteamiento and its lotes and imports them through Supabase
+ */
+
+class KML {
+    /**
+     * Parse a KML document into its polygon placemarks
+     * @param {string} text - KML file contents
+     * @returns {Object} { name, features, warnings } where each feature is
+     *   { index, externalId, nombre, descripcion, rings, warnings }
+     */
+    static parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not valid KML (XML could not be read)');
+        }
+
+        const root = this.find(doc, 'Document')[0] || doc.documentElement;
+        const warnings = [];
+        const features = [];
+
+        this.find(doc, 'Placemark').forEach(placemark => {
+            const nombre = this.text(this.child(placemark, 'name'));
+            const polygons = this.find(placemark, 'Polygon');
+
+            if (polygons.length === 0) {
+                // Points and paths (labels, roads) are not lots
+                warnings.push(`"${nombre || 'Unnamed placemark'}" has no polygon and was skipped`);
+                return;
+            }
+
+            const feature = {
+                index: features.length,
+                externalId: this.getExternalId(placemark, nombre),
+                nombre: nombre || '',
+                descripcion: this.text(this.child(placemark, 'description')) || null,
+                rings: [],
+                warnings: []
+            };
+
+            if (polygons.length > 1) {
+                feature.warnings.push(`Has ${polygons.length} polygons; only the first one is imported`);
+            }
+
+            const polygon = polygons[0];
+            const outer = this.find(this.child(polygon, 'outerBoundaryIs') || polygon, 'coordinates')[0];
+            const inner = this.find(polygon, 'innerBoundaryIs')
+                .map(boundary => this.find(boundary, 'coordinates')[0])
+                .filter(Boolean);
+
+            feature.rings = [outer, ...inner]
+                .filter(Boolean)
+                .map(coordinates => this.parseCoordinates(this.text(coordinates), feature.warnings));
+
+            features.push(feature);
+        });
+
+        return {
+            name: this.text(this.child(root, 'name')),
+            features,
+            warnings
+        };
+    }
+
+    /**
+     * Elements with a local name, ignoring namespace prefixes
+     */
+    static find(node, localName) {
+        return Array.from(node.getElementsByTagName('*')).filter(element => element.localName === localName);
+    }
+
+    static child(node, localName) {
+        return Array.from(node.children).find(element => element.localName === localName) || null;
+    }
+
+    static text(node) {
+        return node ? node.textContent.trim() : '';
+    }
+
+    /**
+     * Stable reference of a placemark: its id attribute, an external_id/id data field, or its name
+     */
+    static getExternalId(placemark, nombre) {
+        const data = {};
+        this.find(placemark, 'Data').forEach(element => {
+            data[element.getAttribute('name')] = this.text(this.child(element, 'value'));
+        });
+        this.find(placemark, 'SimpleData').forEach(element => {
+            data[element.getAttribute('name')] = this.text(element);
+        });
+
+        return placemark.getAttribute('id') || data.external_id || data.id || nombre || '';
+    }
+
+    /**
+     * Read a KML coordinates string ("lng,lat[,alt] ...") into a closed [lng, lat] ring
+     * @param {string} text - Coordinates text
+     * @param {Array<string>} warnings - Collects problems with the ring
+     * @returns {Array<Array<number>>} Ring
+     */
+    static parseCoordinates(text, warnings) {
+        const ring = [];
+
+        text.split(/\s+/).filter(Boolean).forEach(tuple => {
+            const [lng, lat] = tuple.split(',').map(Number);
+            if (isNaN(lng) || isNaN(lat) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                warnings.push(`Ignored invalid coordinate "${tuple}"`);
+                return;
+            }
+
+            // Drop repeated vertices, which surveying tools sometimes export
+            const last = ring[ring.length - 1];
+            if (!last || last[0] !== lng || last[1] !== lat) {
+                ring.push([lng, lat]);
+            }
+        });
+
+        if (ring.length > 1) {
+            const [first, last] = [ring[0], ring[ring.length - 1]];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                warnings.push('Ring was not closed; it was closed automatically');
+                ring.push([...first]);
+            }
+        }
+
+        return ring;
+    }
+
+    /**
+     * Index of the polygon most likely to be the development outline:
+     * the one containing the most other centroids, the largest on ties
+     * @param {Array} features - Parsed features with metrics
+     * @returns {number} Feature index, or -1 if there are none
+     */
+    static guessParent(features) {
+        let best = -1;
+        let bestScore = -1;
+
+        features.forEach((feature, index) => {
+            if (!feature.metrics) return;
+
+            const contained = features.filter(other => other !== feature && other.metrics
+                && Geometry.containsPoint(feature.rings[0], [other.metrics.centroide_lng, other.metrics.centroide_lat])).length;
+            const score = contained * 1e12 + feature.metrics.area_m2;
+
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Measure and validate the parsed features for a given parent
+     * @param {Object} parsed - Result of KML.parse()
+     * @param {number} parentIndex - Feature used as the loteamiento outline (guessed if omitted)
+     * @returns {Object} { name, parent, lotes, parentIndex, warnings }
+     */
+    static prepare(parsed, parentIndex) {
+        parsed.features.forEach(feature => {
+            if (feature.metrics !== undefined) return;
+
+            const outer = feature.rings[0] || [];
+            if (outer.length < 4) {
+                feature.warnings.push('Polygon has fewer than 3 vertices and was skipped');
+                feature.metrics = null;
+                return;
+            }
+
+            feature.metrics = Geometry.measure(this.toGeometry(feature));
+            if (feature.metrics.area_m2 < 1) {
+                feature.warnings.push('Polygon has no area');
+            }
+            if (Geometry.isSelfIntersecting(outer)) {
+                feature.warnings.push('Edges cross each other; the area and sides are unreliable');
+            }
+        });
+
+        const index = parentIndex ?? this.guessParent(parsed.features);
+        const parent = parsed.features[index] || null;
+        const lotes = parsed.features.filter(feature => feature !== parent && feature.metrics);
+        const warnings = [...parsed.warnings];
+
+        if (!parent || !parent.metrics) {
+            warnings.push('The file has no polygon that can be used as the development outline');
+        } else if (!parent.externalId) {
+            warnings.push('The development outline has no name or id, so re-imports cannot match it');
+        }
+
+        const seen = new Map();
+        lotes.forEach(feature => {
+            feature.rowWarnings = [];
+
+            if (!feature.externalId) {
+                feature.rowWarnings.push('Has no name or id, so it cannot be matched on re-import');
+            } else if (seen.has(feature.externalId)) {
+                feature.rowWarnings.push(`Same id as "${seen.get(feature.externalId)}"; only the first one is imported`);
+            } else {
+                seen.set(feature.externalId, feature.nombre || feature.externalId);
+            }
+
+            if (parent?.metrics && !Geometry.containsPoint(parent.rings[0], [feature.metrics.centroide_lng, feature.metrics.centroide_lat])) {
+                feature.rowWarnings.push('Lies outside the development outline');
+            }
+        });
+
+        parsed.features.forEach(feature => {
+            [...feature.warnings, ...(feature.rowWarnings || [])].forEach(message => {
+                warnings.push(`${feature.nombre || feature.externalId || `Placemark ${feature.index + 1}`}: ${message}`);
+            });
+        });
+
+        return { name: parsed.name, parent, lotes, parentIndex: index, warnings };
+    }
+
+    /**
+     * GeoJSON geometry of a feature
+     */
+    static toGeometry(feature) {
+        return { type: 'Polygon', coordinates: feature.rings };
+    }
+
+    /**
+     * Row values for a parsed feature
+     */
+    static toRow(feature, fallbackName = '') {
+        const { lados, ...metrics } = feature.metrics;
+
+        return {
+            external_id: feature.externalId,
+            nombre: feature.nombre || fallbackName || feature.externalId,
+            descripcion: feature.descripcion,
+            geojson: this.toGeometry(feature),
+            ...metrics,
+            lados
+        };
+    }
+
+    static getClient() {
+        const supabase = window.SupabaseClient;
+        if (!supabase || !supabase.isReady()) {
+            throw new Error('Supabase client not initialized');
+        }
+        return supabase.getClient();
+    }
+
+    /**
+     * Find the rows a prepared import would update
+     * @param {Object} prepared - Result of KML.prepare()
+     * @returns {Promise<Object>} { loteamiento, lotes } where lotes maps external_id to { id, estado }
+     */
+    static async findExisting(prepared) {
+        const client = this.getClient();
+        const { data: loteamiento, error } = await client
+            .from('loteamientos')
+            .select('id, nombre')
+            .eq('external_id', prepared.parent.externalId)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        const lotes = new Map();
+        if (loteamiento) {
+            const { data, error: lotesError } = await client
+                .from('lotes')
+                .select('id, external_id, estado')
+                .eq('loteamiento_id', loteamiento.id);
+
+            if (lotesError) {
+                throw lotesError;
+            }
+
+            (data || []).forEach(lote => lotes.set(lote.external_id, lote));
+        }
+
+        return { loteamiento, lotes };
+    }
+
+    /**
+     * Insert or update the loteamiento and its lotes, matching on external_id
+     * @param {Object} prepared - Result of KML.prepare()
+     * @param {Object} existing - Result of KML.findExisting()
+     * @returns {Promise<Object>} { loteamientoId, created, updated, untouched }
+     */
+    static async import(prepared, existing) {
+        const client = this.getClient();
+        const loteamientoId = existing.loteamiento?.id || crypto.randomUUID();
+        const parentRow = this.toRow(prepared.parent, prepared.name);
+        delete parentRow.lados;
+
+        const { error } = await client
+            .from('loteamientos')
+            .upsert({ id: loteamientoId, ...parentRow });
+
+        if (error) {
+            throw error;
+        }
+
+        // Lots without an id or repeating one were flagged in prepare() and are skipped
+        const unique = new Map();
+        prepared.lotes.forEach(feature => {
+            if (feature.externalId && !unique.has(feature.externalId)) {
+                unique.set(feature.externalId, feature);
+            }
+        });
+
+        const rows = [...unique.values()]
+            .map(feature => ({
+                id: existing.lotes.get(feature.externalId)?.id || crypto.randomUUID(),
+                loteamiento_id: loteamientoId,
+                ...this.toRow(feature)
+            }));
+
+        if (rows.length > 0) {
+            // Upserting only these columns leaves estado and precio_usd of existing lots untouched
+            const { error: lotesError } = await client
+                .from('lotes')
+                .upsert(rows);
+
+            if (lotesError) {
+                throw lotesError;
+            }
+        }
+
+        const updated = rows.filter(row => existing.lotes.has(row.external_id)).length;
+
+        return {
+            loteamientoId,
+            created: rows.length - updated,
+            updated,
+            untouched: existing.lotes.size - updated
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KML;
+}
+
+// Make available globally
+window.KML = KML;
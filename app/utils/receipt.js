@@ -0,0 +1,351 @@
+/**
+ * Receipt Utility for Real Estate SaaS
+ * Builds reservation receipts as printable HTML and as a PDF generated in the browser
+ */
+
+class Receipt {
+    static BRAND = 'RealEstate SaaS';
+
+    static PAGE = { width: 595, height: 842, margin: 50 }; // A4 in points
+
+    /**
+     * Colours used when a design token cannot be resolved (no canvas, old browser)
+     */
+    static FALLBACK_COLORS = {
+        '--primary': [0.13, 0.77, 0.37],
+        '--primary-foreground': [1, 1, 1],
+        '--foreground': [0.22, 0.25, 0.32],
+        '--muted-foreground': [0.42, 0.45, 0.5],
+        '--border': [0.9, 0.91, 0.92],
+        '--accent': [0.82, 0.98, 0.9]
+    };
+
+    /**
+     * WinAnsi codes for common characters outside Latin-1
+     */
+    static WIN_ANSI = {
+        '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+    };
+
+    /**
+     * Build the reference number printed on the receipt
+     * @param {Object} reservation - Reservation row
+     * @returns {string} Reference such as RES-20250114-1A2B3C4D
+     */
+    static getReference(reservation) {
+        const date = new Date(reservation.created_at || reservation.reservation_date);
+        const day = isNaN(date.getTime())
+            ? '00000000'
+            : `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+        return `RES-${day}-${String(reservation.id || '').replace(/-/g, '').slice(0, 8).toUpperCase()}`;
+    }
+
+    /**
+     * Collect the receipt content once, so HTML and PDF always match
+     * @param {Object} reservation - Reservation row
+     * @returns {Object} Receipt data ({ reference, issuedAt, status, sections, total })
+     */
+    static getData(reservation) {
+        const lot = reservation.lot_details || {};
+        const dateTime = { hour: '2-digit', minute: '2-digit' };
+        const status = reservation.status || 'pending';
+        const price = Number(lot.precio_usd);
+
+        return {
+            reference: this.getReference(reservation),
+            issuedAt: Helpers.formatDate(new Date(), dateTime),
+            status: Helpers.capitalize(status),
+            sections: [
+                {
+                    title: 'Client',
+                    rows: [
+                        ['Name', `${reservation.first_name || ''} ${reservation.last_name || ''}`.trim()],
+                        ['Email', reservation.email],
+                        ['Phone', reservation.phone]
+                    ]
+                },
+                {
+                    title: 'Lot',
+                    rows: [
+                        ['Lot', lot.nombre],
+                        ['Area', lot.area_m2 ? `${Helpers.formatNumber(Number(lot.area_m2))} m²` : null],
+                        ['Dimensions', lot.lados]
+                    ]
+                },
+                {
+                    title: 'Reservation',
+                    rows: [
+                        ['Reservation date', Helpers.formatDate(reservation.reservation_date, dateTime)],
+                        ['Status', Helpers.capitalize(status)],
+                        ['Confirmed', Helpers.formatDate(reservation.confirmed_at, dateTime)],
+                        ['Cancelled', Helpers.formatDate(reservation.cancelled_at, dateTime)]
+                    ]
+                }
+            ].map(section => ({ ...section, rows: section.rows.filter(([, value]) => value) })),
+            total: isNaN(price) || !lot.precio_usd ? null : `${Helpers.formatCurrency(price)} USD`
+        };
+    }
+
+    /**
+     * Render the receipt markup used by the preview and the print view
+     * @param {Object} reservation - Reservation row
+     * @returns {string} Receipt HTML
+     */
+    static toHTML(reservation) {
+        const data = this.getData(reservation);
+        const escape = Helpers.escapeHtml;
+
+        return `
+            <article class="receipt">
+                <header class="receipt__header">
+                    <div>
+                        <div class="receipt__brand">${escape(this.BRAND)}</div>
+                        <h2 class="receipt__title">Reservation Receipt</h2>
+                    </div>
+                    <div class="receipt__reference">
+                        <span>Reference</span>
+                        <strong>${escape(data.reference)}</strong>
+                    </div>
+                </header>
+
+                ${data.sections.map(section => `
+                    <section class="receipt__section">
+                        <h3 class="receipt__section-title">${section.title}</h3>
+                        <dl class="receipt__rows">
+                            ${section.rows.map(([label, value]) => `
+                                <div class="receipt__row">
+                                    <dt class="receipt__label">${label}</dt>
+                                    <dd class="receipt__value">${escape(String(value))}</dd>
+                                </div>
+                            `).join('')}
+                        </dl>
+                    </section>
+                `).join('')}
+
+                ${data.total ? `
+                    <div class="receipt__total">
+                        <span>Lot price</span>
+                        <strong>${escape(data.total)}</strong>
+                    </div>
+                ` : ''}
+
+                <footer class="receipt__footer">
+                    Issued ${escape(data.issuedAt)} · Keep this receipt as proof of your reservation.
+                </footer>
+            </article>
+        `;
+    }
+
+    /**
+     * Open the browser print dialog with only the receipt on the page
+     * @param {Object} reservation - Reservation row
+     */
+    static print(reservation) {
+        const html = document.documentElement;
+        const wasDark = html.classList.contains('dark');
+        const container = document.createElement('div');
+        container.className = 'receipt-print';
+        container.innerHTML = this.toHTML(reservation);
+        document.body.appendChild(container);
+        document.body.classList.add('receipt-printing');
+
+        // Paper is always light, whatever the screen theme
+        if (wasDark) {
+            html.classList.replace('dark', 'light');
+        }
+
+        const cleanup = () => {
+            window.removeEventListener('afterprint', cleanup);
+            container.remove();
+            document.body.classList.remove('receipt-printing');
+            if (wasDark) {
+                html.classList.replace('light', 'dark');
+            }
+        };
+
+        window.addEventListener('afterprint', cleanup);
+        window.print();
+    }
+
+    /**
+     * Resolve design tokens to PDF RGB colours (0-1), using the light theme
+     * @param {Array<string>} tokens - CSS custom property names
+     * @returns {Object} Colours by token name
+     */
+    static resolveColors(tokens) {
+        const colors = {};
+        const html = document.documentElement;
+        const wasDark = html.classList.contains('dark');
+        let context = null;
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 1;
+            context = canvas.getContext('2d', { willReadFrequently: true });
+        } catch (error) {
+            context = null;
+        }
+
+        if (wasDark) html.classList.remove('dark');
+
+        try {
+            const styles = getComputedStyle(html);
+
+            tokens.forEach(token => {
+                colors[token] = this.FALLBACK_COLORS[token] || [0, 0, 0];
+
+                const value = styles.getPropertyValue(token).trim();
+                if (!context || !value) return;
+
+                // The canvas converts any CSS colour (oklch included) to sRGB pixels
+                context.fillStyle = '#010203';
+                context.fillStyle = value;
+                if (context.fillStyle === '#010203') return;
+
+                context.clearRect(0, 0, 1, 1);
+                context.fillRect(0, 0, 1, 1);
+                const [r, g, b] = context.getImageData(0, 0, 1, 1).data;
+                colors[token] = [r / 255, g / 255, b / 255];
+            });
+        } finally {
+            if (wasDark) html.classList.add('dark');
+        }
+
+        return colors;
+    }
+
+    /**
+     * Encode text for a PDF string literal in WinAnsiEncoding
+     * @param {string} text - Text to encode
+     * @returns {string} Escaped single-byte string
+     */
+    static encodeText(text) {
+        return Array.from(String(text ?? ''), char => {
+            if (this.WIN_ANSI[char]) return String.fromCharCode(this.WIN_ANSI[char]);
+            if (char.charCodeAt(0) > 255) return '?';
+            return char;
+        }).join('').replace(/[\\()]/g, '\\$&').replace(/[\r\n\t]+/g, ' ');
+    }
+
+    /**
+     * Shorten text so it fits a column (Helvetica averages about half the font size per character)
+     * @param {string} text - Text to fit
+     * @param {number} width - Available width in points
+     * @param {number} size - Font size in points
+     * @returns {string} Text, truncated with an ellipsis if needed
+     */
+    static fitText(text, width, size) {
+        const maxChars = Math.floor(width / (size * 0.5));
+        const value = String(text ?? '');
+        return value.length > maxChars ? `${value.slice(0, maxChars - 1)}…` : value;
+    }
+
+    /**
+     * Build the receipt as a single-page PDF document
+     * @param {Object} reservation - Reservation row
+     * @returns {Blob} PDF file
+     */
+    static toPDF(reservation) {
+        const data = this.getData(reservation);
+        const colors = this.resolveColors(Object.keys(this.FALLBACK_COLORS));
+        const { width, height, margin } = this.PAGE;
+        const valueX = margin + 150;
+        const ops = [];
+
+        const rgb = (token, op) => `${colors[token].map(value => value.toFixed(3)).join(' ')} ${op}`;
+        const text = (value, x, y, { size = 10, bold = false, color = '--foreground' } = {}) => {
+            ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color, 'rg')} ${x} ${y} Td (${this.encodeText(value)}) Tj ET`);
+        };
+        const rule = (y) => {
+            ops.push(`${rgb('--border', 'RG')} 0.75 w ${margin} ${y} m ${width - margin} ${y} l S`);
+        };
+
+        // Header band
+        ops.push(`${rgb('--primary', 'rg')} 0 ${height - 110} ${width} 110 re f`);
+        text(this.BRAND.toUpperCase(), margin, height - 45, { size: 9, bold: true, color: '--primary-foreground' });
+        text('Reservation Receipt', margin, height - 72, { size: 22, bold: true, color: '--primary-foreground' });
+        text(`Reference ${data.reference}`, margin, height - 94, { size: 10, color: '--primary-foreground' });
+
+        let y = height - 150;
+
+        data.sections.forEach(section => {
+            text(section.title.toUpperCase(), margin, y, { size: 9, bold: true, color: '--muted-foreground' });
+            y -= 8;
+            rule(y);
+            y -= 18;
+
+            section.rows.forEach(([label, value]) => {
+                text(label, margin, y, { color: '--muted-foreground' });
+                text(this.fitText(value, width - margin - valueX, 10), valueX, y, { bold: true });
+                y -= 18;
+            });
+
+            y -= 14;
+        });
+
+        if (data.total) {
+            ops.push(`${rgb('--accent', 'rg')} ${margin} ${y - 22} ${width - margin * 2} 40 re f`);
+            text('Lot price', margin + 14, y - 6, { color: '--foreground' });
+            text(data.total, valueX, y - 7, { size: 14, bold: true });
+        }
+
+        rule(margin + 24);
+        text(`Issued ${data.issuedAt} - Keep this receipt as proof of your reservation.`, margin, margin + 8, {
+            size: 8,
+            color: '--muted-foreground'
+        });
+
+        return this.buildPDF(ops.join('\n'), { title: `Reservation Receipt ${data.reference}` });
+    }
+
+    /**
+     * Assemble a minimal PDF 1.4 file around one page content stream
+     * @param {string} content - Page content stream
+     * @param {Object} info - Document info ({ title })
+     * @returns {Blob} PDF file
+     */
+    static buildPDF(content, info = {}) {
+        const { width, height } = this.PAGE;
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+            `<< /Title (${this.encodeText(info.title || 'Receipt')}) /Producer (${this.encodeText(this.BRAND)}) >>`
+        ];
+
+        // Every character is a single byte from here on, so string length equals byte offset
+        let pdf = '%PDF-1.4\n%\u00e2\u00e3\u00cf\u00d3\n';
+        const offsets = objects.map((body, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+        return new Blob([Uint8Array.from(pdf, char => char.charCodeAt(0))], { type: 'application/pdf' });
+    }
+
+    /**
+     * Generate the PDF receipt and download it
+     * @param {Object} reservation - Reservation row
+     */
+    static downloadPDF(reservation) {
+        Exporter.download(this.toPDF(reservation), `receipt-${this.getReference(reservation)}.pdf`, 'application/pdf');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Receipt;
+}
+
+// Make available globally
+window.Receipt = Receipt;
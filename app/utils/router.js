@@ -116,7 +116,11 @@ class Router {
      */
     async handleRouteChange() {
         // Use hash for routing (works with static servers)
-        let path = window.location.hash.replace('#', '') || '/';
+        const rawHash = window.location.hash.replace('#', '');
+        const queryStart = rawHash.indexOf('?');
+        const hashPath = queryStart === -1 ? rawHash : rawHash.slice(0, queryStart);
+        const hashQuery = queryStart === -1 ? '' : rawHash.slice(queryStart + 1);
+        let path = hashPath || '/';
         
         // If no hash, default to dashboard
         if (!path || path === '/') {
@@ -133,7 +137,8 @@ class Router {
             hash,
             state,
             params: {},
-            query: this.parseQuery(search),
+            // A query inside the hash (#/dashboard?status=pending) wins over the page query string
+            query: this.parseQuery(hashQuery ? `?${hashQuery}` : search),
             router: this
         };
 
@@ -372,7 +377,7 @@ router
         router.navigate('/dashboard', {}, true);
     })
     .addRoute('/dashboard', async (context) => {
-        await loadPage('dashboard');
+        await loadPage('dashboard', { query: context.query });
         updateNavigation('dashboard');
     })
     .addRoute('/properties', async (context) => {
@@ -399,6 +404,18 @@ router
         await loadPage('agent-detail', { id: context.params.id });
         updateNavigation('agents');
     })
+    .addRoute('/loteamientos', async (context) => {
+        await loadPage('loteamientos');
+        updateNavigation('loteamientos');
+    })
+    .addRoute('/loteamientos/:id', async (context) => {
+        await loadPage('loteamientos', { id: context.params.id });
+        updateNavigation('loteamientos');
+    })
+    .addRoute('/reservation', async (context) => {
+        await loadPage('reservation', { query: context.query });
+        updateNavigation('reservation');
+    })
     .addRoute('/analytics', async (context) => {
         await loadPage('analytics');
         updateNavigation('analytics');
@@ -412,6 +429,11 @@ router
         updateNavigation('settings');
     })
 
+/**
+ * Controller of the page currently on screen, so it can be torn down on navigation
+ */
+let activePageController = null;
+
 /**
  * Load page content
  * @param {string} pageName - Name of the page to load
@@ -434,9 +456,15 @@ async function loadPage(pageName, data = {}) {
             breadcrumb.textContent = pageTitle;
         }
         
+        // Tear down the previous page (subscriptions, timers)
+        if (activePageController && typeof activePageController.destroy === 'function') {
+            activePageController.destroy();
+        }
+        activePageController = window[pageName + 'Controller'] || null;
+
         // Load page-specific controller if available
-        if (window[pageName + 'Controller']) {
-            await window[pageName + 'Controller'].load(content, data);
+        if (activePageController) {
+            await activePageController.load(content, data);
         } else {
             // Fallback to generic page loader
             content.innerHTML = `
@@ -152,7 +152,8 @@ class Storage {
             language: 'en',
             notifications: true,
             autoSave: true,
-            gridView: true
+            gridView: true,
+            displayCurrency: 'USD'
         });
     }
 
@@ -348,6 +349,98 @@ class Storage {
         return favorites.hasOwnProperty(id);
     }
 
+    /**
+     * Store export preferences (columns, date format, file format)
+     * @param {string} page - Page identifier
+     * @param {Object} preferences - Export preferences
+     */
+    static setExportPreferences(page, preferences) {
+        return this.setItem(`export_preferences_${page}`, preferences);
+    }
+
+    /**
+     * Get export preferences
+     * @param {string} page - Page identifier
+     * @returns {Object} Export preferences
+     */
+    static getExportPreferences(page) {
+        return this.getItem(`export_preferences_${page}`, {});
+    }
+
+    /**
+     * Store saved views (named filters, sort and page size)
+     * @param {string} page - Page identifier
+     * @param {Array} views - Saved views
+     */
+    static setSavedViews(page, views) {
+        return this.setItem(`saved_views_${page}`, views);
+    }
+
+    /**
+     * Get saved views
+     * @param {string} page - Page identifier
+     * @returns {Array} Saved views
+     */
+    static getSavedViews(page) {
+        return this.getItem(`saved_views_${page}`, []);
+    }
+
+    /**
+     * Store organization settings (reservation hold window, etc.)
+     * @param {string} organizationId - Organization identifier
+     * @param {Object} settings - Organization settings
+     */
+    static setOrganizationSettings(organizationId, settings) {
+        return this.setItem(`organization_settings_${organizationId}`, settings);
+    }
+
+    /**
+     * Get organization settings merged over the defaults
+     * @param {string} organizationId - Organization identifier
+     * @returns {Object} Organization settings
+     */
+    static getOrganizationSettings(organizationId) {
+        return {
+            holdWindowHours: 72,
+            expiringSoonHours: 24,
+            ...this.getItem(`organization_settings_${organizationId}`, {})
+        };
+    }
+
+    /**
+     * Store an organization's message templates
+     * @param {string} organizationId - Organization identifier
+     * @param {Array} templates - Message templates
+     */
+    static setMessageTemplates(organizationId, templates) {
+        return this.setItem(`message_templates_${organizationId}`, templates);
+    }
+
+    /**
+     * Get an organization's message templates
+     * @param {string} organizationId - Organization identifier
+     * @returns {Array|null} Message templates, or null if never saved
+     */
+    static getMessageTemplates(organizationId) {
+        return this.getItem(`message_templates_${organizationId}`, null);
+    }
+
+    /**
+     * Cache the exchange-rate table for synchronous currency formatting
+     * @param {Array} rates - Exchange rates
+     */
+    static setExchangeRates(rates) {
+        return this.setItem('exchange_rates', rates);
+    }
+
+    /**
+     * Get the cached exchange-rate table
+     * @returns {Array} Exchange rates
+     */
+    static getExchangeRates() {
+        return this.getItem('exchange_rates', []);
+    }
+
     /**
      * Store view state (grid/list view, sort order, etc.)
      * @param {string} page - Page identifier
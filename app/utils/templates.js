@@ -0,0 +1,250 @@
+/**
+ * Message Templates Utility for Real Estate SaaS
+ * Renders follow-up templates for a reservation and builds mailto: and wa.me links
+ */
+
+class MessageTemplates {
+    static TABLE = 'message_templates';
+
+    static CHANNELS = {
+        email: { label: 'Email', icon: 'mail' },
+        whatsapp: { label: 'WhatsApp', icon: 'message-circle' }
+    };
+
+    /**
+     * Placeholders an agent can use, with the sample value shown in the settings preview
+     */
+    static PLACEHOLDERS = [
+        { key: 'first_name', label: 'First name', sample: 'María' },
+        { key: 'last_name', label: 'Last name', sample: 'González' },
+        { key: 'full_name', label: 'Full name', sample: 'María González' },
+        { key: 'email', label: 'Email', sample: 'maria@example.com' },
+        { key: 'phone', label: 'Phone', sample: '+595983945035' },
+        { key: 'lot.nombre', label: 'Lot name', sample: 'Lote 12' },
+        { key: 'lot.area_m2', label: 'Lot area (m²)', sample: '4,594' },
+        { key: 'lot.lados', label: 'Lot dimensions', sample: '68.5 x 67.2 m' },
+        { key: 'lot.precio_usd', label: 'Lot price', sample: '$25,000' },
+        { key: 'reservation_date', label: 'Reservation date', sample: 'Jan 14, 2025' },
+        { key: 'status', label: 'Status', sample: 'Pending' },
+        { key: 'agent_name', label: 'Agent name', sample: 'John Doe' }
+    ];
+
+    static DEFAULTS = [
+        {
+            id: 'whatsapp-follow-up',
+            name: 'Follow-up (WhatsApp)',
+            channel: 'whatsapp',
+            subject: '',
+            body: 'Hola {{first_name}}, soy {{agent_name}}. Recibimos tu reserva del {{lot.nombre}} ({{lot.area_m2}} m², {{lot.precio_usd}}). ¿Cuándo te queda bien que te llamemos para confirmarla?'
+        },
+        {
+            id: 'email-follow-up',
+            name: 'Follow-up (Email)',
+            channel: 'email',
+            subject: 'Tu reserva del {{lot.nombre}}',
+            body: 'Hola {{first_name}},\n\nGracias por reservar el {{lot.nombre}} ({{lot.lados}}, {{lot.area_m2}} m²). El precio de lista es {{lot.precio_usd}}.\n\nEn breve te contactamos para confirmar la reserva y coordinar la seña.\n\nSaludos,\n{{agent_name}}'
+        },
+        {
+            id: 'email-confirmed',
+            name: 'Reservation confirmed (Email)',
+            channel: 'email',
+            subject: 'Reserva confirmada: {{lot.nombre}}',
+            body: 'Hola {{first_name}},\n\nTu reserva del {{lot.nombre}} está confirmada. Te enviaremos el recibo y los próximos pasos para la firma.\n\nSaludos,\n{{agent_name}}'
+        }
+    ];
+
+    static PLACEHOLDER_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+    /**
+     * Get the Supabase client
+     * @returns {Object} Supabase client
+     */
+    static getClient() {
+        const supabase = window.SupabaseClient;
+        if (!supabase || !supabase.isReady()) {
+            throw new Error('Supabase client not initialized');
+        }
+        return supabase.getClient();
+    }
+
+    /**
+     * Fetch the organization's shared templates and cache them for list()
+     * @param {string} organizationId - Organization identifier
+     * @returns {Promise<Array>} Templates
+     */
+    static async load(organizationId) {
+        try {
+            const { data, error } = await this.getClient()
+                .from(this.TABLE)
+                .select('templates')
+                .eq('organization_id', organizationId)
+                .maybeSingle();
+
+            if (error) {
+                throw error;
+            }
+
+            if (data) {
+                Storage.setMessageTemplates(organizationId, data.templates || []);
+            }
+        } catch (error) {
+            // Keep working with the copy cached in this browser
+            console.error('Error loading message templates:', error);
+        }
+
+        return this.list(organizationId);
+    }
+
+    /**
+     * Get the organization's cached templates, falling back to the built-in set
+     * @param {string} organizationId - Organization identifier
+     * @returns {Array} Templates ({ id, name, channel, subject, body })
+     */
+    static list(organizationId) {
+        return Storage.getMessageTemplates(organizationId) || this.DEFAULTS.map(template => ({ ...template }));
+    }
+
+    /**
+     * Store the organization's templates for the whole team, caching them in this browser
+     * @param {string} organizationId - Organization identifier
+     * @param {Array} templates - Templates to store
+     * @returns {Promise<Object>} { saved, shared } where shared is false if only the browser copy was updated
+     */
+    static async save(organizationId, templates) {
+        const saved = Storage.setMessageTemplates(organizationId, templates);
+
+        try {
+            const user = Storage.getSession()?.user;
+            const { error } = await this.getClient()
+                .from(this.TABLE)
+                .upsert({
+                    organization_id: organizationId,
+                    templates,
+                    updated_at: new Date().toISOString(),
+                    updated_by: user?.name || user?.email || null
+                });
+
+            if (error) {
+                throw error;
+            }
+
+            return { saved: true, shared: true };
+        } catch (error) {
+            console.error('Error saving message templates:', error);
+            return { saved, shared: false };
+        }
+    }
+
+    /**
+     * Build the placeholder values for a reservation
+     * @param {Object} reservation - Reservation row
+     * @returns {Object} Values by placeholder key
+     */
+    static getContext(reservation) {
+        const lot = reservation.lot_details || {};
+        const user = Storage.getSession()?.user;
+        const price = Number(lot.precio_usd);
+
+        return {
+            first_name: reservation.first_name,
+            last_name: reservation.last_name,
+            full_name: `${reservation.first_name || ''} ${reservation.last_name || ''}`.trim(),
+            email: reservation.email,
+            phone: reservation.phone,
+            'lot.nombre': lot.nombre,
+            'lot.area_m2': lot.area_m2 ? Helpers.formatNumber(Number(lot.area_m2)) : '',
+            'lot.lados': lot.lados,
+            'lot.precio_usd': lot.precio_usd && !isNaN(price) ? Helpers.formatCurrency(price) : '',
+            reservation_date: Helpers.formatDate(reservation.reservation_date),
+            status: Helpers.capitalize(reservation.status || 'pending'),
+            agent_name: user?.name || ''
+        };
+    }
+
+    /**
+     * Get the sample context used to preview templates in settings
+     * @returns {Object} Sample values by placeholder key
+     */
+    static getSampleContext() {
+        return Object.fromEntries(this.PLACEHOLDERS.map(placeholder => [placeholder.key, placeholder.sample]));
+    }
+
+    /**
+     * Replace {{placeholders}} in a text
+     * @param {string} text - Template text
+     * @param {Object} context - Values by placeholder key
+     * @returns {Object} { text, missing } where missing lists placeholders without a value
+     */
+    static render(text, context) {
+        const missing = new Set();
+        const rendered = String(text || '').replace(this.PLACEHOLDER_PATTERN, (match, key) => {
+            const value = context[key];
+            if (value === undefined || value === null || value === '') {
+                missing.add(key);
+                return '';
+            }
+            return String(value);
+        });
+
+        return { text: rendered, missing: [...missing] };
+    }
+
+    /**
+     * Find placeholders that are not in MessageTemplates.PLACEHOLDERS
+     * @param {string} text - Template text
+     * @returns {Array<string>} Unknown placeholder keys
+     */
+    static getUnknownPlaceholders(text) {
+        const known = new Set(this.PLACEHOLDERS.map(placeholder => placeholder.key));
+        const unknown = new Set();
+
+        for (const [, key] of String(text || '').matchAll(this.PLACEHOLDER_PATTERN)) {
+            if (!known.has(key)) unknown.add(key);
+        }
+
+        return [...unknown];
+    }
+
+    /**
+     * Normalise a phone number to E.164
+     * @param {string} phone - Stored phone number
+     * @returns {string|null} Phone such as +595983945035, or null if it is not E.164
+     */
+    static toE164(phone) {
+        const compact = String(phone || '').replace(/[\s\-().]/g, '');
+        return /^\+[1-9]\d{6,14}$/.test(compact) ? compact : null;
+    }
+
+    /**
+     * Build the link that opens the message in the agent's mail or WhatsApp client
+     * @param {string} channel - One of MessageTemplates.CHANNELS keys
+     * @param {Object} message - Rendered message ({ subject, body })
+     * @param {Object} reservation - Reservation row
+     * @returns {string} mailto: or https://wa.me/ link
+     */
+    static buildLink(channel, message, reservation) {
+        if (channel === 'whatsapp') {
+            const phone = this.toE164(reservation.phone);
+            if (!phone) {
+                throw new Error('The lead has no phone number in international format (e.g. +595981123456)');
+            }
+            // wa.me takes the E.164 number without the leading +
+            return `https://wa.me/${phone.slice(1)}?text=${encodeURIComponent(message.body)}`;
+        }
+
+        if (!reservation.email) {
+            throw new Error('The lead has no email address');
+        }
+
+        const params = [`subject=${encodeURIComponent(message.subject || '')}`, `body=${encodeURIComponent(message.body)}`];
+        return `mailto:${encodeURIComponent(reservation.email).replace(/%40/g, '@')}?${params.join('&')}`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageTemplates;
+}
+
+// Make available globally
+window.MessageTemplates = MessageTemplates;
@@ -50,6 +50,7 @@ CREATE TABLE lotes (
     area_m2_rounded DECIMAL(18,2) NOT NULL,
     perimeter_m DECIMAL(18,2) NOT NULL,
     lados JSON NOT NULL,                         -- Lista de lados en metros (array JSON)
+    precio_usd DECIMAL(18,2),                    -- Precio de lista en USD (se copia a reservations.lot_details)
 
     -- Estado (ej: disponible, reservado, vendido)
     estado VARCHAR(50) DEFAULT 'disponible',
@@ -0,0 +1,24 @@
+-- Tipos de cambio cargados a mano para convertir los precios en USD (Supabase / PostgreSQL).
+-- Rige la cotización más reciente por moneda según effective_date (y created_at si hay empate).
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    created_at TIMESTAMPTZ DEFAULT now(),
+    base TEXT NOT NULL DEFAULT 'USD',
+    quote TEXT NOT NULL,
+    rate NUMERIC NOT NULL CHECK (rate > 0),
+    effective_date DATE NOT NULL,
+    note TEXT,
+    created_by TEXT
+);
+
+-- Índice para buscar la cotización vigente de cada moneda
+CREATE INDEX IF NOT EXISTS exchange_rates_quote_date_idx ON exchange_rates (quote, effective_date DESC, created_at DESC);
+
+-- Solo usuarios autenticados del back office leen, cargan y borran cotizaciones
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS exchange_rates_authenticated ON exchange_rates;
+CREATE POLICY exchange_rates_authenticated ON exchange_rates
+    FOR ALL TO authenticated
+    USING (true)
+    WITH CHECK (true);
@@ -0,0 +1,6 @@
+-- Cantidad de lotes por loteamiento y estado (Supabase / PostgreSQL).
+-- La página de loteamientos lee estos totales en lugar de todas las filas de lotes.
+CREATE OR REPLACE VIEW loteamiento_lot_counts WITH (security_invoker = true) AS
+SELECT loteamiento_id, estado, COUNT(*) AS lotes
+FROM lotes
+GROUP BY loteamiento_id, estado;
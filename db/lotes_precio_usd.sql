@@ -0,0 +1,4 @@
+-- Migración: precio de lista de cada lote (ya incluido en db.sql).
+-- Lo usan la carga manual de reservas (snapshot en reservations.lot_details),
+-- la página de loteamientos, el mapa de lotes y la exportación GeoJSON/KML.
+ALTER TABLE lotes ADD COLUMN IF NOT EXISTS precio_usd DECIMAL(18,2);
@@ -0,0 +1,17 @@
+-- Plantillas de mensajes (email / WhatsApp) por organización (Supabase / PostgreSQL).
+-- Una fila por organización con toda la lista; la clave primaria permite el upsert desde Ajustes.
+CREATE TABLE IF NOT EXISTS message_templates (
+    organization_id TEXT PRIMARY KEY,
+    templates JSONB NOT NULL DEFAULT '[]'::jsonb,
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    updated_by TEXT
+);
+
+-- Solo usuarios autenticados del back office leen y guardan las plantillas
+ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS message_templates_authenticated ON message_templates;
+CREATE POLICY message_templates_authenticated ON message_templates
+    FOR ALL TO authenticated
+    USING (true)
+    WITH CHECK (true);
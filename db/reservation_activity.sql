@@ -0,0 +1,27 @@
+-- Historial de cada reserva: cambios de estado, ediciones, notas y contactos (Supabase / PostgreSQL).
+-- La entrada de creación no se guarda; se deriva de reservations.created_at.
+CREATE TABLE IF NOT EXISTS reservation_activity (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    created_at TIMESTAMPTZ DEFAULT now(),
+    reservation_id UUID NOT NULL REFERENCES reservations (id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    body TEXT,
+    author TEXT,
+    metadata JSONB DEFAULT '{}'::jsonb
+);
+
+-- Índice para leer el historial de una reserva, lo más reciente primero
+CREATE INDEX IF NOT EXISTS reservation_activity_reservation_idx ON reservation_activity (reservation_id, created_at DESC);
+
+-- Solo usuarios autenticados del back office leen y agregan entradas; el historial no se edita
+ALTER TABLE reservation_activity ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS reservation_activity_select ON reservation_activity;
+CREATE POLICY reservation_activity_select ON reservation_activity
+    FOR SELECT TO authenticated
+    USING (true);
+
+DROP POLICY IF EXISTS reservation_activity_insert ON reservation_activity;
+CREATE POLICY reservation_activity_insert ON reservation_activity
+    FOR INSERT TO authenticated
+    WITH CHECK (true);
@@ -0,0 +1,32 @@
+-- Reservas en conflicto para el dashboard en modo servidor (Supabase / PostgreSQL).
+-- Una fila por reserva activa (no cancelada) de un lote que tiene más de una.
+--   double_booking: el lote fue reservado por más de un email
+--   duplicate: el mismo email reservó el lote más de una vez
+-- security_invoker hace que la vista respete las políticas RLS de reservations.
+CREATE OR REPLACE VIEW reservation_conflicts WITH (security_invoker = true) AS
+WITH active AS (
+    SELECT r.*, COALESCE(r.email_lower, LOWER(TRIM(r.email)), '') AS email_key
+    FROM reservations r
+    WHERE r.lot_id IS NOT NULL
+      AND COALESCE(r.status, 'pending') <> 'cancelled'
+),
+lots AS (
+    SELECT lot_id, COUNT(DISTINCT email_key) AS emails
+    FROM active
+    GROUP BY lot_id
+    HAVING COUNT(*) > 1
+),
+submissions AS (
+    SELECT lot_id, email_key, COUNT(*) AS total
+    FROM active
+    GROUP BY lot_id, email_key
+)
+SELECT a.*,
+       l.emails > 1 AS double_booking,
+       s.total > 1 AS duplicate
+FROM active a
+JOIN lots l ON l.lot_id = a.lot_id
+JOIN submissions s ON s.lot_id = a.lot_id AND s.email_key = a.email_key;
+
+-- Índice para agrupar por lote
+CREATE INDEX IF NOT EXISTS reservations_lot_id_idx ON reservations (lot_id);
@@ -0,0 +1,46 @@
+-- Agregados de reservas para el dashboard en modo servidor (Supabase / PostgreSQL).
+-- Las tarjetas y el gráfico leen estos totales en lugar de descargar toda la tabla.
+
+-- Precio del lote reservado; los valores no numéricos cuentan como sin precio
+CREATE OR REPLACE FUNCTION reservation_price(lot_details JSONB)
+RETURNS NUMERIC
+LANGUAGE sql IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN lot_details->>'precio_usd' ~ '^-?[0-9]+(\.[0-9]+)?$' THEN (lot_details->>'precio_usd')::NUMERIC
+    END;
+$$;
+
+-- Reservas e ingreso por estado, creadas dentro del período (tarjetas de estadísticas).
+-- Un límite NULL deja el período abierto de ese lado.
+CREATE OR REPLACE FUNCTION reservation_status_totals(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS TABLE (status TEXT, reservations BIGINT, income NUMERIC)
+LANGUAGE sql STABLE
+AS $$
+    SELECT COALESCE(r.status, 'pending'), COUNT(*), COALESCE(SUM(reservation_price(r.lot_details)), 0)
+    FROM reservations r
+    WHERE (p_from IS NULL OR r.created_at >= p_from)
+      AND (p_to IS NULL OR r.created_at <= p_to)
+    GROUP BY 1;
+$$;
+
+-- Reservas e ingreso por estado y tramo de reservation_date (gráfico).
+-- p_granularity: 'day', 'week' o 'month'; las semanas empiezan el lunes.
+-- Los tramos se calculan en la zona horaria del navegador (ej: 'America/Asuncion').
+CREATE OR REPLACE FUNCTION reservation_status_buckets(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_granularity TEXT,
+    p_time_zone TEXT
+)
+RETURNS TABLE (bucket DATE, status TEXT, reservations BIGINT, income NUMERIC)
+LANGUAGE sql STABLE
+AS $$
+    SELECT DATE_TRUNC(p_granularity, r.reservation_date AT TIME ZONE p_time_zone)::DATE,
+           COALESCE(r.status, 'pending'),
+           COUNT(*),
+           COALESCE(SUM(reservation_price(r.lot_details)), 0)
+    FROM reservations r
+    WHERE r.reservation_date BETWEEN p_from AND p_to
+    GROUP BY 1, 2;
+$$;
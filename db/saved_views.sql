@@ -0,0 +1,24 @@
+-- Vistas guardadas del dashboard compartidas por el equipo (Supabase / PostgreSQL).
+-- Cada fila guarda filtros, orden y tamaño de página; la app valida los filtros al aplicarlos.
+CREATE TABLE IF NOT EXISTS saved_views (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    page TEXT NOT NULL,
+    name TEXT NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sort JSONB NOT NULL DEFAULT '[]'::jsonb,
+    page_size INTEGER NOT NULL DEFAULT 20 CHECK (page_size > 0)
+);
+
+-- Índice para listar las vistas de una página por nombre
+CREATE INDEX IF NOT EXISTS saved_views_page_name_idx ON saved_views (page, name);
+
+-- Solo usuarios autenticados del back office leen y modifican las vistas del equipo
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS saved_views_authenticated ON saved_views;
+CREATE POLICY saved_views_authenticated ON saved_views
+    FOR ALL TO authenticated
+    USING (true)
+    WITH CHECK (true);